@@ -0,0 +1,193 @@
+// Background service worker - holds the API key and makes all provider requests
+import { getProvider } from './translation-providers.js';
+import Config from './config.js';
+import { PROVIDER_PORT_NAME, getApiKeyStorageKey } from './provider-client.js';
+import { CACHE_MESSAGE_TYPE, getCacheKeyText } from './cache-client.js';
+import {
+  getCachedTranslations,
+  putCachedTranslations,
+  deleteCachedTranslationsWhere
+} from './persistent-cache.js';
+
+// Storage key of the single API key saved by earlier versions for all providers
+const LEGACY_API_KEY_STORAGE_KEY = 'providerApiKey';
+
+// Provider methods content scripts may call
+const PROVIDER_METHODS = ['translate', 'translateMulti', 'translateStream', 'summarize', 'checkConnection'];
+
+/**
+ * Read the stored API key of a provider
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<string>} - API key, empty if none is saved
+ */
+function getStoredApiKey(providerId) {
+  const storageKey = getApiKeyStorageKey(providerId);
+  return new Promise((resolve) => {
+    chrome.storage.local.get([storageKey], (data) => {
+      resolve(data[storageKey] || "");
+    });
+  });
+}
+
+/**
+ * Add the credentials to provider settings sent by a content script
+ * @param {Object} settings - Provider settings without the API key
+ * @returns {Promise<Object>} - Settings with the API key of the provider they name
+ */
+async function withCredentials(settings = {}) {
+  const { id } = getProvider(settings.provider);
+  const apiKey = await getStoredApiKey(id);
+  return {
+    ...settings,
+    provider: id,
+    apiKey
+  };
+}
+
+/**
+ * Turn an error into a message that can cross the port
+ * @param {Error} error - Error
+ * @returns {Object} - Serialized error
+ */
+function serializeError(error) {
+  return {
+    name: error?.name || "Error",
+    message: error?.message || String(error),
+    status: error?.status,
+    retryAfter: error?.retryAfter
+  };
+}
+
+/**
+ * Post to a port that the content script may have closed already
+ * @param {chrome.runtime.Port} port - Port
+ * @param {Object} message - Message
+ */
+function safePostMessage(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (error) {
+    // The request was cancelled, nobody is listening anymore
+  }
+}
+
+/**
+ * Run one provider request for a content script
+ * @param {chrome.runtime.Port} port - Port of the request
+ * @param {Object} message - Method, request and settings
+ * @param {AbortSignal} signal - Aborted when the content script disconnects
+ */
+async function handleProviderRequest(port, { method, request, settings }, signal) {
+  try {
+    if (!PROVIDER_METHODS.includes(method)) {
+      throw new Error(`Unknown provider method: ${method}`);
+    }
+
+    const fullSettings = await withCredentials(settings);
+    const provider = getProvider(fullSettings.provider);
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`${provider.label} does not support ${method}`);
+    }
+
+    // Token or character counts go to the content script, which keeps the budget
+    const onUsage = (usage) => safePostMessage(port, { type: 'usage', usage });
+
+    let result;
+    if (method === 'checkConnection') {
+      result = await provider.checkConnection(fullSettings, signal);
+    } else if (method === 'translateStream') {
+      result = await provider.translateStream({
+        ...request,
+        signal,
+        onChunk: (text) => safePostMessage(port, { type: 'chunk', text }),
+        onUsage
+      }, fullSettings);
+    } else {
+      result = await provider[method]({ ...request, signal, onUsage }, fullSettings);
+    }
+
+    if (!signal.aborted) {
+      safePostMessage(port, { type: 'result', result });
+    }
+  } catch (error) {
+    if (!signal.aborted) {
+      safePostMessage(port, { type: 'error', error: serializeError(error) });
+    }
+  }
+}
+
+/**
+ * Answer a persistent cache request from a content script
+ * @param {Object} message - Request with op and its arguments
+ * @returns {Promise<*>} - Response for the content script
+ */
+async function handleCacheMessage({ op, keys, entries, terms }) {
+  switch (op) {
+    case 'get':
+      return getCachedTranslations(Array.isArray(keys) ? keys : []);
+    case 'put':
+      return { entries: await putCachedTranslations(entries || {}) };
+    case 'deleteMatching': {
+      // A case-insensitive substring match errs on the side of deleting
+      const lowerTerms = (terms || []).map(term => String(term).toLowerCase()).filter(Boolean);
+      const deleted = await deleteCachedTranslationsWhere(key => {
+        const text = getCacheKeyText(key).toLowerCase();
+        return lowerTerms.some(term => text.includes(term));
+      });
+      return { deleted };
+    }
+    default:
+      throw new Error(`Unknown cache operation: ${op}`);
+  }
+}
+
+/**
+ * Move an API key saved by older versions, in synced settings or as the key of all providers,
+ * to the local key of the provider it was saved with
+ */
+function migrateApiKey() {
+  chrome.storage.sync.get(["providerSettings"], (synced) => {
+    chrome.storage.local.get([LEGACY_API_KEY_STORAGE_KEY], (local) => {
+      const { apiKey: syncedApiKey, ...settings } = synced.providerSettings || {};
+      const apiKey = local[LEGACY_API_KEY_STORAGE_KEY] || syncedApiKey;
+      if (!apiKey) return;
+
+      const storageKey = getApiKeyStorageKey(settings.provider || Config.DEFAULT_PROVIDER);
+      chrome.storage.local.set({ [storageKey]: apiKey }, () => {
+        chrome.storage.local.remove(LEGACY_API_KEY_STORAGE_KEY);
+        if (syncedApiKey) {
+          chrome.storage.sync.set({ providerSettings: settings });
+        }
+      });
+    });
+  });
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== PROVIDER_PORT_NAME) return;
+
+  // The content script disconnects to cancel, e.g. when newer caption text arrives
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener((message) => {
+    handleProviderRequest(port, message, controller.signal);
+  });
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== CACHE_MESSAGE_TYPE) return false;
+
+  handleCacheMessage(message)
+    .then(sendResponse)
+    .catch((error) => {
+      // The cache is an optimization - a failure is answered like a miss
+      console.error("Translation cache error:", error);
+      sendResponse(null);
+    });
+
+  // Keep the channel open for the asynchronous response
+  return true;
+});
+
+chrome.runtime.onInstalled.addListener(migrateApiKey);
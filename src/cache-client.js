@@ -0,0 +1,106 @@
+// Persistent translation cache requests relayed to the background service worker
+
+// Message type the background service worker answers cache requests for
+const CACHE_MESSAGE_TYPE = 'translation-cache';
+
+// A lookup that takes longer than this is treated as a miss, e.g. while the worker starts up
+const LOOKUP_TIMEOUT = 250;
+
+/**
+ * Normalize whitespace and Unicode composition so trivial differences in the captions share a cache entry.
+ * Case is kept - "US" and "us" translate differently.
+ * @param {string} text - Source text
+ * @returns {string} - Normalized text
+ */
+function normalizeCacheText(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the cache key of a translation
+ * @param {Object} parts - provider, model, inputLang, outputLang and text
+ * @returns {string} - Cache key
+ */
+function buildCacheKey({ provider, model, inputLang, outputLang, text }) {
+  // JSON keeps the parts apart even when a model name contains separators
+  return JSON.stringify([provider, model || '', inputLang, outputLang, normalizeCacheText(text)]);
+}
+
+/**
+ * Get the normalized source text of a cache key
+ * @param {string} key - Cache key
+ * @returns {string} - Normalized source text
+ */
+function getCacheKeyText(key) {
+  try {
+    return JSON.parse(key)[4] || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Send a cache request to the background service worker
+ * @param {Object} message - Request with op and its arguments
+ * @returns {Promise<*>} - Response, null if the worker is unavailable
+ */
+function sendCacheMessage(message) {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage({ type: CACHE_MESSAGE_TYPE, ...message }, (response) => {
+        // Reading lastError keeps Chrome from logging an unchecked error
+        resolve(chrome.runtime.lastError ? null : response ?? null);
+      });
+    } catch (error) {
+      // The extension was reloaded and this content script is orphaned
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Look up translations in the persistent cache
+ * @param {string[]} keys - Cache keys
+ * @returns {Promise<Object>} - Cached translations by key, only for the keys found
+ */
+async function getPersistentTranslations(keys) {
+  let timeoutId;
+  const timeout = new Promise((resolve) => {
+    timeoutId = setTimeout(() => resolve(null), LOOKUP_TIMEOUT);
+  });
+
+  const result = await Promise.race([sendCacheMessage({ op: 'get', keys }), timeout]);
+  clearTimeout(timeoutId);
+  return result || {};
+}
+
+/**
+ * Store translations in the persistent cache
+ * @param {Object} entries - Translations by cache key
+ * @returns {Promise<Object|null>} - Number of stored entries afterwards, null if unavailable
+ */
+function storePersistentTranslations(entries) {
+  return sendCacheMessage({ op: 'put', entries });
+}
+
+/**
+ * Remove persistently cached translations of text containing any of the terms
+ * @param {string[]} terms - Source terms
+ * @returns {Promise<void>}
+ */
+async function deletePersistentTranslations(terms) {
+  await sendCacheMessage({ op: 'deleteMatching', terms });
+}
+
+export {
+  CACHE_MESSAGE_TYPE,
+  normalizeCacheText,
+  buildCacheKey,
+  getCacheKeyText,
+  getPersistentTranslations,
+  storePersistentTranslations,
+  deletePersistentTranslations
+};
@@ -1,26 +1,53 @@
 // Configuration settings
+import TEAMS_ORIGINS from './teams-origins.json';
+
 const Config = {
-  // API key for OpenAI
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY || "",
-  
   // Default languages
   DEFAULT_INPUT_LANG: "auto",
   DEFAULT_OUTPUT_LANG: "en",
   
   // Speech detection and buffering control
   SPEECH_SEGMENT_TIMEOUT: 3000,  // Time between speech segments
-  TRANSLATION_THROTTLE: 1000,    // Delay between translation requests
+  TRANSLATION_THROTTLE: 800,     // Minimum delay between translation requests per speaker
   DEBOUNCE_DELAY: 100,           // Delay for debouncing DOM updates
+  TRANSLATION_STRATEGY: "live",  // live, sentence-boundary or finalize-only
+  
+  // Teams sites the content script runs on - the build writes them into manifest.json
+  TEAMS_ORIGINS,
   
   // OpenAI model to use
   MODEL_NAME: "gpt-3.5-turbo-0125",
   
+  // Translation provider defaults
+  DEFAULT_PROVIDER: "openai",    // openai, azure, deepl, libretranslate, openai-compatible
+  OPENAI_BASE_URL: "https://api.openai.com/v1",
+  AZURE_API_VERSION: "2024-02-01",
+  LOCAL_BASE_URL: "http://localhost:11434/v1", // Ollama; LM Studio uses http://localhost:1234/v1
+  LIBRETRANSLATE_URL: "https://libretranslate.com",
+  STREAM_TRANSLATIONS: true,     // Stream partial translations where the provider supports it
+  
+  // Conversation context sent with each translation
+  CONTEXT_MAX_UTTERANCES: 6,     // Number of previous finalized utterances
+  CONTEXT_TOKEN_BUDGET: 400,     // Approximate token cap for the context
+  
+  // Meeting summaries
+  SUMMARY_CHUNK_SIZE: 12000,     // Characters of transcript summarized per request
+  SUMMARY_TIMEOUT: 60000,        // Abort a summary request after this long
+  
   // Debug settings
   MAX_DEBUG_LOGS: 100,
   
   // Request settings
   MAX_RETRIES: 1,                // Number of retries for failed requests
-  RETRY_DELAY: 800,              // Delay between retries
+  RETRY_DELAY: 800,              // Base delay before a retry, doubled for every further attempt
+  MAX_RETRY_DELAY: 10000,        // Upper limit for backoff and Retry-After waits
+  MAX_CONCURRENT_REQUESTS: 2,    // Provider requests running at the same time
+  REQUESTS_PER_MINUTE: 120,      // Sustained request rate of the token bucket
+  REQUEST_BURST: 4,              // Requests that may start at once after a quiet period
+  REQUEST_TIMEOUT: 6000,         // Abort a translation request after this long without data
+  CACHE_SIZE: 500,               // Number of translations cached in memory
+  PERSISTENT_CACHE_MAX_ENTRIES: 5000, // Number of translations kept across sessions
+  PERSISTENT_CACHE_TTL: 30 * 24 * 60 * 60 * 1000, // Keep persisted translations for 30 days
   
   // Performance and stability
   MAX_STORED_UTTERANCES: 10,     // Limit for utterances per speaker
@@ -3,15 +3,34 @@ import Config from './config.js';
 import { debugLog, clearDebugLogs } from './utils.js';
 import { 
   clearTranslationTimers,
-  checkApiConnection
+  checkApiConnection,
+  loadProviderSettings,
+  setOutputLanguages
 } from './translation-service.js';
 import { 
   openTranslationsWindow, 
   updateTranslationsDisplay,
   setTranslationStatus,
   stopPopupCheck,
-  closePopupWindow
+  closePopupWindow,
+  setTranslationLanguages
 } from './popup-manager.js';
+import {
+  showOverlay,
+  hideOverlay,
+  updateOverlayDisplay
+} from './overlay-manager.js';
+import {
+  startMeetingSession,
+  endMeetingSession,
+  flushMeetingSession
+} from './transcript-store.js';
+import { loadGlossary } from './glossary.js';
+import { loadSpeakerMappings } from './speaker-registry.js';
+import { loadProfileOverride, findCaptionContainer } from './selector-profiles.js';
+import { isMeetingPage } from './meeting-page.js';
+import { loadTuningSettings } from './tuning-settings.js';
+import { loadUsage } from './usage-tracker.js';
 import {
   debounceProcessSubtitles,
   clearSubtitleData,
@@ -33,8 +52,9 @@ let alert_delay = 100;
   // Variables to store user preferences
   let inputLang = Config.DEFAULT_INPUT_LANG;
   let outputLang = Config.DEFAULT_OUTPUT_LANG;
+  let outputLangs = [outputLang]; // All output languages, the first one is outputLang
   let isTranslationActive = false;
-  let displayMode = 'popup'; // 'popup' or 'inline'
+  let displayMode = 'popup'; // 'popup', 'inline' or 'both'
   
   // Reference to the MutationObserver
   let observer = null;
@@ -65,6 +85,46 @@ let alert_delay = 100;
     debugLog("All translations cleared");
   }
   
+  // Check which displays the current mode uses
+  function usesPopup() {
+    return displayMode === 'popup' || displayMode === 'both';
+  }
+  
+  function usesOverlay() {
+    return displayMode === 'inline' || displayMode === 'both';
+  }
+  
+  // Open or close the popup window and the in-page overlay to match the display mode
+  function applyDisplayMode() {
+    if (usesPopup()) {
+      openTranslationsWindow(updateTranslationsDisplay);
+      setTranslationStatus(true);
+    } else {
+      stopPopupCheck();
+      closePopupWindow();
+    }
+    
+    if (usesOverlay()) {
+      showOverlay();
+    } else {
+      hideOverlay();
+    }
+  }
+  
+  // Update every display used by the current mode
+  function updateDisplays() {
+    const translatedUtterances = getTranslatedUtterances();
+    const activeSpeakers = getActiveSpeakers();
+    
+    if (usesPopup()) {
+      updateTranslationsDisplay(translatedUtterances, activeSpeakers);
+    }
+    
+    if (usesOverlay()) {
+      updateOverlayDisplay(translatedUtterances, activeSpeakers);
+    }
+  }
+  
   // Function to verify API key and connectivity
   async function verifyConnection() {
     try {
@@ -112,6 +172,12 @@ let alert_delay = 100;
     // Reset known subtitles when starting to avoid translating old ones
     resetKnownSubtitles();
     
+    // Pick up the provider, glossary, selector override and tuning from the extension settings
+    await loadProviderSettings();
+    await loadGlossary();
+    await loadProfileOverride();
+    await loadTuningSettings();
+    
     // Verify API connection first
     const connectionValid = await verifyConnection();
     if (!connectionValid) {
@@ -123,32 +189,19 @@ let alert_delay = 100;
     
     isTranslationActive = true;
     
-    debugLog(`Starting translation with input: ${inputLang}, output: ${outputLang}, display: ${displayMode}`);
+    // Finalized utterances are saved under this meeting's transcript
+    startMeetingSession(inputLang, outputLang);
     
-    // Open the translations window
-    openTranslationsWindow(updateTranslationsDisplay);
+    // Token and cost totals continue where this meeting and day left off
+    await loadUsage();
     
-    // Update translation status
-    setTranslationStatus(true);
+    // Renamed, merged and muted speakers of this meeting
+    await loadSpeakerMappings();
     
-    // Enhanced caption container detection
-    const findCaptionContainer = () => {
-      // Try to find the caption container element with more comprehensive selectors
-      const possibleContainers = [
-        document.querySelector('[role="dialog"][aria-label*="caption"], [data-tid="meetup-captions-container"]'),
-        document.querySelector('[data-tid="closed-caption-container"]'),
-        document.querySelector('.cc-container'),
-        document.querySelector('.ts-captions-container'),
-        document.querySelector('[class*="caption-container"]'),
-        document.querySelector('[data-tid*="caption"]'),
-        document.querySelector('[class*="captions"]'),
-        // Add more Teams version-specific selectors
-        document.querySelector('[data-tid="caption-container-root"]'),
-        document.querySelector('[class*="captionContainer"]')
-      ];
-      
-      return possibleContainers.find(el => el);
-    };
+    debugLog(`Starting translation with input: ${inputLang}, output: ${outputLangs.join(', ')}, display: ${displayMode}`);
+    
+    // Open the translations window and/or the overlay
+    applyDisplayMode();
     
     const captionContainer = findCaptionContainer();
     
@@ -182,7 +235,7 @@ let alert_delay = 100;
     
     // Force an immediate update for both display methods
     setTimeout(() => {
-        updateTranslationsDisplay(getTranslatedUtterances(), getActiveSpeakers());
+        updateDisplays();
     }, 250);
     
     return { status: "success" };
@@ -236,11 +289,8 @@ let alert_delay = 100;
           verifyConnection();
         }
         
-        // Update the translations display to make sure it's in sync
-        updateTranslationsDisplay(
-          getTranslatedUtterances(),
-          getActiveSpeakers()
-        );
+        // Update the displays to make sure they're in sync
+        updateDisplays();
         
       }
     }, Config.OBSERVER_UPDATE_INTERVAL); // Check every 30 seconds
@@ -262,9 +312,13 @@ let alert_delay = 100;
       // Clear all translation timers
       clearTranslationTimers();
       
+      // Save the transcript
+      endMeetingSession();
+      
       // Update displays based on mode
         // Stop popup check
       stopPopupCheck();
+      hideOverlay();
       
       // Update status in popup
       setTranslationStatus(false);
@@ -281,35 +335,17 @@ let alert_delay = 100;
     return { status: "error", message: "Translation not active" };
   }
   
-  // Enhanced caption container detection
-  function findCaptionContainer() {
-    // Try to find the caption container element with more comprehensive selectors
-    const possibleContainers = [
-      document.querySelector('[role="dialog"][aria-label*="caption"], [data-tid="meetup-captions-container"]'),
-      document.querySelector('[data-tid="closed-caption-container"]'),
-      document.querySelector('.cc-container'),
-      document.querySelector('.ts-captions-container'),
-      document.querySelector('[class*="caption-container"]'),
-      document.querySelector('[data-tid*="caption"]'),
-      document.querySelector('[class*="captions"]'),
-      // Add more Teams version-specific selectors
-      document.querySelector('[data-tid="caption-container-root"]'),
-      document.querySelector('[class*="captionContainer"]'),
-      document.querySelector('[data-tid*="caption"]'),
-      document.querySelector('[aria-label*="caption"]'),
-      document.querySelector('[class*="captions"]'),
-      document.querySelector('[role="dialog"][aria-label*="captions"]')
-    ];
-    
-    return possibleContainers.find(el => el);
-  }
-  
   // Listen for messages from the popup
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === "startTranslation") {
       // Update language settings
       inputLang = message.inputLang || Config.DEFAULT_INPUT_LANG;
       outputLang = message.outputLang || Config.DEFAULT_OUTPUT_LANG;
+      outputLangs = [outputLang, ...(message.outputLangs || []).filter(lang => lang !== outputLang)];
+      
+      // Additional output languages are translated together with the primary one
+      setOutputLanguages(outputLangs);
+      setTranslationLanguages(outputLangs);
       
       // Update display mode if provided
       if (message.displayMode) {
@@ -336,7 +372,9 @@ let alert_delay = 100;
         isActive: isTranslationActive,
         inputLang: inputLang,
         outputLang: outputLang,
-        displayMode: displayMode
+        outputLangs: outputLangs,
+        displayMode: displayMode,
+        isMeetingPage: isMeetingPage()
       });
       return true;
     } else if (message.action === "setDisplayMode") {
@@ -345,18 +383,11 @@ let alert_delay = 100;
       
       // Update displays based on new mode
       if (isTranslationActive) {
-        if (displayMode === 'popup') {
-          openTranslationsWindow(updateTranslationsDisplay);
-          setTranslationStatus(true);
-        } else {
-          closePopupWindow();
-        }
+        applyDisplayMode();
         
         // Force an immediate update
         setTimeout(() => {
-          if (displayMode === 'popup') {
-            updateTranslationsDisplay(getTranslatedUtterances(), getActiveSpeakers());
-          }
+          updateDisplays();
         }, delay_update);
       }
       
@@ -372,7 +403,9 @@ let alert_delay = 100;
       observer = null;
     }
     closePopupWindow();
+    hideOverlay();
     clearTranslationTimers();
+    flushMeetingSession();
     
     if (safetyCheckTimer) {
       clearInterval(safetyCheckTimer);
@@ -393,13 +426,7 @@ let alert_delay = 100;
     updateDisplayInterval = setInterval(() => {
       if (isTranslationActive) {
         // Update displays based on mode
-        if (displayMode === 'popup') {
-          updateTranslationsDisplay(
-            getTranslatedUtterances(),
-            getActiveSpeakers()
-          );
-        }
-        
+        updateDisplays();
       }
     }, 1000); // Update 4 times per second
   }
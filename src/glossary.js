@@ -0,0 +1,186 @@
+// Glossary and terminology enforcement
+import { debugLog } from './utils.js';
+
+// Storage key in chrome.storage.sync - shared with the extension popup
+const GLOSSARY_KEY = 'glossary';
+
+// Current glossary: preferred translations per language pair and terms to keep as-is
+let glossary = {
+  terms: [],         // { source, target, sourceLang, targetLang }
+  doNotTranslate: [] // Terms that must appear unchanged in the translation
+};
+
+// Listeners notified when the glossary changes
+const changeListeners = [];
+
+/**
+ * Normalize a glossary loaded from storage
+ * @param {Object} data - Stored glossary
+ * @returns {Object} - Glossary with terms and doNotTranslate lists
+ */
+function normalizeGlossary(data) {
+  return {
+    terms: Array.isArray(data?.terms) ? data.terms.filter(term => term.source && term.target) : [],
+    doNotTranslate: Array.isArray(data?.doNotTranslate) ? data.doNotTranslate.filter(Boolean) : []
+  };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check if a text contains a term as a whole word, ignoring case
+ * @param {string} text - Text to search
+ * @param {string} term - Term to find
+ * @returns {boolean} - True if the term occurs in the text
+ */
+function containsTerm(text, term) {
+  if (!text || !term) return false;
+  // Unicode-aware word boundaries so Cyrillic and accented terms work too
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+  return pattern.test(text);
+}
+
+/**
+ * Get the glossary entries for a language pair
+ * @param {string} inputLang - Input language ("auto" matches any source language)
+ * @param {string} outputLang - Output language
+ * @returns {Object} - Matching terms and the doNotTranslate list
+ */
+function getGlossaryFor(inputLang, outputLang) {
+  const terms = glossary.terms.filter(term =>
+    term.targetLang === outputLang &&
+    (inputLang === 'auto' || !term.sourceLang || term.sourceLang === 'auto' || term.sourceLang === inputLang)
+  );
+
+  return { terms, doNotTranslate: glossary.doNotTranslate };
+}
+
+/**
+ * Get the glossary entries that occur in a text
+ * @param {string} text - Source text
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @returns {Object} - Terms and doNotTranslate entries found in the text
+ */
+function getGlossaryForText(text, inputLang, outputLang) {
+  const { terms, doNotTranslate } = getGlossaryFor(inputLang, outputLang);
+  return {
+    terms: terms.filter(term => containsTerm(text, term.source)),
+    doNotTranslate: doNotTranslate.filter(term => containsTerm(text, term))
+  };
+}
+
+/**
+ * Check a translation against the glossary
+ * @param {string} original - Source text
+ * @param {string} translated - Translated text
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @returns {Object[]} - Violations with term, expected and type
+ */
+function checkGlossaryViolations(original, translated, inputLang, outputLang) {
+  if (!original || !translated) return [];
+
+  const { terms, doNotTranslate } = getGlossaryForText(original, inputLang, outputLang);
+  const violations = [];
+
+  for (const term of terms) {
+    if (!containsTerm(translated, term.target)) {
+      violations.push({ term: term.source, expected: term.target, type: 'term' });
+    }
+  }
+
+  for (const term of doNotTranslate) {
+    if (!translated.includes(term)) {
+      violations.push({ term, expected: term, type: 'doNotTranslate' });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Get every source term whose entry differs between two glossaries
+ * @param {Object} oldGlossary - Previous glossary
+ * @param {Object} newGlossary - New glossary
+ * @returns {string[]} - Changed source terms
+ */
+function getChangedTerms(oldGlossary, newGlossary) {
+  const describe = (g) => new Map([
+    ...g.terms.map(term => [`${term.source}|${term.sourceLang}|${term.targetLang}`, term.target]),
+    ...g.doNotTranslate.map(term => [`${term}|dnt`, term])
+  ]);
+
+  const oldEntries = describe(oldGlossary);
+  const newEntries = describe(newGlossary);
+  const changed = new Set();
+
+  for (const [key, value] of oldEntries) {
+    if (newEntries.get(key) !== value) changed.add(key.split('|')[0]);
+  }
+  for (const [key, value] of newEntries) {
+    if (oldEntries.get(key) !== value) changed.add(key.split('|')[0]);
+  }
+
+  return Array.from(changed);
+}
+
+/**
+ * Replace the current glossary and notify listeners about changed terms
+ * @param {Object} data - Stored glossary
+ */
+function setGlossary(data) {
+  const previous = glossary;
+  glossary = normalizeGlossary(data);
+
+  const changedTerms = getChangedTerms(previous, glossary);
+  if (changedTerms.length > 0) {
+    debugLog(`Glossary updated: ${changedTerms.length} term(s) changed`);
+    changeListeners.forEach(listener => listener(changedTerms));
+  }
+}
+
+/**
+ * Load the glossary from chrome.storage.sync
+ * @returns {Promise<Object>} - The loaded glossary
+ */
+function loadGlossary() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([GLOSSARY_KEY], (data) => {
+      setGlossary(data[GLOSSARY_KEY]);
+      resolve(glossary);
+    });
+  });
+}
+
+/**
+ * Register a listener called with the changed source terms
+ * @param {Function} listener - Listener
+ */
+function onGlossaryChange(listener) {
+  changeListeners.push(listener);
+}
+
+// Pick up edits from the extension popup without a reload
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[GLOSSARY_KEY]) {
+      setGlossary(changes[GLOSSARY_KEY].newValue);
+    }
+  });
+}
+
+export {
+  loadGlossary,
+  onGlossaryChange,
+  containsTerm,
+  getGlossaryForText,
+  checkGlossaryViolations
+};
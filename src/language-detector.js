@@ -0,0 +1,173 @@
+// On-device language identification of caption text
+
+// Texts shorter than this (in letters) are too short to identify reliably
+const MIN_LETTERS = 12;
+
+// Share of the letters that must be in a script for it to decide the language
+const SCRIPT_SHARE = 0.3;
+
+// Share of the letters in one script for a confident detection, mixed-script text is only labeled
+const CONFIDENT_SHARE = 0.9;
+
+// Minimum score and lead over the runner-up of the best Latin-script language
+const MIN_SCORE = 8;
+const MIN_MARGIN = 1.5;
+
+// Letters that tell Cyrillic-script languages apart - Bulgarian has none of its own
+const CYRILLIC_LETTERS = {
+  ru: /[ыэё]/iu,
+  uk: /[ієїґ]/iu,
+  other: /[ўђјљњћџѓќѕ]/iu
+};
+
+// Letters Persian and Urdu add to the Arabic script
+const NON_ARABIC_LETTERS = /[پچژگکیٹڈڑںےہ]/u;
+
+// Frequent words and trigrams (with spaces marking word edges) of Latin-script languages
+const LATIN_PROFILES = {
+  en: {
+    words: ['the', 'and', 'to', 'of', 'is', 'it', 'that', 'you', 'we', 'this', 'in', 'for', 'have', 'are', 'be', 'with', 'on', 'not', 'what', 'can', 'will', 'so', 'just', 'do', 'i', 'my', 'our', 'was', 'there', 'they'],
+    trigrams: [' th', 'the', 'he ', 'ing', 'ng ', ' an', 'and', 'nd ', ' to', 'to ', ' of', 'of ', 'ed ', 'is ', 'at ', 'hat', 'tha', ' wh', 'you', 'ou ']
+  },
+  de: {
+    words: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ich', 'wir', 'sie', 'es', 'ein', 'eine', 'zu', 'mit', 'den', 'auf', 'für', 'auch', 'dass', 'aber', 'haben', 'noch', 'dann', 'wie', 'was', 'sind', 'von', 'im', 'schon', 'jetzt'],
+    trigrams: ['en ', 'er ', ' de', 'der', 'ie ', 'ch ', 'ich', 'sch', 'ein', ' un', 'und', ' di', 'die', ' ei', 'den', 'cht', 'ine', ' ge', 'ist', 'nic']
+  },
+  fr: {
+    words: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'que', 'qui', 'pas', 'je', 'nous', 'vous', 'on', 'pour', 'dans', 'ce', 'sur', 'avec', 'mais', 'au', 'du', 'il', 'elle', 'sont', 'ça', 'très', 'donc'],
+    trigrams: [' de', 'es ', 'de ', 'le ', ' le', 'ent', 'nt ', ' la', 'la ', ' qu', 'que', 'ue ', 'les', ' et', 'et ', 'ous', 'our', ' pa', 'ais', ' vo']
+  },
+  es: {
+    words: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'es', 'en', 'un', 'una', 'no', 'por', 'para', 'con', 'se', 'lo', 'del', 'al', 'pero', 'como', 'más', 'muy', 'ya', 'yo', 'esto', 'está', 'hay', 'vamos', 'tenemos'],
+    trigrams: [' de', 'de ', 'os ', 'la ', ' la', 'que', ' qu', 'ue ', 'el ', ' el', 'es ', 'en ', ' en', 'as ', 'ión', 'ció', 'aci', ' co', 'ado', 'nte']
+  },
+  it: {
+    words: ['il', 'la', 'di', 'che', 'e', 'è', 'un', 'una', 'non', 'per', 'con', 'del', 'della', 'sono', 'lo', 'gli', 'le', 'ma', 'anche', 'come', 'questo', 'molto', 'abbiamo', 'noi', 'io', 'ci', 'nel', 'alla', 'poi', 'quindi'],
+    trigrams: [' di', 'di ', 'la ', ' la', 'che', ' ch', 'he ', 're ', 'to ', 'ell', 'lla', ' il', 'il ', 'one', 'zio', 'ato', ' co', 'con', 'per', 'no ']
+  },
+  pt: {
+    words: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'é', 'do', 'da', 'em', 'um', 'uma', 'não', 'para', 'com', 'por', 'no', 'na', 'mais', 'mas', 'se', 'eu', 'nós', 'você', 'isso', 'está', 'muito', 'vamos', 'também'],
+    trigrams: [' de', 'de ', 'os ', ' qu', 'que', 'ue ', 'ão ', 'ção', ' co', 'do ', 'da ', ' da', ' do', 'as ', 'ent', 'nte', 'com', 'em ', 'um ', 'est']
+  }
+};
+
+// Word and trigram sets for fast lookup
+const LATIN_LOOKUP = Object.fromEntries(Object.entries(LATIN_PROFILES).map(([lang, profile]) => [
+  lang,
+  { words: new Set(profile.words), trigrams: new Set(profile.trigrams) }
+]));
+
+/**
+ * Count the matches of a global pattern in a text
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Global pattern
+ * @returns {number} - Number of matches
+ */
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Score a lowercase Latin-script text against each language profile
+ * @param {string} text - Lowercase text
+ * @returns {Object[]} - lang and score, best first
+ */
+function scoreLatinLanguages(text) {
+  const words = text.split(/[^\p{L}']+/u).filter(Boolean);
+  const padded = ` ${words.join(' ')} `;
+
+  const trigrams = [];
+  for (let i = 0; i < padded.length - 2; i++) {
+    trigrams.push(padded.slice(i, i + 3));
+  }
+
+  return Object.entries(LATIN_LOOKUP)
+    .map(([lang, lookup]) => ({
+      lang,
+      // A frequent word says more than a trigram
+      score: words.filter(word => lookup.words.has(word)).length * 3 +
+        trigrams.filter(trigram => lookup.trigrams.has(trigram)).length
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Tell Cyrillic-script languages apart by the letters only some of them use
+ * @param {string} text - Text
+ * @returns {Object|null} - language and whether the letters decided it, null for unsupported languages
+ */
+function detectCyrillicLanguage(text) {
+  const russian = CYRILLIC_LETTERS.ru.test(text);
+  const ukrainian = CYRILLIC_LETTERS.uk.test(text);
+  if (CYRILLIC_LETTERS.other.test(text) || (russian && ukrainian)) return null;
+
+  if (ukrainian) return { language: 'uk', confident: true };
+  // Without Russian letters it may as well be Bulgarian
+  return { language: 'ru', confident: russian };
+}
+
+/**
+ * Identify the language of a text.
+ * Scripts identify most languages directly, Latin-script languages are told apart
+ * by their most frequent words and trigrams.
+ * Only a confident detection is reliable enough to skip translating. A script shared by
+ * several languages or text mixing scripts only gives a label.
+ * @param {string} text - Caption text
+ * @returns {Object|null} - language code like "en" and confident, null if it can't be told at all
+ */
+function detectLanguage(text) {
+  const letters = countMatches(text || '', /\p{L}/gu);
+  if (letters < MIN_LETTERS) return null;
+
+  const detected = (language, scriptLetters, confident = true) => ({
+    language,
+    confident: confident && scriptLetters / letters >= CONFIDENT_SHARE
+  });
+
+  // Japanese mixes Han characters with kana. Han characters alone are Chinese,
+  // but not which variant of it.
+  const han = countMatches(text, /\p{Script=Han}/gu);
+  const kana = countMatches(text, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  if ((han + kana) / letters >= SCRIPT_SHARE) {
+    return kana > 0 ? detected('ja', han + kana) : detected('zh', han, false);
+  }
+
+  const hangul = countMatches(text, /\p{Script=Hangul}/gu);
+  if (hangul / letters >= SCRIPT_SHARE) {
+    return detected('ko', hangul);
+  }
+
+  const cyrillic = countMatches(text, /\p{Script=Cyrillic}/gu);
+  if (cyrillic / letters >= SCRIPT_SHARE) {
+    const result = detectCyrillicLanguage(text);
+    return result && detected(result.language, cyrillic, result.confident);
+  }
+
+  // Arabic, Persian, Urdu and more share the Arabic script
+  const arabic = countMatches(text, /\p{Script=Arabic}/gu);
+  if (arabic / letters >= SCRIPT_SHARE) {
+    return NON_ARABIC_LETTERS.test(text) ? null : detected('ar', arabic, false);
+  }
+
+  const latin = countMatches(text, /\p{Script=Latin}/gu);
+  if (latin / letters < 0.5) return null;
+
+  const [best, runnerUp] = scoreLatinLanguages(text.toLowerCase());
+  if (best.score < MIN_SCORE || best.score < runnerUp.score * MIN_MARGIN) return null;
+  return detected(best.lang, latin);
+}
+
+/**
+ * Check if a detected language is the same as a language setting
+ * @param {string|null} detected - Detected language code
+ * @param {string} lang - Language setting like "en" or "pt-BR"
+ * @returns {boolean} - True if both name the same language
+ */
+function isSameLanguage(detected, lang) {
+  return Boolean(detected && lang) && detected === lang.split('-')[0].toLowerCase();
+}
+
+export {
+  detectLanguage,
+  isSameLanguage
+};
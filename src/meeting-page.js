@@ -0,0 +1,40 @@
+// Meeting page detection
+import { debugLog } from './utils.js';
+
+// Elements only present while a call or meeting is open
+const MEETING_PAGE_SELECTORS = [
+  '[data-tid="hangup-main-btn"]',
+  '[data-tid="call-hangup"]',
+  '#hangup-button',
+  '[data-tid="call-duration"]',
+  '[data-tid="calling-screen"]',
+  '[data-tid="closed-caption-renderer-wrapper"]',
+  '[data-tid="meetup-captions-container"]'
+];
+
+// URL fragments of meeting join and pre-join pages
+const MEETING_URL_PATTERN = /meetup-join|pre-join-calling|light-meetings|meetingjoin/i;
+
+// Path of Teams free meeting links like /meet/9312345678901
+const MEET_LINK_PATH_PATTERN = /^\/meet\/\d+(\/|$)/;
+
+/**
+ * Check if the current page is a Teams meeting rather than chat, calendar or files
+ * @returns {boolean} - True if a meeting is open or being joined
+ */
+function isMeetingPage() {
+  try {
+    if (MEETING_URL_PATTERN.test(decodeURIComponent(window.location.href)) ||
+        MEET_LINK_PATH_PATTERN.test(window.location.pathname)) {
+      return true;
+    }
+    return MEETING_PAGE_SELECTORS.some(selector => document.querySelector(selector));
+  } catch (error) {
+    debugLog(`Meeting page check error: ${error.message}`);
+    return false;
+  }
+}
+
+export {
+  isMeetingPage
+};
@@ -0,0 +1,113 @@
+// Meeting summary, decisions and action items generated from the finalized transcript
+import Config from './config.js';
+import { debugLog } from './utils.js';
+import { callProvider } from './provider-client.js';
+import { scheduleRequest } from './request-scheduler.js';
+import { getProviderSettings } from './translation-service.js';
+import { recordUsage, getBudgetState } from './usage-tracker.js';
+
+/**
+ * Turn utterances into transcript lines
+ * @param {Object[]} utterances - Finalized utterances sorted by time
+ * @returns {string[]} - One "Speaker: text" line per utterance
+ */
+function formatTranscriptLines(utterances) {
+  return utterances
+    .filter(utterance => utterance.original || utterance.translated)
+    .map(utterance => `${utterance.speaker}: ${utterance.original || utterance.translated}`);
+}
+
+/**
+ * Split transcript lines into chunks of at most SUMMARY_CHUNK_SIZE characters
+ * @param {string[]} lines - Transcript lines
+ * @returns {string[]} - Chunks, each with whole lines
+ */
+function chunkTranscript(lines) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const line of lines) {
+    if (current.length > 0 && length + line.length + 1 > Config.SUMMARY_CHUNK_SIZE) {
+      chunks.push(current.join('\n'));
+      current = [];
+      length = 0;
+    }
+    current.push(line);
+    length += line.length + 1;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current.join('\n'));
+  }
+  return chunks;
+}
+
+/**
+ * Send one summary request through the request scheduler.
+ * Summaries run in the background so live translation always goes first.
+ * @param {Object} request - transcript, outputLang, speakers and merge
+ * @param {Object} settings - Provider settings
+ * @returns {Promise<Object>} - summary, decisions and actionItems
+ */
+function requestSummary(request, settings) {
+  if (getBudgetState() !== 'ok') {
+    throw new Error("The usage budget is reached, raise it in the options to summarize");
+  }
+
+  return scheduleRequest(async () => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), Config.SUMMARY_TIMEOUT);
+
+    try {
+      return await callProvider('summarize', request, settings, {
+        signal: controller.signal,
+        onUsage: (usage) => recordUsage(usage, settings)
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }, { priority: 'background' });
+}
+
+/**
+ * Summarize a meeting with the configured model.
+ * Long transcripts are summarized in chunks whose summaries are then merged.
+ * @param {Object[]} utterances - Finalized utterances sorted by time
+ * @param {string} outputLang - Language of the summary
+ * @returns {Promise<Object>} - summary, decisions and actionItems, with createdAt, outputLang and utteranceCount
+ */
+async function summarizeMeeting(utterances, outputLang) {
+  const lines = formatTranscriptLines(utterances);
+  if (lines.length === 0) {
+    throw new Error("The transcript is empty");
+  }
+
+  const settings = getProviderSettings();
+  const speakers = [...new Set(utterances.map(utterance => utterance.speaker).filter(Boolean))];
+  const chunks = chunkTranscript(lines);
+  debugLog(`Summarizing ${lines.length} utterances in ${chunks.length} part(s)`);
+
+  // One chunk at a time, each checks the budget again
+  const parts = [];
+  for (const transcript of chunks) {
+    parts.push(await requestSummary({ transcript, outputLang, speakers }, settings));
+  }
+
+  const result = parts.length === 1
+    ? parts[0]
+    : await requestSummary({ transcript: JSON.stringify(parts), outputLang, speakers, merge: true }, settings);
+
+  return {
+    ...result,
+    createdAt: Date.now(),
+    outputLang,
+    utteranceCount: lines.length
+  };
+}
+
+export {
+  formatTranscriptLines,
+  chunkTranscript,
+  summarizeMeeting
+};
@@ -0,0 +1,435 @@
+// Options page - API credentials, model and tuning
+import Config from './config.js';
+import { providers } from './translation-providers.js';
+import { checkApiConnection, setProviderSettings } from './translation-service.js';
+import { getApiKeyStorageKey } from './provider-client.js';
+import { TUNING_STORAGE_KEY, TUNING_SETTINGS, TUNING_DEFAULTS, normalizeTuningSettings } from './tuning-settings.js';
+import { BUDGET_STORAGE_KEY, BUDGET_ACTIONS, normalizeBudget } from './usage-tracker.js';
+import { PROFILE_OVERRIDE_KEY, SELECTOR_PROFILES, normalizeProfileOverride } from './selector-profiles.js';
+
+// Model suggestions for OpenAI and compatible servers
+const MODEL_SUGGESTIONS = ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1-nano', 'gpt-3.5-turbo-0125'];
+
+// Provider form fields and the providers that use them
+const PROVIDER_FIELDS = [
+  { key: 'endpoint', label: 'Endpoint URL', placeholder: 'https://...', providers: ['azure', 'deepl', 'libretranslate', 'openai-compatible'] },
+  { key: 'model', label: 'Model', placeholder: Config.MODEL_NAME, providers: ['openai', 'openai-compatible'], list: 'model-suggestions' },
+  { key: 'deployment', label: 'Deployment name', placeholder: '', providers: ['azure'] },
+  { key: 'apiVersion', label: 'API version', placeholder: Config.AZURE_API_VERSION, providers: ['azure'] }
+];
+
+const OPTIONS_STYLES = `
+  body {
+    font-family: Arial, sans-serif;
+    max-width: 640px;
+    margin: 20px auto;
+    color: #222;
+  }
+  h1 {
+    font-size: 20px;
+    color: #0078d4;
+  }
+  h2 {
+    font-size: 15px;
+    margin-top: 25px;
+    border-bottom: 1px solid #ddd;
+    padding-bottom: 5px;
+  }
+  label {
+    display: block;
+    margin: 12px 0 4px;
+  }
+  input, select, textarea {
+    width: 100%;
+    box-sizing: border-box;
+    padding: 6px;
+  }
+  textarea {
+    min-height: 120px;
+    font-family: monospace;
+  }
+  .hint {
+    font-size: 12px;
+    color: #666;
+  }
+  .field[hidden] {
+    display: none;
+  }
+  .actions {
+    margin-top: 25px;
+    display: flex;
+    gap: 10px;
+  }
+  button {
+    padding: 8px 14px;
+    cursor: pointer;
+  }
+  #save-button {
+    background-color: #0078d4;
+    color: white;
+    border: none;
+    border-radius: 3px;
+  }
+  #options-status {
+    margin-top: 15px;
+    padding: 8px;
+    border-radius: 3px;
+    display: none;
+  }
+  #options-status.success {
+    display: block;
+    background-color: #d4edda;
+    color: #155724;
+  }
+  #options-status.error {
+    display: block;
+    background-color: #f8d7da;
+    color: #721c24;
+  }
+  #options-status.pending {
+    display: block;
+    background-color: #f0f0f0;
+    color: #333;
+  }
+`;
+
+/**
+ * Promise wrapper around chrome.storage get
+ * @param {string} area - "sync" or "local"
+ * @param {string[]} keys - Keys to read
+ * @returns {Promise<Object>} - Stored values
+ */
+function storageGet(area, keys) {
+  return new Promise((resolve) => {
+    chrome.storage[area].get(keys, (data) => resolve(data || {}));
+  });
+}
+
+/**
+ * Promise wrapper around chrome.storage set
+ * @param {string} area - "sync" or "local"
+ * @param {Object} items - Items to store
+ * @returns {Promise<void>}
+ */
+function storageSet(area, items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Build the options form
+ * @returns {string} - Form HTML
+ */
+function buildOptionsHTML() {
+  const providerOptions = Object.values(providers)
+    .map(provider => `<option value="${provider.id}">${provider.label}</option>`)
+    .join('');
+
+  const withoutGlossary = Object.values(providers)
+    .filter(provider => !provider.supportsGlossary)
+    .map(provider => provider.id)
+    .join(' ');
+
+  const providerFields = PROVIDER_FIELDS.map(field => `
+    <div class="field provider-field" data-providers="${field.providers.join(' ')}">
+      <label for="provider-${field.key}">${field.label}</label>
+      <input type="text" id="provider-${field.key}" placeholder="${field.placeholder}"${field.list ? ` list="${field.list}"` : ''}>
+    </div>`).join('');
+
+  const tuningFields = Object.entries(TUNING_SETTINGS).map(([key, setting]) => setting.options ? `
+    <div class="field">
+      <label for="tuning-${key}">${setting.label}</label>
+      <select id="tuning-${key}">
+        <option value="">Default (${setting.options[TUNING_DEFAULTS[key]]})</option>
+        ${Object.entries(setting.options).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+    </div>` : `
+    <div class="field">
+      <label for="tuning-${key}">${setting.label}</label>
+      <input type="number" id="tuning-${key}" min="${setting.min}" max="${setting.max}" step="${setting.step}" placeholder="${TUNING_DEFAULTS[key]}">
+      <div class="hint">Default ${TUNING_DEFAULTS[key]}, allowed ${setting.min}–${setting.max}</div>
+    </div>`).join('');
+
+  return `
+    <style>${OPTIONS_STYLES}</style>
+    <h1>Teams Subtitle Translator – Settings</h1>
+
+    <h2>Translation provider</h2>
+    <label for="provider-select">Provider</label>
+    <select id="provider-select">${providerOptions}</select>
+    <div class="hint provider-field" data-providers="${withoutGlossary}">This provider doesn't use the glossary, so its translations aren't checked against it.</div>
+
+    <div class="field">
+      <label for="api-key">API key</label>
+      <input type="password" id="api-key" autocomplete="off">
+      <div class="hint">Each provider keeps its own key. Stored on this device only and used by the extension's background worker, never by the Teams page.</div>
+    </div>
+    ${providerFields}
+    <datalist id="model-suggestions">
+      ${MODEL_SUGGESTIONS.map(model => `<option value="${model}">`).join('')}
+    </datalist>
+
+    <h2>Budget</h2>
+    <div class="hint">Estimated from the token usage each provider reports. Leave a limit empty for no limit.</div>
+    <div class="field">
+      <label for="budget-meetingLimit">Limit per meeting (USD)</label>
+      <input type="number" id="budget-meetingLimit" min="0" step="0.01">
+    </div>
+    <div class="field">
+      <label for="budget-dailyLimit">Limit per day (USD)</label>
+      <input type="number" id="budget-dailyLimit" min="0" step="0.01">
+    </div>
+    <label for="budget-action">When a limit is reached</label>
+    <select id="budget-action">
+      ${Object.entries(BUDGET_ACTIONS).map(([action, label]) => `<option value="${action}">${label}</option>`).join('')}
+    </select>
+
+    <h2>Caption selectors</h2>
+    <div class="hint">Only needed when Teams changes its page and captions are no longer found. Overrides extend a built-in profile (${Object.keys(SELECTOR_PROFILES).join(', ')}).</div>
+    <label for="profile-override">Selector profile override (JSON)</label>
+    <textarea id="profile-override" placeholder='{ "extends": "teams-v2", "captionText": ["[data-tid=&quot;closed-caption-text&quot;]"] }'></textarea>
+    <label for="profile-override-file">Or import a JSON file</label>
+    <input type="file" id="profile-override-file" accept="application/json,.json">
+    <div class="actions">
+      <button id="profile-override-save">Save override</button>
+      <button id="profile-override-clear">Clear override</button>
+    </div>
+
+    <h2>Segmentation and throttling</h2>
+    <div class="hint">Leave a field empty to use the default. Changes apply to running translations right away.</div>
+    ${tuningFields}
+
+    <div class="actions">
+      <button id="save-button">Save and test connection</button>
+      <button id="reset-button">Reset tuning to defaults</button>
+    </div>
+    <div id="options-status"></div>
+  `;
+}
+
+/**
+ * Show a status message
+ * @param {string} message - Message
+ * @param {string} type - success, error or pending
+ */
+function showStatus(message, type) {
+  const status = document.getElementById('options-status');
+  status.textContent = message;
+  status.className = type;
+}
+
+/**
+ * Show only the provider fields used by the selected provider
+ */
+function updateProviderFields() {
+  const providerId = document.getElementById('provider-select').value;
+  document.querySelectorAll('.provider-field').forEach(field => {
+    field.hidden = !field.dataset.providers.split(' ').includes(providerId);
+  });
+}
+
+/**
+ * Show the stored API key of the selected provider
+ * @returns {Promise<void>}
+ */
+async function showApiKey() {
+  const storageKey = getApiKeyStorageKey(document.getElementById('provider-select').value);
+  const local = await storageGet('local', [storageKey]);
+  document.getElementById('api-key').value = local[storageKey] || '';
+}
+
+/**
+ * Fill the budget fields
+ * @param {Object} budget - Normalized budget
+ */
+function showBudget(budget) {
+  document.getElementById('budget-meetingLimit').value = budget.meetingLimit || '';
+  document.getElementById('budget-dailyLimit').value = budget.dailyLimit || '';
+  document.getElementById('budget-action').value = budget.action;
+}
+
+/**
+ * Fill the form from storage
+ * @returns {Promise<void>}
+ */
+async function loadOptions() {
+  const synced = await storageGet('sync', ['providerSettings', TUNING_STORAGE_KEY, BUDGET_STORAGE_KEY, PROFILE_OVERRIDE_KEY]);
+  const providerSettings = synced.providerSettings || {};
+  const tuning = synced[TUNING_STORAGE_KEY] || {};
+  const budget = normalizeBudget(synced[BUDGET_STORAGE_KEY]);
+  const providerId = providerSettings.provider || Config.DEFAULT_PROVIDER;
+  const apiKeyStorageKey = getApiKeyStorageKey(providerId);
+  const local = await storageGet('local', [apiKeyStorageKey]);
+
+  document.getElementById('provider-select').value = providerId;
+  document.getElementById('api-key').value = local[apiKeyStorageKey] || '';
+  for (const field of PROVIDER_FIELDS) {
+    document.getElementById(`provider-${field.key}`).value = providerSettings[field.key] || '';
+  }
+  for (const key of Object.keys(TUNING_SETTINGS)) {
+    document.getElementById(`tuning-${key}`).value = tuning[key] ?? '';
+  }
+  showBudget(budget);
+  document.getElementById('profile-override').value = synced[PROFILE_OVERRIDE_KEY]
+    ? JSON.stringify(synced[PROFILE_OVERRIDE_KEY], null, 2)
+    : '';
+
+  updateProviderFields();
+}
+
+/**
+ * Save the form and validate the credentials with a connection check
+ * @returns {Promise<void>}
+ */
+async function saveOptions() {
+  const { providerSettings: previous = {} } = await storageGet('sync', ['providerSettings']);
+
+  const providerSettings = { ...previous, provider: document.getElementById('provider-select').value };
+  for (const field of PROVIDER_FIELDS) {
+    providerSettings[field.key] = document.getElementById(`provider-${field.key}`).value.trim();
+  }
+
+  const tuning = normalizeTuningSettings(Object.fromEntries(
+    Object.keys(TUNING_SETTINGS).map(key => [key, document.getElementById(`tuning-${key}`).value])
+  ));
+
+  const budget = normalizeBudget({
+    meetingLimit: document.getElementById('budget-meetingLimit').value,
+    dailyLimit: document.getElementById('budget-dailyLimit').value,
+    action: document.getElementById('budget-action').value
+  });
+
+  showStatus('Saving and testing the connection...', 'pending');
+
+  try {
+    await storageSet('local', { [getApiKeyStorageKey(providerSettings.provider)]: document.getElementById('api-key').value.trim() });
+    await storageSet('sync', { providerSettings, [TUNING_STORAGE_KEY]: tuning, [BUDGET_STORAGE_KEY]: budget });
+  } catch (error) {
+    console.error("Error saving options:", error);
+    showStatus(`Could not save settings: ${error.message}`, 'error');
+    return;
+  }
+
+  // Show clamped values as they were stored
+  for (const key of Object.keys(TUNING_SETTINGS)) {
+    document.getElementById(`tuning-${key}`).value = tuning[key] ?? '';
+  }
+  showBudget(budget);
+
+  setProviderSettings(providerSettings);
+  const connectionOk = await checkApiConnection();
+  if (connectionOk) {
+    showStatus(`Settings saved. Connected to ${providers[providerSettings.provider]?.label || providerSettings.provider}.`, 'success');
+  } else {
+    showStatus('Settings saved, but the connection check failed. Check the API key, endpoint and model.', 'error');
+  }
+}
+
+/**
+ * Clear all tuning fields back to the defaults
+ * @returns {Promise<void>}
+ */
+async function resetTuning() {
+  for (const key of Object.keys(TUNING_SETTINGS)) {
+    document.getElementById(`tuning-${key}`).value = '';
+  }
+  await storageSet('sync', { [TUNING_STORAGE_KEY]: {} });
+  showStatus('Tuning reset to defaults.', 'success');
+}
+
+/**
+ * Validate and save the selector profile override, an empty field clears it
+ * @returns {Promise<void>}
+ */
+async function saveProfileOverride() {
+  const text = document.getElementById('profile-override').value.trim();
+  if (!text) {
+    await clearProfileOverride();
+    return;
+  }
+
+  let override;
+  try {
+    override = JSON.parse(text);
+    normalizeProfileOverride(override);
+  } catch (error) {
+    showStatus(`Invalid selector profile override: ${error.message}`, 'error');
+    return;
+  }
+
+  try {
+    await storageSet('sync', { [PROFILE_OVERRIDE_KEY]: override });
+  } catch (error) {
+    console.error("Error saving selector profile override:", error);
+    showStatus(`Could not save the override: ${error.message}`, 'error');
+    return;
+  }
+
+  document.getElementById('profile-override').value = JSON.stringify(override, null, 2);
+  showStatus('Selector profile override saved. Open Teams tabs use it right away.', 'success');
+}
+
+/**
+ * Remove the selector profile override, which brings back auto-detection
+ * @returns {Promise<void>}
+ */
+async function clearProfileOverride() {
+  await new Promise((resolve) => {
+    chrome.storage.sync.remove(PROFILE_OVERRIDE_KEY, () => resolve());
+  });
+  document.getElementById('profile-override').value = '';
+  showStatus('Selector profile override cleared.', 'success');
+}
+
+/**
+ * Load a selector profile override from the chosen JSON file and save it
+ * @param {Event} event - Change event of the file input
+ * @returns {Promise<void>}
+ */
+async function importProfileOverride(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  document.getElementById('profile-override').value = await file.text();
+  event.target.value = '';
+  await saveProfileOverride();
+}
+
+/**
+ * Build the page and wire up its controls
+ */
+function initOptionsPage() {
+  document.body.innerHTML = buildOptionsHTML();
+
+  document.getElementById('provider-select').addEventListener('change', () => {
+    updateProviderFields();
+    showApiKey();
+  });
+  document.getElementById('save-button').addEventListener('click', saveOptions);
+  document.getElementById('reset-button').addEventListener('click', resetTuning);
+  document.getElementById('profile-override-save').addEventListener('click', saveProfileOverride);
+  document.getElementById('profile-override-clear').addEventListener('click', clearProfileOverride);
+  document.getElementById('profile-override-file').addEventListener('change', importProfileOverride);
+
+  loadOptions();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initOptionsPage);
+} else {
+  initOptionsPage();
+}
+
+export {
+  initOptionsPage,
+  saveOptions,
+  saveProfileOverride,
+  clearProfileOverride
+};
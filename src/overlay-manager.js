@@ -0,0 +1,334 @@
+// In-page overlay management
+import { debugLog, isPendingTranslation } from './utils.js';
+import { findCaptionContainer } from './selector-profiles.js';
+
+// Host element of the overlay and its shadow root
+let overlayHost = null;
+let overlayRoot = null;
+
+// Storage key for the remembered overlay position and size
+const OVERLAY_BOUNDS_KEY = 'overlayBounds';
+
+// Number of recent utterances shown in the overlay
+const MAX_OVERLAY_LINES = 4;
+
+// Default overlay size
+const DEFAULT_WIDTH = 520;
+const DEFAULT_HEIGHT = 140;
+
+// Styles live inside the shadow root so Teams CSS can't affect them
+const OVERLAY_STYLES = `
+  :host {
+    all: initial;
+  }
+  .overlay {
+    position: fixed;
+    z-index: 2147483646;
+    display: flex;
+    flex-direction: column;
+    min-width: 200px;
+    min-height: 60px;
+    background: rgba(20, 20, 20, 0.82);
+    color: white;
+    border-radius: 6px;
+    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.4);
+    font-family: Arial, sans-serif;
+    overflow: hidden;
+    resize: both;
+  }
+  .overlay-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 4px 8px;
+    font-size: 11px;
+    color: #ccc;
+    background: rgba(0, 120, 212, 0.6);
+    cursor: move;
+    user-select: none;
+  }
+  .overlay-close {
+    cursor: pointer;
+    font-weight: bold;
+    padding: 0 4px;
+  }
+  .overlay-body {
+    flex-grow: 1;
+    overflow-y: auto;
+    padding: 6px 10px;
+  }
+  .overlay-line {
+    margin-bottom: 4px;
+    font-size: 16px;
+    line-height: 1.35;
+  }
+  .overlay-line.active {
+    color: #cfe6ff;
+  }
+  .overlay-line.pending {
+    font-style: italic;
+    opacity: 0.75;
+  }
+  .overlay-speaker {
+    font-weight: bold;
+    margin-right: 6px;
+    color: #66b0ff;
+  }
+`;
+
+/**
+ * Find the native Teams caption area to place the overlay under it
+ * @returns {DOMRect|null} - Bounding rect of the captions
+ */
+function getCaptionRect() {
+  const captionElement = findCaptionContainer();
+  return captionElement ? captionElement.getBoundingClientRect() : null;
+}
+
+/**
+ * Compute the default overlay bounds - under the native captions if present
+ * @returns {Object} - Bounds with left, top, width and height
+ */
+function getDefaultBounds() {
+  const captionRect = getCaptionRect();
+  const width = captionRect ? Math.max(captionRect.width, 200) : DEFAULT_WIDTH;
+  const left = captionRect ? captionRect.left : (window.innerWidth - width) / 2;
+  const top = captionRect
+    ? Math.min(captionRect.bottom + 8, window.innerHeight - DEFAULT_HEIGHT)
+    : window.innerHeight - DEFAULT_HEIGHT - 80;
+
+  return { left, top, width, height: DEFAULT_HEIGHT };
+}
+
+/**
+ * Keep bounds inside the visible viewport
+ * @param {Object} bounds - Bounds to clamp
+ * @returns {Object} - Clamped bounds
+ */
+function clampBounds(bounds) {
+  const width = Math.min(bounds.width, window.innerWidth);
+  const height = Math.min(bounds.height, window.innerHeight);
+  return {
+    width,
+    height,
+    left: Math.min(Math.max(bounds.left, 0), window.innerWidth - width),
+    top: Math.min(Math.max(bounds.top, 0), window.innerHeight - height)
+  };
+}
+
+/**
+ * Apply bounds to the overlay element
+ * @param {HTMLElement} overlay - Overlay element
+ * @param {Object} bounds - Bounds to apply
+ */
+function applyBounds(overlay, bounds) {
+  const { left, top, width, height } = clampBounds(bounds);
+  overlay.style.left = `${left}px`;
+  overlay.style.top = `${top}px`;
+  overlay.style.width = `${width}px`;
+  overlay.style.height = `${height}px`;
+}
+
+/**
+ * Remember the current overlay position and size
+ * @param {HTMLElement} overlay - Overlay element
+ */
+function saveBounds(overlay) {
+  const rect = overlay.getBoundingClientRect();
+  chrome.storage.local.set({
+    [OVERLAY_BOUNDS_KEY]: {
+      left: rect.left,
+      top: rect.top,
+      width: rect.width,
+      height: rect.height
+    }
+  });
+}
+
+/**
+ * Make the overlay draggable by its header
+ * @param {HTMLElement} overlay - Overlay element
+ * @param {HTMLElement} handle - Drag handle
+ */
+function setupDragging(overlay, handle) {
+  handle.addEventListener('mousedown', (event) => {
+    // Ignore clicks on the close button
+    if (event.target.closest('.overlay-close')) return;
+
+    event.preventDefault();
+    const rect = overlay.getBoundingClientRect();
+    const offsetX = event.clientX - rect.left;
+    const offsetY = event.clientY - rect.top;
+
+    const onMouseMove = (moveEvent) => {
+      applyBounds(overlay, {
+        left: moveEvent.clientX - offsetX,
+        top: moveEvent.clientY - offsetY,
+        width: rect.width,
+        height: rect.height
+      });
+    };
+
+    const onMouseUp = () => {
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+      saveBounds(overlay);
+    };
+
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+  });
+}
+
+/**
+ * Remember the size when the user resizes the overlay
+ * @param {HTMLElement} overlay - Overlay element
+ */
+function setupResizing(overlay) {
+  // CSS resize handles the interaction, we only persist the result
+  overlay.addEventListener('mouseup', () => {
+    saveBounds(overlay);
+  });
+}
+
+/**
+ * Show the in-page overlay, creating it if needed
+ */
+function showOverlay() {
+  if (overlayHost && overlayHost.isConnected) return;
+
+  try {
+    overlayHost = document.createElement('div');
+    overlayHost.id = 'teams-translator-overlay';
+    overlayRoot = overlayHost.attachShadow({ mode: 'open' });
+
+    overlayRoot.innerHTML = `
+      <style>${OVERLAY_STYLES}</style>
+      <div class="overlay">
+        <div class="overlay-header">
+          <span>Translated captions</span>
+          <span class="overlay-close" title="Hide overlay">&times;</span>
+        </div>
+        <div class="overlay-body"></div>
+      </div>
+    `;
+
+    const overlay = overlayRoot.querySelector('.overlay');
+    applyBounds(overlay, getDefaultBounds());
+
+    // Restore the remembered position and size
+    chrome.storage.local.get([OVERLAY_BOUNDS_KEY], (data) => {
+      if (data[OVERLAY_BOUNDS_KEY]) {
+        applyBounds(overlay, data[OVERLAY_BOUNDS_KEY]);
+      }
+    });
+
+    setupDragging(overlay, overlayRoot.querySelector('.overlay-header'));
+    setupResizing(overlay);
+
+    overlayRoot.querySelector('.overlay-close').addEventListener('click', () => {
+      hideOverlay();
+    });
+
+    document.body.appendChild(overlayHost);
+    debugLog("Overlay shown");
+  } catch (error) {
+    console.error("Error showing overlay:", error);
+    debugLog(`Error showing overlay: ${error.message}`);
+  }
+}
+
+/**
+ * Hide and remove the in-page overlay
+ */
+function hideOverlay() {
+  if (overlayHost) {
+    overlayHost.remove();
+    overlayHost = null;
+    overlayRoot = null;
+    debugLog("Overlay hidden");
+  }
+}
+
+/**
+ * Check if the overlay is currently shown
+ * @returns {boolean} - True if the overlay is on the page
+ */
+function isOverlayVisible() {
+  return !!(overlayHost && overlayHost.isConnected);
+}
+
+/**
+ * Update the overlay with the most recent utterances
+ * @param {Object} translatedUtterances - Map of speaker IDs to their latest utterances
+ * @param {Object} activeSpeakers - Map of active speakers
+ */
+function updateOverlayDisplay(translatedUtterances, activeSpeakers) {
+  if (!isOverlayVisible()) return;
+
+  try {
+    const lines = {};
+
+    // Latest utterance per speaker
+    for (const speakerId in translatedUtterances) {
+      const utterance = translatedUtterances[speakerId];
+      if (utterance) {
+        lines[utterance.id] = {
+          id: utterance.id,
+          speaker: utterance.speaker,
+          text: utterance.translated,
+          active: false
+        };
+      }
+    }
+
+    // Active utterances override finalized ones with the same ID
+    for (const speakerId in activeSpeakers) {
+      const speaker = activeSpeakers[speakerId];
+      if (!speaker || !speaker.utteranceId || !speaker.fullText) continue;
+
+      // The source text stands in until a translation arrives
+      const pending = isPendingTranslation(speaker.translatedText);
+      lines[speaker.utteranceId] = {
+        id: speaker.utteranceId,
+        speaker: speaker.speaker,
+        text: pending ? speaker.fullText : speaker.translatedText,
+        active: true,
+        pending
+      };
+    }
+
+    const recentLines = Object.values(lines)
+      .sort((a, b) => a.id - b.id)
+      .slice(-MAX_OVERLAY_LINES);
+
+    const body = overlayRoot.querySelector('.overlay-body');
+    body.innerHTML = '';
+
+    for (const line of recentLines) {
+      const lineEl = document.createElement('div');
+      lineEl.className = line.active ? 'overlay-line active' : 'overlay-line';
+      lineEl.classList.toggle('pending', Boolean(line.pending));
+
+      const speakerEl = document.createElement('span');
+      speakerEl.className = 'overlay-speaker';
+      speakerEl.textContent = `${line.speaker}:`;
+      lineEl.appendChild(speakerEl);
+
+      lineEl.appendChild(document.createTextNode(line.text || ""));
+      body.appendChild(lineEl);
+    }
+
+    body.scrollTop = body.scrollHeight;
+  } catch (error) {
+    console.error("Error updating overlay:", error);
+    debugLog(`Error updating overlay: ${error.message}`);
+  }
+}
+
+export {
+  showOverlay,
+  hideOverlay,
+  isOverlayVisible,
+  updateOverlayDisplay
+};
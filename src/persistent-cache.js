@@ -0,0 +1,239 @@
+// Persistent translation cache in IndexedDB - owned by the background service worker
+import Config from './config.js';
+
+const DB_NAME = 'translation-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'translations';
+
+// Expired entries are looked for at most this often
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// Share of the size limit freed when it is exceeded, so not every write has to prune
+const EVICTION_SLACK = 0.1;
+
+// Open database, shared by all requests
+let dbPromise = null;
+
+// Number of stored entries, null until the first prune counted them
+let storedEntries = null;
+let lastPruneAt = 0;
+
+/**
+ * Open the cache database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openCacheDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('createdAt', 'createdAt');
+        store.createIndex('lastUsed', 'lastUsed');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Try again on the next request
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a transaction on the translations store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} work - Called with the store, returns the transaction result
+ * @returns {Promise<*>} - Result of work once the transaction completes
+ */
+async function withStore(mode, work) {
+  const db = await openCacheDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const result = work(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Check if an entry is older than the cache TTL
+ * @param {Object} entry - Stored entry
+ * @param {number} now - Current time
+ * @returns {boolean} - True if expired
+ */
+function isExpired(entry, now) {
+  return now - entry.createdAt > Config.PERSISTENT_CACHE_TTL;
+}
+
+/**
+ * Look up cached translations, dropping expired entries
+ * @param {string[]} keys - Cache keys
+ * @returns {Promise<Object>} - Translations by key, only for the keys found
+ */
+function getCachedTranslations(keys) {
+  const now = Date.now();
+
+  return withStore('readwrite', (store) => {
+    const found = {};
+
+    for (const key of keys) {
+      store.get(key).onsuccess = (event) => {
+        const entry = event.target.result;
+        if (!entry) return;
+
+        if (isExpired(entry, now)) {
+          store.delete(key);
+          if (storedEntries !== null) storedEntries--;
+          return;
+        }
+
+        found[key] = entry.value;
+        store.put({ ...entry, lastUsed: now });
+      };
+    }
+
+    return found;
+  });
+}
+
+/**
+ * Store translations, pruning only when the size limit is exceeded or the prune interval has passed
+ * @param {Object} entries - Translations by cache key
+ * @returns {Promise<number>} - Number of stored entries
+ */
+async function putCachedTranslations(entries) {
+  const now = Date.now();
+
+  const stats = await withStore('readwrite', (store) => {
+    const stats = { added: 0 };
+
+    for (const [key, value] of Object.entries(entries)) {
+      if (typeof value === 'string' && value) {
+        // Overwriting an entry doesn't change the count
+        store.get(key).onsuccess = (event) => {
+          if (!event.target.result) stats.added++;
+          store.put({ key, value, createdAt: now, lastUsed: now });
+        };
+      }
+    }
+
+    return stats;
+  });
+
+  if (storedEntries !== null) {
+    storedEntries += stats.added;
+  }
+
+  if (storedEntries === null || storedEntries > Config.PERSISTENT_CACHE_MAX_ENTRIES || now - lastPruneAt >= PRUNE_INTERVAL) {
+    await pruneCachedTranslations();
+  }
+  return storedEntries;
+}
+
+/**
+ * Delete expired entries, then the least recently used ones above the size limit.
+ * Above the limit a little more is evicted, so the next writes don't have to prune again.
+ * @returns {Promise<number>} - Number of deleted entries
+ */
+function pruneCachedTranslations() {
+  const now = Date.now();
+  const expiredBefore = now - Config.PERSISTENT_CACHE_TTL;
+
+  return withStore('readwrite', (store) => {
+    const stats = { deleted: 0, remaining: 0 };
+
+    const deleteLeastRecentlyUsed = () => {
+      store.count().onsuccess = (event) => {
+        stats.remaining = event.target.result;
+        if (stats.remaining <= Config.PERSISTENT_CACHE_MAX_ENTRIES) return;
+
+        let excess = stats.remaining - Config.PERSISTENT_CACHE_MAX_ENTRIES +
+          Math.floor(Config.PERSISTENT_CACHE_MAX_ENTRIES * EVICTION_SLACK);
+
+        store.index('lastUsed').openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          stats.deleted++;
+          stats.remaining--;
+          excess--;
+          cursor.continue();
+        };
+      };
+    };
+
+    store.index('createdAt').openCursor(IDBKeyRange.upperBound(expiredBefore, true)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        deleteLeastRecentlyUsed();
+        return;
+      }
+      cursor.delete();
+      stats.deleted++;
+      cursor.continue();
+    };
+
+    return stats;
+  }).then((stats) => {
+    storedEntries = stats.remaining;
+    lastPruneAt = now;
+    return stats.deleted;
+  });
+}
+
+/**
+ * Delete all entries whose key matches a predicate
+ * @param {Function} predicate - Called with each cache key
+ * @returns {Promise<number>} - Number of deleted entries
+ */
+function deleteCachedTranslationsWhere(predicate) {
+  return withStore('readwrite', (store) => {
+    const stats = { deleted: 0 };
+
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (predicate(cursor.value.key)) {
+        cursor.delete();
+        stats.deleted++;
+      }
+      cursor.continue();
+    };
+
+    return stats;
+  }).then((stats) => {
+    if (storedEntries !== null) {
+      storedEntries -= stats.deleted;
+    }
+    return stats.deleted;
+  });
+}
+
+/**
+ * Count the stored entries
+ * @returns {Promise<number>} - Number of entries
+ */
+function countCachedTranslations() {
+  return withStore('readonly', (store) => {
+    const stats = { count: 0 };
+    store.count().onsuccess = (event) => {
+      stats.count = event.target.result;
+    };
+    return stats;
+  }).then(stats => stats.count);
+}
+
+export {
+  getCachedTranslations,
+  putCachedTranslations,
+  pruneCachedTranslations,
+  deleteCachedTranslationsWhere,
+  countCachedTranslations
+};
@@ -1,5 +1,25 @@
 // Popup window management
-import { debugLog, getDebugLogs } from './utils.js';
+import Config from './config.js';
+import { debugLog, getDebugLogs, isPendingTranslation } from './utils.js';
+import { getCurrentSession, saveMeetingSummary } from './transcript-store.js';
+import { EXPORT_FORMATS, buildTranscriptExport } from './transcript-export.js';
+import { getActiveProfileInfo } from './selector-profiles.js';
+import { getCacheStats } from './translation-service.js';
+import { getUsageSummary, onUsageChange } from './usage-tracker.js';
+import { getSchedulerStats } from './request-scheduler.js';
+import { summarizeMeeting } from './meeting-summary.js';
+import { createFilters, isSearchActive, applySearch } from './transcript-search.js';
+import {
+  resolveSpeakerId,
+  getSpeakerName,
+  getSpeakerColor,
+  isSpeakerMuted,
+  renameSpeaker,
+  setSpeakerColor,
+  setSpeakerMuted,
+  mergeSpeakers,
+  onSpeakerMappingsChange
+} from './speaker-registry.js';
 
 // Reference to the popup window
 let popupWindow = null;
@@ -19,6 +39,26 @@ const accumulatedTranslations = {};
 // Maintain speaker history to preserve order
 const speakerDisplayOrder = [];
 
+// How utterances are shown: 'translated', 'original', 'stacked' or 'columns'
+let transcriptView = 'translated';
+
+// How utterances are arranged: 'grouped' by speaker or interleaved in a 'timeline'
+let transcriptLayout = 'grouped';
+
+// Latest meeting summary, shown in the summary tab and included in exports
+let meetingSummary = null;
+let summaryError = null;
+let isSummarizing = false;
+
+// Search text and filters of the translations window, with the current hit
+const searchFilters = createFilters();
+let searchHits = [];
+let searchHitIndex = -1;
+
+// Output languages of the meeting and the one shown ('all' shows every language)
+let translationLanguages = [];
+let displayLanguage = 'all';
+
 // Check if current browser supports native clipboard API
 const hasNativeClipboard = () => {
   return navigator.clipboard && typeof navigator.clipboard.writeText === 'function';
@@ -100,6 +140,38 @@ function openTranslationsWindow(updateTranslationsDisplay) {
               font-weight: bold;
               border-bottom: 2px solid #0078d4;
             }
+            .search-bar {
+              display: flex;
+              flex-wrap: wrap;
+              align-items: center;
+              gap: 6px;
+              padding: 6px 10px;
+              background: #fafafa;
+              border-bottom: 1px solid #ddd;
+              font-size: 12px;
+            }
+            #search-input {
+              flex: 1 1 160px;
+              padding: 3px 6px;
+            }
+            #search-count {
+              min-width: 40px;
+              color: #666;
+            }
+            .search-bar button {
+              padding: 2px 8px;
+            }
+            .speaker-block[hidden],
+            .utterance[hidden] {
+              display: none;
+            }
+            mark.search-hit {
+              background: #fff3a0;
+              color: inherit;
+            }
+            mark.search-hit.current {
+              background: #ffb84d;
+            }
             #main-container {
               flex-grow: 1;
               display: flex;
@@ -113,6 +185,54 @@ function openTranslationsWindow(updateTranslationsDisplay) {
               background-color: white;
               scroll-behavior: smooth;
             }
+            #summary-container {
+              flex-grow: 1;
+              overflow-y: auto;
+              padding: 15px;
+              background-color: white;
+              display: none;
+            }
+            #summary-container h3 {
+              margin: 15px 0 5px;
+              font-size: 15px;
+              color: #0078d4;
+            }
+            #summary-container h3:first-child {
+              margin-top: 0;
+            }
+            .summary-empty {
+              color: #666;
+              font-style: italic;
+            }
+            #speakers-container {
+              flex-grow: 1;
+              overflow-y: auto;
+              padding: 15px;
+              background-color: white;
+              display: none;
+            }
+            .speaker-row {
+              display: flex;
+              align-items: center;
+              gap: 8px;
+              padding: 6px 0;
+              border-bottom: 1px solid #eee;
+              font-size: 13px;
+            }
+            .speaker-row.muted .speaker-rename {
+              color: #999;
+              text-decoration: line-through;
+            }
+            .speaker-rename {
+              flex: 1;
+              padding: 3px 6px;
+            }
+            .speaker-color {
+              width: 32px;
+              height: 24px;
+              padding: 0;
+              border: none;
+            }
             #debug-container {
               flex-grow: 1;
               overflow-y: auto;
@@ -184,6 +304,100 @@ function openTranslationsWindow(updateTranslationsDisplay) {
               font-size: 15px;
               line-height: 1.4;
             }
+            .utterance-text.pending {
+              color: #666;
+              font-style: italic;
+            }
+            .utterance-original {
+              display: none;
+              font-size: 13px;
+              line-height: 1.4;
+              color: #666;
+            }
+            .view-translated .utterance {
+              cursor: pointer;
+            }
+            .layout-timeline .speaker-block {
+              margin-bottom: 8px;
+              border-left: none;
+              padding-left: 0;
+            }
+            .layout-timeline .speaker-name {
+              font-size: 13px;
+              margin-bottom: 2px;
+            }
+            .layout-timeline .utterances-container {
+              margin: 0 0 0 32px;
+            }
+            .layout-timeline .utterance {
+              margin-bottom: 4px;
+            }
+            .view-translated .utterance.show-original .utterance-original,
+            .view-stacked .utterance-original,
+            .view-columns .utterance-original {
+              display: block;
+            }
+            .view-translated .utterance.show-original .utterance-original,
+            .view-stacked .utterance-original {
+              margin-top: 5px;
+              padding-top: 5px;
+              border-top: 1px dashed #ddd;
+            }
+            .view-original .utterance-text {
+              display: none;
+            }
+            .view-original .utterance-original {
+              display: block;
+              font-size: 15px;
+              color: inherit;
+            }
+            .view-columns .utterance-body {
+              display: grid;
+              grid-template-columns: 1fr 1fr;
+              gap: 10px;
+            }
+            .view-columns .utterance-original {
+              order: -1;
+              padding-right: 10px;
+              border-right: 1px solid #ddd;
+            }
+            .glossary-warning {
+              display: none;
+              font-size: 11px;
+              color: #a4262c;
+              background: #fde7e9;
+              border-radius: 3px;
+              padding: 2px 5px;
+              margin-top: 5px;
+            }
+            .utterance.has-violations .glossary-warning {
+              display: inline-block;
+            }
+            .translation-line {
+              margin-bottom: 3px;
+            }
+            .lang-badge {
+              display: inline-block;
+              min-width: 22px;
+              font-size: 10px;
+              font-weight: bold;
+              text-align: center;
+              color: #0078d4;
+              border: 1px solid #0078d4;
+              border-radius: 3px;
+              margin-right: 6px;
+              text-transform: uppercase;
+            }
+            .lang-badge.source-lang {
+              color: #888;
+              border-color: #bbb;
+            }
+            .view-select {
+              margin-left: auto;
+              align-self: center;
+              margin-right: 10px;
+              padding: 3px;
+            }
             .timestamp {
               font-size: 11px;
               color: #888;
@@ -213,6 +427,22 @@ function openTranslationsWindow(updateTranslationsDisplay) {
             button:hover {
               background-color: #106ebe;
             }
+            .export-group {
+              display: flex;
+              gap: 5px;
+            }
+            .export-group select {
+              padding: 6px;
+              border: 1px solid #ddd;
+              border-radius: 3px;
+            }
+            .debug-status {
+              padding: 6px 8px;
+              margin-bottom: 8px;
+              background-color: #f0f6fc;
+              border-left: 3px solid #0078d4;
+              color: #333;
+            }
             .debug-entry {
               color: #666;
               margin-bottom: 3px;
@@ -230,6 +460,16 @@ function openTranslationsWindow(updateTranslationsDisplay) {
               background-color: #0078d4;
               color: white;
             }
+            .usage-display {
+              margin-left: auto;
+              margin-right: 10px;
+              font-size: 12px;
+              opacity: 0.9;
+            }
+            .usage-display.budget-reached {
+              font-weight: bold;
+              color: #ffd966;
+            }
             .time-group-separator {
               text-align: center;
               margin: 20px 0;
@@ -301,16 +541,45 @@ function openTranslationsWindow(updateTranslationsDisplay) {
         <body>
           <header>
             <h2>Teams Subtitle Translator</h2>
+            <span id="usage-display" class="usage-display"></span>
             <span id="status-badge" class="badge active">Active</span>
           </header>
           
           <div class="tab-container">
             <div id="translations-tab" class="tab active">Translations</div>
+            <div id="summary-tab" class="tab">Summary</div>
+            <div id="speakers-tab" class="tab">Speakers</div>
             <div id="debug-tab" class="tab">Debug</div>
+            <select id="language-select" class="view-select" title="Translation language" style="display: none;"></select>
+            <select id="view-select" class="view-select" title="Transcript view">
+              <option value="translated">Translated</option>
+              <option value="original">Original</option>
+              <option value="stacked">Bilingual (stacked)</option>
+              <option value="columns">Bilingual (columns)</option>
+            </select>
+            <select id="layout-select" class="view-select" title="Transcript layout">
+              <option value="grouped">Grouped by speaker</option>
+              <option value="timeline">Timeline</option>
+            </select>
+          </div>
+          
+          <div id="search-bar" class="search-bar">
+            <input type="search" id="search-input" placeholder="Search original and translated text">
+            <span id="search-count"></span>
+            <button id="search-prev" title="Previous match (Shift+Enter)">&#9650;</button>
+            <button id="search-next" title="Next match (Enter)">&#9660;</button>
+            <select id="speaker-filter" title="Speaker">
+              <option value="">All speakers</option>
+            </select>
+            <label>From <input type="time" id="time-from"></label>
+            <label>To <input type="time" id="time-to"></label>
+            <label><input type="checkbox" id="errors-filter"> Errors only</label>
           </div>
           
           <div id="main-container">
-            <div id="subtitles-container"></div>
+            <div id="subtitles-container" class="view-${transcriptView} layout-${transcriptLayout}"></div>
+            <div id="summary-container"></div>
+            <div id="speakers-container"></div>
             <div id="debug-container"></div>
             
             <div id="auto-scroll-toggle">
@@ -324,6 +593,13 @@ function openTranslationsWindow(updateTranslationsDisplay) {
           
           <div class="controls">
             <button id="clearBtn">Clear All</button>
+            <div class="export-group">
+              <select id="exportFormat">
+                ${Object.entries(EXPORT_FORMATS).map(([format, { label }]) => `<option value="${format}">${label}</option>`).join('')}
+              </select>
+              <button id="exportBtn">Export</button>
+            </div>
+            <button id="summarizeBtn">Summarize</button>
             <button id="copyBtn">Copy to Clipboard</button>
           </div>
         </body>
@@ -340,6 +616,8 @@ function openTranslationsWindow(updateTranslationsDisplay) {
         setupPopupEventListeners(updateTranslationsDisplay);
         debugLog("Popup event listeners setup complete");
         
+        updateUsageDisplay(getUsageSummary());
+        
         // Force an initial update
         updateTranslationsDisplay({}, {});
       }, 300);
@@ -365,29 +643,43 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
   if (!isPopupAccessible()) return;
   
   try {
-    // Tab switching
-    const translationsTab = popupWindow.document.getElementById('translations-tab');
-    const debugTab = popupWindow.document.getElementById('debug-tab');
+    // Tab switching - each tab shows one container
     const subtitlesContainer = popupWindow.document.getElementById('subtitles-container');
-    const debugContainer = popupWindow.document.getElementById('debug-container');
+    const tabs = [
+      ['translations-tab', 'subtitles-container'],
+      ['summary-tab', 'summary-container'],
+      ['speakers-tab', 'speakers-container'],
+      ['debug-tab', 'debug-container']
+    ].map(([tabId, containerId]) => [
+      popupWindow.document.getElementById(tabId),
+      popupWindow.document.getElementById(containerId)
+    ]);
     
-    if (translationsTab && debugTab && subtitlesContainer && debugContainer) {
-      translationsTab.addEventListener('click', function() {
-        translationsTab.classList.add('active');
-        debugTab.classList.remove('active');
-        subtitlesContainer.style.display = 'block';
-        debugContainer.style.display = 'none';
-      });
-      
-      debugTab.addEventListener('click', function() {
-        debugTab.classList.add('active');
-        translationsTab.classList.remove('active');
-        subtitlesContainer.style.display = 'none';
-        debugContainer.style.display = 'block';
-        
-        // Update debug logs when tab is shown
-        updateDebugLogs();
-      });
+    const searchBar = popupWindow.document.getElementById('search-bar');
+    
+    if (tabs.every(([tab, container]) => tab && container)) {
+      for (const [tab] of tabs) {
+        tab.addEventListener('click', function() {
+          for (const [otherTab, container] of tabs) {
+            otherTab.classList.toggle('active', otherTab === tab);
+            container.style.display = otherTab === tab ? 'block' : 'none';
+          }
+          
+          // Search only applies to the transcript
+          if (searchBar) {
+            searchBar.style.display = tab.id === 'translations-tab' ? '' : 'none';
+          }
+          
+          // Update the tab's content when it is shown
+          if (tab.id === 'debug-tab') {
+            updateDebugLogs();
+          } else if (tab.id === 'summary-tab') {
+            renderSummary();
+          } else if (tab.id === 'speakers-tab') {
+            renderSpeakerPanel();
+          }
+        });
+      }
     }
     
     // Clear button
@@ -442,13 +734,76 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
       });
     }
     
+    // Transcript view selection
+    const viewSelect = popupWindow.document.getElementById('view-select');
+    if (viewSelect && subtitlesContainer) {
+      viewSelect.value = transcriptView;
+      viewSelect.addEventListener('change', function() {
+        setTranscriptView(viewSelect.value);
+        refreshSearch(false);
+      });
+      
+      // Clicking a translated line reveals its source text
+      subtitlesContainer.addEventListener('click', function(event) {
+        if (transcriptView !== 'translated') return;
+        
+        const utteranceEl = event.target.closest('.utterance');
+        if (utteranceEl) {
+          utteranceEl.classList.toggle('show-original');
+        }
+      });
+    }
+    
+    // Search and filters
+    setupSearchListeners();
+    
+    // Speaker renaming, colors, merging and muting
+    setupSpeakerPanelListeners();
+    
+    // Transcript layout selection
+    const layoutSelect = popupWindow.document.getElementById('layout-select');
+    if (layoutSelect) {
+      layoutSelect.value = transcriptLayout;
+      layoutSelect.addEventListener('change', function() {
+        setTranscriptLayout(layoutSelect.value);
+      });
+    }
+    
+    // Translation language selection
+    const languageSelect = popupWindow.document.getElementById('language-select');
+    if (languageSelect) {
+      renderLanguageOptions();
+      languageSelect.addEventListener('change', function() {
+        displayLanguage = languageSelect.value;
+        updateTranslationsDisplay({}, {});
+        refreshSearch(false);
+      });
+    }
+    
+    // Summarize button
+    const summarizeBtn = popupWindow.document.getElementById('summarizeBtn');
+    if (summarizeBtn) {
+      summarizeBtn.addEventListener('click', function() {
+        summarizeTranscript();
+      });
+    }
+    
+    // Export button
+    const exportBtn = popupWindow.document.getElementById('exportBtn');
+    const exportFormat = popupWindow.document.getElementById('exportFormat');
+    if (exportBtn && exportFormat) {
+      exportBtn.addEventListener('click', function() {
+        exportTranscript(exportFormat.value);
+      });
+    }
+    
     // Auto-scroll toggle
     const autoScrollCheckbox = popupWindow.document.getElementById('auto-scroll-checkbox');
     if (autoScrollCheckbox) {
       autoScrollCheckbox.addEventListener('change', function() {
         const shouldAutoScroll = autoScrollCheckbox.checked;
         
-        if (shouldAutoScroll && subtitlesContainer) {
+        if (shouldAutoScroll && subtitlesContainer && !isSearchActive(searchFilters)) {
           // If turned on, immediately scroll to bottom
           subtitlesContainer.scrollTop = subtitlesContainer.scrollHeight;
         }
@@ -503,6 +858,236 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
   }
 }
 
+/**
+ * Switch the transcript view of the translations window
+ * @param {string} view - 'translated', 'original', 'stacked' or 'columns'
+ */
+function setTranscriptView(view) {
+  transcriptView = view;
+  
+  if (!isPopupAccessible()) return;
+  
+  const subtitlesContainer = popupWindow.document.getElementById('subtitles-container');
+  if (subtitlesContainer) {
+    subtitlesContainer.className = `view-${view} layout-${transcriptLayout}`;
+  }
+}
+
+/**
+ * Switch between utterances grouped by speaker and the interleaved timeline
+ * @param {string} layout - 'grouped' or 'timeline'
+ */
+function setTranscriptLayout(layout) {
+  transcriptLayout = layout;
+  
+  if (!isPopupAccessible()) return;
+  
+  const subtitlesContainer = popupWindow.document.getElementById('subtitles-container');
+  if (subtitlesContainer) {
+    subtitlesContainer.className = `view-${transcriptView} layout-${layout}`;
+  }
+  updateTranslationsDisplay({}, {});
+}
+
+/**
+ * Set the output languages of the meeting
+ * @param {string[]} languages - Output languages, primary first
+ */
+function setTranslationLanguages(languages) {
+  translationLanguages = [...languages];
+  
+  if (displayLanguage !== 'all' && !translationLanguages.includes(displayLanguage)) {
+    displayLanguage = 'all';
+  }
+  
+  renderLanguageOptions();
+}
+
+/**
+ * Fill the language selector of the translations window
+ */
+function renderLanguageOptions() {
+  if (!isPopupAccessible()) return;
+  
+  const languageSelect = popupWindow.document.getElementById('language-select');
+  if (!languageSelect) return;
+  
+  // The selector is only useful with more than one language
+  languageSelect.style.display = translationLanguages.length > 1 ? '' : 'none';
+  languageSelect.innerHTML = [
+    '<option value="all">All languages</option>',
+    ...translationLanguages.map(lang => `<option value="${lang}">${lang.toUpperCase()}</option>`)
+  ].join('');
+  languageSelect.value = displayLanguage;
+}
+
+/**
+ * Setup the search box, hit navigation and filters of the translations window
+ */
+function setupSearchListeners() {
+  const doc = popupWindow.document;
+  const searchInput = doc.getElementById('search-input');
+  if (!searchInput) return;
+  
+  searchInput.addEventListener('input', function() {
+    searchFilters.query = searchInput.value;
+    searchHitIndex = -1;
+    refreshSearch(true);
+  });
+  
+  // Enter jumps to the next hit, Shift+Enter to the previous one
+  searchInput.addEventListener('keydown', function(event) {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      showSearchHit(event.shiftKey ? -1 : 1);
+    }
+  });
+  
+  doc.getElementById('search-prev')?.addEventListener('click', () => showSearchHit(-1));
+  doc.getElementById('search-next')?.addEventListener('click', () => showSearchHit(1));
+  
+  const filterInputs = [
+    ['speaker-filter', 'speakerId', 'value'],
+    ['time-from', 'from', 'value'],
+    ['time-to', 'to', 'value'],
+    ['errors-filter', 'errorsOnly', 'checked']
+  ];
+  
+  for (const [id, key, property] of filterInputs) {
+    const input = doc.getElementById(id);
+    input?.addEventListener('change', function() {
+      searchFilters[key] = input[property];
+      searchHitIndex = -1;
+      refreshSearch(true);
+    });
+  }
+}
+
+/**
+ * Rebuild the speaker filter options from the speakers in the transcript
+ */
+function renderSpeakerFilterOptions() {
+  if (!isPopupAccessible()) return;
+  
+  const speakerFilter = popupWindow.document.getElementById('speaker-filter');
+  if (!speakerFilter) return;
+  
+  const speakerIds = speakerDisplayOrder.filter(speakerId => accumulatedTranslations[speakerId]);
+  const signature = speakerIds.join('|');
+  if (speakerFilter.dataset.rendered === signature) return;
+  speakerFilter.dataset.rendered = signature;
+  
+  // A filtered speaker who was cleared shows everyone again
+  if (!speakerIds.includes(searchFilters.speakerId)) {
+    searchFilters.speakerId = '';
+  }
+  
+  speakerFilter.innerHTML = '<option value="">All speakers</option>';
+  for (const speakerId of speakerIds) {
+    const option = popupWindow.document.createElement('option');
+    option.value = speakerId;
+    option.textContent = accumulatedTranslations[speakerId].speaker;
+    speakerFilter.appendChild(option);
+  }
+  speakerFilter.value = searchFilters.speakerId;
+}
+
+/**
+ * Apply the search and filters to the transcript and update the hit counter
+ * @param {boolean} scrollToHit - Scroll the current hit into view
+ */
+function refreshSearch(scrollToHit) {
+  if (!isPopupAccessible()) return;
+  
+  const subtitlesContainer = popupWindow.document.getElementById('subtitles-container');
+  if (!subtitlesContainer) return;
+  
+  searchHits = applySearch(subtitlesContainer, searchFilters, transcriptView);
+  if (searchHits.length === 0) {
+    searchHitIndex = -1;
+  } else if (searchHitIndex < 0 || searchHitIndex >= searchHits.length) {
+    searchHitIndex = 0;
+  }
+  
+  updateCurrentSearchHit(scrollToHit);
+}
+
+/**
+ * Move to the next or previous search hit, wrapping around at the ends
+ * @param {number} step - 1 for the next hit, -1 for the previous one
+ */
+function showSearchHit(step) {
+  if (searchHits.length === 0) return;
+  
+  searchHitIndex = (searchHitIndex + step + searchHits.length) % searchHits.length;
+  updateCurrentSearchHit(true);
+}
+
+/**
+ * Mark the current search hit and show its position in the counter
+ * @param {boolean} scrollToHit - Scroll the current hit into view
+ */
+function updateCurrentSearchHit(scrollToHit) {
+  searchHits.forEach((hit, index) => hit.classList.toggle('current', index === searchHitIndex));
+  
+  const searchCount = popupWindow.document.getElementById('search-count');
+  if (searchCount) {
+    searchCount.textContent = searchFilters.query.trim()
+      ? `${searchHits.length ? searchHitIndex + 1 : 0}/${searchHits.length}`
+      : '';
+  }
+  
+  const hit = searchHits[searchHitIndex];
+  if (!hit || !scrollToHit) return;
+  
+  // Hits in the hidden source text of the translated view reveal it
+  if (transcriptView === 'translated' && hit.closest('.utterance-original')) {
+    hit.closest('.utterance')?.classList.add('show-original');
+  }
+  hit.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Render the translated text of an utterance in the selected language(s)
+ * @param {HTMLElement} textDiv - Element of the translated text
+ * @param {Object} utterance - Utterance with translated text and translations map
+ */
+function renderTranslatedText(textDiv, utterance) {
+  textDiv.classList.toggle('pending', Boolean(utterance.pending));
+  
+  const translations = utterance.translations || {};
+  const languages = Object.keys(translations);
+  
+  // A single language, or a placeholder before any translation arrived
+  if (displayLanguage !== 'all' || languages.length < 2) {
+    const text = (displayLanguage !== 'all' && translations[displayLanguage]) || utterance.translated || "";
+    if (textDiv.dataset.rendered !== text) {
+      textDiv.textContent = text;
+      textDiv.dataset.rendered = text;
+    }
+    return;
+  }
+  
+  // Skip rebuilding when nothing changed
+  const signature = JSON.stringify(translations);
+  if (textDiv.dataset.rendered === signature) return;
+  textDiv.dataset.rendered = signature;
+  textDiv.innerHTML = '';
+  
+  for (const lang of languages) {
+    const line = popupWindow.document.createElement('div');
+    line.className = 'translation-line';
+    
+    const badge = popupWindow.document.createElement('span');
+    badge.className = 'lang-badge';
+    badge.textContent = lang;
+    line.appendChild(badge);
+    
+    line.appendChild(popupWindow.document.createTextNode(translations[lang] || ""));
+    textDiv.appendChild(line);
+  }
+}
+
 /**
  * Show feedback message in popup
  * @param {string} message - Message to show
@@ -534,6 +1119,162 @@ function showFeedback(message) {
   }
 }
 
+/**
+ * Get the accumulated utterances of all shown speakers sorted by time, with their chosen names
+ * @returns {Object[]} - Utterances of all speakers
+ */
+function getAccumulatedUtterances() {
+  return Object.entries(accumulatedTranslations)
+    .filter(([speakerId]) => !isSpeakerMuted(speakerId))
+    .flatMap(([speakerId, speakerData]) => Object.values(speakerData.utterances).map(utterance => ({
+      ...utterance,
+      speaker: getSpeakerName(speakerId, utterance.speaker)
+    })))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Download the accumulated transcript in the given format
+ * @param {string} format - Export format key
+ */
+function exportTranscript(format) {
+  if (!isPopupAccessible()) return;
+  
+  try {
+    const utterances = getAccumulatedUtterances();
+    if (utterances.length === 0) {
+      showFeedback('Nothing to export yet.');
+      return;
+    }
+    
+    // Timings are relative to the meeting session start
+    const session = getCurrentSession();
+    const meta = session || {
+      title: document.title || 'Teams meeting',
+      startTime: parseInt(utterances[0].id, 10),
+      inputLang: '',
+      outputLang: ''
+    };
+    
+    const file = buildTranscriptExport(format, utterances, meta, meetingSummary);
+    
+    // Create the Blob in the popup window so the download happens there
+    const blob = new popupWindow.Blob([file.content], { type: file.mimeType });
+    const url = popupWindow.URL.createObjectURL(blob);
+    
+    const link = popupWindow.document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    popupWindow.document.body.appendChild(link);
+    link.click();
+    popupWindow.document.body.removeChild(link);
+    
+    // Give the browser time to start the download before releasing the URL
+    setTimeout(() => popupWindow?.URL.revokeObjectURL(url), 1000);
+    
+    showFeedback(`Exported ${file.filename}`);
+  } catch (error) {
+    console.error("Error exporting transcript:", error);
+    debugLog(`Error exporting transcript: ${error.message}`);
+    showFeedback('Export failed.');
+  }
+}
+
+/**
+ * Show the meeting summary in the summary tab
+ */
+function renderSummary() {
+  if (!isPopupAccessible()) return;
+  
+  const container = popupWindow.document.getElementById('summary-container');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  const addElement = (tag, text, className) => {
+    const element = popupWindow.document.createElement(tag);
+    element.textContent = text;
+    if (className) element.className = className;
+    container.appendChild(element);
+    return element;
+  };
+  
+  if (isSummarizing) {
+    addElement('div', 'Summarizing the transcript...', 'summary-empty');
+    return;
+  }
+  
+  if (summaryError) {
+    addElement('div', summaryError, 'summary-empty');
+  }
+  
+  if (!meetingSummary) {
+    addElement('div', 'No summary yet. Click "Summarize" to create one from the finished utterances.', 'summary-empty');
+    return;
+  }
+  
+  addElement('h3', 'Summary');
+  addElement('p', meetingSummary.summary);
+  
+  const addList = (title, items) => {
+    addElement('h3', title);
+    if (items.length === 0) {
+      addElement('div', 'None', 'summary-empty');
+      return;
+    }
+    const list = addElement('ul', '');
+    for (const item of items) {
+      const entry = popupWindow.document.createElement('li');
+      entry.textContent = item;
+      list.appendChild(entry);
+    }
+  };
+  
+  addList('Decisions', meetingSummary.decisions);
+  addList('Action items', meetingSummary.actionItems.map(item => `${item.owner}: ${item.task}`));
+}
+
+/**
+ * Summarize the finished utterances with the configured model and save the result with the transcript
+ * @returns {Promise<void>}
+ */
+async function summarizeTranscript() {
+  if (!isPopupAccessible() || isSummarizing) return;
+  
+  // Utterances still being spoken may change
+  const utterances = getAccumulatedUtterances().filter(utterance => !utterance.active);
+  if (utterances.length === 0) {
+    showFeedback('Nothing to summarize yet.');
+    return;
+  }
+  
+  const session = getCurrentSession();
+  const outputLang = session?.outputLang || translationLanguages[0] || Config.DEFAULT_OUTPUT_LANG;
+  
+  isSummarizing = true;
+  summaryError = null;
+  popupWindow.document.getElementById('summary-tab')?.click();
+  renderSummary();
+  
+  try {
+    meetingSummary = await summarizeMeeting(utterances, outputLang);
+    
+    if (session) {
+      await saveMeetingSummary(session.id, meetingSummary);
+    }
+    showFeedback('Summary created.');
+  } catch (error) {
+    console.error("Error summarizing transcript:", error);
+    debugLog(`Error summarizing transcript: ${error.message}`);
+    summaryError = /does not support summarize/.test(error.message)
+      ? 'Summaries need a chat model provider: OpenAI, Azure OpenAI or an OpenAI-compatible server.'
+      : `Summary failed: ${error.message}`;
+    showFeedback('Summary failed.');
+  } finally {
+    isSummarizing = false;
+    renderSummary();
+  }
+}
+
 /**
  * Fallback copy method using document.execCommand
  * @param {string} text - Text to copy
@@ -591,9 +1332,6 @@ function updateDebugLogs() {
       // Get logs
       const logs = getDebugLogs();
       
-      // Only update if there are logs
-      if (logs.length === 0) return;
-      
       // Create HTML content
       const logsHTML = logs.map(log => 
         `<div class="debug-entry">${log}</div>`
@@ -602,6 +1340,29 @@ function updateDebugLogs() {
       // Set HTML content at once for better performance
       debugContainer.innerHTML = logsHTML;
       
+      // Show which Teams selector profile is scraping the captions
+      const profile = getActiveProfileInfo();
+      const status = popupWindow.document.createElement('div');
+      status.className = 'debug-status';
+      status.textContent = `Selector profile: ${profile.label} (${profile.source})`;
+      
+      // Translation cache effectiveness since the page was loaded
+      const cache = getCacheStats();
+      const cacheStatus = popupWindow.document.createElement('div');
+      cacheStatus.textContent = `Translation cache: ${cache.hits} hits (${cache.memoryHits} memory, ${cache.persistentHits} stored), ` +
+        `${cache.misses} misses, ${Math.round(cache.hitRate * 100)}% hit rate · ` +
+        `${cache.memoryEntries} in memory, ${cache.persistentEntries ?? '?'} stored`;
+      status.appendChild(cacheStatus);
+      
+      // Provider requests waiting for the concurrency and rate limits
+      const scheduler = getSchedulerStats();
+      const schedulerStatus = popupWindow.document.createElement('div');
+      schedulerStatus.textContent = `Requests: ${scheduler.running} running, ${scheduler.queued} queued` +
+        (scheduler.pausedUntil ? `, paused for ${Math.ceil((scheduler.pausedUntil - Date.now()) / 1000)}s (rate limited)` : '');
+      status.appendChild(schedulerStatus);
+      
+      debugContainer.prepend(status);
+      
       // Auto-scroll to bottom
       debugContainer.scrollTop = debugContainer.scrollHeight;
     }
@@ -610,6 +1371,55 @@ function updateDebugLogs() {
   }
 }
 
+/**
+ * Format usage totals for the header
+ * @param {Object} usage - Usage totals
+ * @returns {string} - Cost and tokens or characters
+ */
+function formatUsage(usage) {
+  const cost = usage.cost < 0.01 && usage.cost > 0 ? usage.cost.toFixed(4) : usage.cost.toFixed(2);
+  const count = usage.characters > 0 && usage.promptTokens === 0
+    ? `${usage.characters.toLocaleString()} chars`
+    : `${(usage.promptTokens + usage.completionTokens).toLocaleString()} tokens`;
+  return `$${cost} · ${count}`;
+}
+
+/**
+ * Show the meeting and daily token and cost totals in the header
+ * @param {Object} summary - Usage summary with meeting, daily, budget and state
+ */
+function updateUsageDisplay(summary) {
+  if (!isPopupAccessible()) return;
+  
+  try {
+    const usageDisplay = popupWindow.document.getElementById('usage-display');
+    if (!usageDisplay) return;
+    
+    const { meeting, daily, budget, state } = summary;
+    const limits = [
+      budget.meetingLimit > 0 ? `meeting $${budget.meetingLimit}` : null,
+      budget.dailyLimit > 0 ? `day $${budget.dailyLimit}` : null
+    ].filter(Boolean);
+    
+    let text = `Meeting ${formatUsage(meeting)} | Today ${formatUsage(daily)}`;
+    if (state === 'finalize-only') {
+      text += ' | Budget reached: finished utterances only';
+    } else if (state === 'stopped') {
+      text += ' | Budget reached: paused';
+    }
+    
+    usageDisplay.textContent = text;
+    usageDisplay.title = `${meeting.requests} request(s) this meeting, ${daily.requests} today. ` +
+      (limits.length > 0 ? `Budget: ${limits.join(', ')}` : 'No budget set');
+    usageDisplay.className = state === 'ok' ? 'usage-display' : 'usage-display budget-reached';
+  } catch (error) {
+    console.error("Error updating usage display:", error);
+  }
+}
+
+// Refresh the header after every request
+onUsageChange(updateUsageDisplay);
+
 /**
  * Start checking popup window status
  * @param {Function} updateTranslationsDisplay - Function to update translations
@@ -639,21 +1449,40 @@ function stopPopupCheck() {
   }
 }
 
+/**
+ * Get the avatar color of a speaker
+ * @param {string} speakerId - Speaker ID
+ * @param {string} speakerName - Detected speaker name, which the default color is based on
+ * @returns {string} - Chosen color, or a consistent color generated from the name
+ */
+function getAvatarColor(speakerId, speakerName) {
+  const chosen = getSpeakerColor(speakerId);
+  if (chosen) return chosen;
+  
+  // hsl(hue, 70%, 45%) as hex, so the color picker can show it
+  const nameHash = Array.from(speakerName).reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  const hue = nameHash % 360;
+  const chroma = 0.7 * (1 - Math.abs(2 * 0.45 - 1));
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const value = 0.45 - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
 /**
  * Create avatar for speaker
  * @param {string} speakerName - Speaker's name
+ * @param {string} color - Avatar color
  * @returns {HTMLElement} - Avatar element
  */
-function createSpeakerAvatar(speakerName) {
+function createSpeakerAvatar(speakerName, color) {
   if (!isPopupAccessible()) return null;
   
   const avatar = popupWindow.document.createElement('div');
   avatar.className = 'speaker-avatar';
-  
-  // Generate a consistent color based on the speaker name
-  const nameHash = Array.from(speakerName).reduce((acc, char) => acc + char.charCodeAt(0), 0);
-  const hue = nameHash % 360;
-  avatar.style.backgroundColor = `hsl(${hue}, 70%, 45%)`;
+  avatar.style.backgroundColor = color;
   
   // Get initials (up to 2 characters)
   const initials = speakerName
@@ -667,6 +1496,381 @@ function createSpeakerAvatar(speakerName) {
   return avatar;
 }
 
+/**
+ * Fill in the name and avatar of a speaker block
+ * @param {HTMLElement} speakerBlock - Speaker block
+ * @param {string} speakerId - Speaker ID
+ * @param {Object} speakerData - Accumulated speaker data with the detected name
+ */
+function renderSpeakerHeader(speakerBlock, speakerId, speakerData) {
+  const name = getSpeakerName(speakerId, speakerData.speaker);
+  const color = getAvatarColor(speakerId, speakerData.speaker);
+  
+  // Skip rebuilding when nothing changed
+  const signature = `${name}|${color}`;
+  if (speakerBlock.dataset.header === signature) return;
+  speakerBlock.dataset.header = signature;
+  
+  const header = speakerBlock.querySelector('.speaker-name');
+  if (!header) return;
+  
+  header.innerHTML = '';
+  header.appendChild(createSpeakerAvatar(name, color));
+  header.appendChild(popupWindow.document.createTextNode(name));
+  
+  // A chosen color also marks the speaker's lines
+  speakerBlock.style.borderLeftColor = getSpeakerColor(speakerId) || '';
+}
+
+/**
+ * Move the accumulated utterances of a merged speaker to the speaker it was merged into
+ * @param {string} fromId - Merged speaker ID
+ * @param {string} intoId - Speaker ID to keep
+ */
+function mergeSpeakerTranscripts(fromId, intoId) {
+  const targetId = resolveSpeakerId(intoId);
+  if (resolveSpeakerId(fromId) === targetId) return;
+  
+  const source = accumulatedTranslations[fromId];
+  if (source) {
+    if (!accumulatedTranslations[targetId]) {
+      accumulatedTranslations[targetId] = { speaker: source.speaker, utterances: {} };
+    }
+  
+    for (const utterance of Object.values(source.utterances)) {
+      accumulatedTranslations[targetId].utterances[utterance.id] = { ...utterance, speakerId: targetId };
+    }
+    delete accumulatedTranslations[fromId];
+  }
+  
+  // The kept speaker takes the earlier position
+  const fromIndex = speakerDisplayOrder.indexOf(fromId);
+  const intoIndex = speakerDisplayOrder.indexOf(targetId);
+  if (fromIndex !== -1) {
+    if (intoIndex === -1) {
+      speakerDisplayOrder[fromIndex] = targetId;
+    } else {
+      speakerDisplayOrder.splice(fromIndex, 1);
+      if (fromIndex < intoIndex) {
+        speakerDisplayOrder.splice(intoIndex - 1, 1);
+        speakerDisplayOrder.splice(fromIndex, 0, targetId);
+      }
+    }
+  }
+  
+  // Saving the merge redraws the transcript
+  mergeSpeakers(fromId, targetId);
+}
+
+/**
+ * Show the speakers of the meeting with their name, color, merge target and mute switch
+ */
+function renderSpeakerPanel() {
+  if (!isPopupAccessible()) return;
+  
+  const container = popupWindow.document.getElementById('speakers-container');
+  if (!container) return;
+  
+  const doc = popupWindow.document;
+  const speakerIds = speakerDisplayOrder.filter(speakerId => accumulatedTranslations[speakerId]);
+  container.dataset.rendered = speakerIds.join('|');
+  container.innerHTML = '';
+  
+  if (speakerIds.length === 0) {
+    const empty = doc.createElement('div');
+    empty.className = 'summary-empty';
+    empty.textContent = 'No speakers yet.';
+    container.appendChild(empty);
+    return;
+  }
+  
+  const nameOf = (speakerId) => getSpeakerName(speakerId, accumulatedTranslations[speakerId].speaker);
+  
+  for (const speakerId of speakerIds) {
+    const detectedName = accumulatedTranslations[speakerId].speaker;
+    const muted = isSpeakerMuted(speakerId);
+  
+    const row = doc.createElement('div');
+    row.className = muted ? 'speaker-row muted' : 'speaker-row';
+    row.dataset.speakerId = speakerId;
+  
+    row.appendChild(createSpeakerAvatar(nameOf(speakerId), getAvatarColor(speakerId, detectedName)));
+  
+    const nameInput = doc.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'speaker-rename';
+    nameInput.value = nameOf(speakerId);
+    nameInput.placeholder = detectedName;
+    nameInput.title = `Detected as "${detectedName}"`;
+    row.appendChild(nameInput);
+  
+    const colorInput = doc.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'speaker-color';
+    colorInput.value = getAvatarColor(speakerId, detectedName);
+    colorInput.title = 'Color';
+    row.appendChild(colorInput);
+  
+    const mergeSelect = doc.createElement('select');
+    mergeSelect.className = 'speaker-merge';
+    mergeSelect.title = 'Merge this speaker into another one';
+    mergeSelect.innerHTML = '<option value="">Merge into...</option>';
+    for (const otherId of speakerIds) {
+      if (otherId === speakerId) continue;
+      const option = doc.createElement('option');
+      option.value = otherId;
+      option.textContent = nameOf(otherId);
+      mergeSelect.appendChild(option);
+    }
+    row.appendChild(mergeSelect);
+  
+    const muteLabel = doc.createElement('label');
+    const muteInput = doc.createElement('input');
+    muteInput.type = 'checkbox';
+    muteInput.className = 'speaker-mute';
+    muteInput.checked = muted;
+    muteLabel.appendChild(muteInput);
+    muteLabel.appendChild(doc.createTextNode(' Mute'));
+    row.appendChild(muteLabel);
+  
+    container.appendChild(row);
+  }
+}
+
+/**
+ * Setup the speaker panel controls
+ */
+function setupSpeakerPanelListeners() {
+  const container = popupWindow.document.getElementById('speakers-container');
+  if (!container) return;
+  
+  container.addEventListener('change', function(event) {
+    const row = event.target.closest('.speaker-row');
+    if (!row) return;
+  
+    const speakerId = row.dataset.speakerId;
+    const target = event.target;
+  
+    if (target.classList.contains('speaker-rename')) {
+      // The detected name needs no mapping
+      renameSpeaker(speakerId, target.value === accumulatedTranslations[speakerId]?.speaker ? '' : target.value);
+    } else if (target.classList.contains('speaker-color')) {
+      setSpeakerColor(speakerId, target.value);
+    } else if (target.classList.contains('speaker-mute')) {
+      setSpeakerMuted(speakerId, target.checked);
+    } else if (target.classList.contains('speaker-merge') && target.value) {
+      mergeSpeakerTranscripts(speakerId, target.value);
+    }
+  });
+}
+
+// Show renamed, recolored, merged and muted speakers right away
+onSpeakerMappingsChange(() => {
+  updateTranslationsDisplay({}, {});
+  renderSpeakerPanel();
+});
+
+/**
+ * Flag glossary violations of an utterance
+ * @param {HTMLElement} utteranceEl - Utterance element
+ * @param {Object} utterance - Utterance with glossaryViolations
+ */
+function updateGlossaryWarning(utteranceEl, utterance) {
+  const violations = utterance.glossaryViolations || [];
+  const warningDiv = utteranceEl.querySelector('.glossary-warning');
+  if (!warningDiv) return;
+  
+  utteranceEl.classList.toggle('has-violations', violations.length > 0);
+  
+  const message = violations.length > 0
+    ? `Glossary: ${violations.map(v => v.type === 'doNotTranslate' ? `"${v.term}" should stay unchanged` : `"${v.term}" should be "${v.expected}"`).join('; ')}`
+    : '';
+  
+  if (warningDiv.textContent !== message) {
+    warningDiv.textContent = message;
+  }
+}
+
+/**
+ * Show the detected source language of an utterance next to its time
+ * @param {HTMLElement} utteranceEl - Utterance element
+ * @param {Object} utterance - Utterance with the detected language, if any
+ */
+function updateLanguageBadge(utteranceEl, utterance) {
+  const timeDiv = utteranceEl.querySelector('.timestamp');
+  if (!timeDiv) return;
+  
+  let badge = timeDiv.querySelector('.source-lang');
+  if (!utterance.language) {
+    badge?.remove();
+    return;
+  }
+  
+  if (!badge) {
+    badge = popupWindow.document.createElement('span');
+    badge.className = 'lang-badge source-lang';
+    timeDiv.prepend(badge);
+  }
+  badge.textContent = utterance.language;
+  badge.title = `Spoken language: ${utterance.language.toUpperCase()}`;
+}
+
+/**
+ * Group the shown utterances by speaker, in order of first appearance
+ * @returns {Object[]} - blockId, speakerId and sorted utterances of each speaker
+ */
+function getSpeakerGroups() {
+  return speakerDisplayOrder
+    .filter(speakerId => accumulatedTranslations[speakerId] && !isSpeakerMuted(speakerId))
+    .map(speakerId => ({
+      blockId: `speaker-${speakerId}`,
+      speakerId,
+      // Sort utterances by ID (which is timestamp-based)
+      utterances: Object.values(accumulatedTranslations[speakerId].utterances).sort((a, b) => a.id - b.id)
+    }))
+    .filter(group => group.utterances.length > 0);
+}
+
+/**
+ * Interleave the shown utterances of all speakers in time order,
+ * collapsing consecutive utterances of one speaker into a run
+ * @returns {Object[]} - blockId, speakerId and sorted utterances of each run
+ */
+function getTimelineRuns() {
+  const utterances = Object.entries(accumulatedTranslations)
+    .filter(([speakerId]) => !isSpeakerMuted(speakerId))
+    .flatMap(([speakerId, speakerData]) => Object.values(speakerData.utterances).map(utterance => ({ speakerId, utterance })))
+    .sort((a, b) => a.utterance.id - b.utterance.id);
+  
+  const runs = [];
+  for (const { speakerId, utterance } of utterances) {
+    const lastRun = runs[runs.length - 1];
+    if (lastRun && lastRun.speakerId === speakerId) {
+      lastRun.utterances.push(utterance);
+    } else {
+      // A run keeps its block as long as it starts with the same utterance
+      runs.push({ blockId: `run-${speakerId}-${utterance.id}`, speakerId, utterances: [utterance] });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Create or update the block of a speaker with its utterances
+ * @param {string} blockId - Element ID of the block
+ * @param {string} speakerId - Speaker ID
+ * @param {Object[]} utterances - Utterances of the block sorted by time
+ * @returns {HTMLElement} - Speaker block
+ */
+function renderSpeakerBlock(blockId, speakerId, utterances) {
+  const doc = popupWindow.document;
+  
+  // Check if speaker block already exists
+  let speakerBlock = doc.getElementById(blockId);
+  
+  if (!speakerBlock) {
+    // Create new speaker block
+    speakerBlock = doc.createElement('div');
+    speakerBlock.className = 'speaker-block';
+    speakerBlock.id = blockId;
+    speakerBlock.dataset.speakerId = speakerId;
+  
+    // Create speaker name header, filled in below
+    const speakerName = doc.createElement('div');
+    speakerName.className = 'speaker-name';
+    speakerBlock.appendChild(speakerName);
+  
+    // Create utterances container
+    const utterancesContainer = doc.createElement('div');
+    utterancesContainer.className = 'utterances-container';
+    speakerBlock.appendChild(utterancesContainer);
+  }
+  
+  // Renamed or recolored speakers update their header
+  renderSpeakerHeader(speakerBlock, speakerId, accumulatedTranslations[speakerId]);
+  
+  const utterancesContainer = speakerBlock.querySelector('.utterances-container');
+  
+  // Track which utterance IDs we're rendering this round
+  const currentUtteranceIds = new Set();
+  
+  utterances.forEach(utterance => {
+    const utteranceId = utterance.id;
+    currentUtteranceIds.add(String(utteranceId));
+  
+    // Check if utterance element already exists
+    let utteranceEl = utterancesContainer.querySelector(`.utterance[data-utterance-id="${utteranceId}"]`);
+  
+    if (!utteranceEl) {
+      // Create new utterance element
+      utteranceEl = doc.createElement('div');
+      utteranceEl.className = utterance.active ? 'utterance active' : 'utterance';
+      utteranceEl.dataset.utteranceId = utteranceId;
+  
+      // Translated and original text, shown according to the transcript view
+      const bodyDiv = doc.createElement('div');
+      bodyDiv.className = 'utterance-body';
+  
+      const textDiv = doc.createElement('div');
+      textDiv.className = 'utterance-text';
+      renderTranslatedText(textDiv, utterance);
+      bodyDiv.appendChild(textDiv);
+  
+      const originalDiv = doc.createElement('div');
+      originalDiv.className = 'utterance-original';
+      originalDiv.textContent = utterance.original || "";
+      bodyDiv.appendChild(originalDiv);
+  
+      utteranceEl.appendChild(bodyDiv);
+  
+      // Glossary warning, filled in below
+      const warningDiv = doc.createElement('div');
+      warningDiv.className = 'glossary-warning';
+      utteranceEl.appendChild(warningDiv);
+      updateGlossaryWarning(utteranceEl, utterance);
+  
+      // Timestamp
+      const timeDiv = doc.createElement('div');
+      timeDiv.className = 'timestamp';
+      timeDiv.textContent = utterance.timestamp || "";
+      utteranceEl.appendChild(timeDiv);
+      updateLanguageBadge(utteranceEl, utterance);
+  
+      // Add to container (at the correct position by time)
+      const nextUtterance = Array.from(utterancesContainer.querySelectorAll('.utterance'))
+        .find(existingUtterance => parseInt(existingUtterance.dataset.utteranceId) > parseInt(utteranceId));
+      utterancesContainer.insertBefore(utteranceEl, nextUtterance || null);
+    } else {
+      // Update existing utterance text if it has changed
+      const textDiv = utteranceEl.querySelector('.utterance-text');
+      if (textDiv) {
+        renderTranslatedText(textDiv, utterance);
+      }
+  
+      const originalDiv = utteranceEl.querySelector('.utterance-original');
+      if (originalDiv && originalDiv.textContent !== utterance.original) {
+        originalDiv.textContent = utterance.original || "";
+      }
+  
+      // Update glossary warning and detected language
+      updateGlossaryWarning(utteranceEl, utterance);
+      updateLanguageBadge(utteranceEl, utterance);
+  
+      // Update active state
+      utteranceEl.classList.toggle('active', Boolean(utterance.active));
+    }
+  });
+  
+  // Utterances that moved to another speaker or run leave this block
+  utterancesContainer.querySelectorAll('.utterance').forEach(utteranceEl => {
+    if (!currentUtteranceIds.has(utteranceEl.dataset.utteranceId)) {
+      utteranceEl.remove();
+    }
+  });
+  
+  return speakerBlock;
+}
+
 /**
  * Update the translation display in the popup with accumulated translations
  * @param {Object} translatedUtterances - Map of speaker IDs to their latest utterances
@@ -684,15 +1888,18 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
     
     // Check if auto-scroll is enabled
     const autoScrollCheckbox = popupWindow.document.getElementById('auto-scroll-checkbox');
-    const shouldAutoScroll = autoScrollCheckbox && autoScrollCheckbox.checked;
+    // Auto-scroll pauses while a search or filter is active
+    const shouldAutoScroll = autoScrollCheckbox && autoScrollCheckbox.checked && !isSearchActive(searchFilters);
     
     // Save current scroll position
     const scrollPosition = subtitlesContainer.scrollTop;
     
     // Process finalized utterances and add them to accumulatedTranslations
-    for (const speakerId in translatedUtterances) {
-      const utterance = translatedUtterances[speakerId];
-      if (utterance) {
+    for (const detectedId in translatedUtterances) {
+      const utterance = translatedUtterances[detectedId];
+      // Utterances finished after a merge still arrive under the merged ID
+      const speakerId = resolveSpeakerId(detectedId);
+      if (utterance && !isSpeakerMuted(speakerId)) {
         // Initialize speaker object if needed
         if (!accumulatedTranslations[speakerId]) {
           accumulatedTranslations[speakerId] = {
@@ -709,17 +1916,19 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
         // Update or add the utterance
         accumulatedTranslations[speakerId].utterances[utterance.id] = {
           ...utterance,
+          speakerId,
           active: false // Finalized utterances are not active
         };
       }
     }
     
     // Update active utterances (they may override finalized ones)
-    for (const speakerId in activeSpeakers) {
-      const speaker = activeSpeakers[speakerId];
+    for (const detectedId in activeSpeakers) {
+      const speaker = activeSpeakers[detectedId];
+      const speakerId = resolveSpeakerId(detectedId);
       
       // Skip if speaker object is empty or incomplete
-      if (!speaker || !speaker.speaker) continue;
+      if (!speaker || !speaker.speaker || isSpeakerMuted(speakerId)) continue;
       
       // Initialize speaker object if needed
       if (!accumulatedTranslations[speakerId]) {
@@ -737,13 +1946,16 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
       // Skip update if there's no content to display
       if (!speaker.utteranceId || speaker.fullText === "") continue;
       
-      // Update or add the active utterance
+      // Update or add the active utterance - the source text stands in until a translation arrives
+      const pending = isPendingTranslation(speaker.translatedText);
       accumulatedTranslations[speakerId].utterances[speaker.utteranceId] = {
         id: speaker.utteranceId,
         speaker: speaker.speaker,
         speakerId: speakerId,
         original: speaker.fullText,
-        translated: speaker.translatedText || "Translating...",
+        translated: pending ? speaker.fullText : speaker.translatedText,
+        translations: pending ? undefined : speaker.translations,
+        pending,
         timestamp: new Date().toLocaleTimeString(),
         active: true
       };
@@ -752,134 +1964,28 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
     // Prepare fragment for better performance
     const fragment = popupWindow.document.createDocumentFragment();
     
-    // Process speakers in the display order
-    for (const speakerId of speakerDisplayOrder) {
-      if (!accumulatedTranslations[speakerId]) continue;
-      
-      const speakerData = accumulatedTranslations[speakerId];
-      const utterances = Object.values(speakerData.utterances);
-      
-      // Skip if no utterances
-      if (utterances.length === 0) continue;
-      
-      // Sort utterances by ID (which is timestamp-based)
-      utterances.sort((a, b) => a.id - b.id);
-      
-      // Check if speaker block already exists
-      let speakerBlock = popupWindow.document.getElementById(`speaker-${speakerId}`);
-      const isNewSpeakerBlock = !speakerBlock;
-      
-      if (isNewSpeakerBlock) {
-        // Create new speaker block
-        speakerBlock = popupWindow.document.createElement('div');
-        speakerBlock.className = 'speaker-block';
-        speakerBlock.id = `speaker-${speakerId}`;
-        speakerBlock.dataset.speakerId = speakerId;
-        
-        // Create speaker name header with avatar
-        const speakerName = popupWindow.document.createElement('div');
-        speakerName.className = 'speaker-name';
-        
-        // Add avatar
-        const avatar = createSpeakerAvatar(speakerData.speaker);
-        speakerName.appendChild(avatar);
-        
-        // Add name text
-        const nameText = popupWindow.document.createTextNode(speakerData.speaker);
-        speakerName.appendChild(nameText);
-        
-        speakerBlock.appendChild(speakerName);
-        
-        // Create utterances container
-        const utterancesContainer = popupWindow.document.createElement('div');
-        utterancesContainer.className = 'utterances-container';
-        utterancesContainer.id = `utterances-${speakerId}`;
-        speakerBlock.appendChild(utterancesContainer);
-        
-        // Add to fragment
-        fragment.appendChild(speakerBlock);
-      }
-      
-// Get utterances container
-const utterancesContainer = speakerBlock.querySelector(`.utterances-container`) || 
-popupWindow.document.getElementById(`utterances-${speakerId}`);
-
-if (!utterancesContainer) continue;
-
-// Track which utterance IDs we're rendering this round
-const currentUtteranceIds = new Set();
-
-// Process utterances
-utterances.forEach(utterance => {
-const utteranceId = utterance.id;
-currentUtteranceIds.add(utteranceId);
-
-// Check if utterance element already exists
-let utteranceEl = utterancesContainer.querySelector(`.utterance[data-utterance-id="${utteranceId}"]`);
-const isNewUtterance = !utteranceEl;
-
-if (isNewUtterance) {
-// Create new utterance element
-utteranceEl = popupWindow.document.createElement('div');
-utteranceEl.className = utterance.active ? 'utterance active' : 'utterance';
-utteranceEl.dataset.utteranceId = utteranceId;
-
-// Utterance text
-const textDiv = popupWindow.document.createElement('div');
-textDiv.className = 'utterance-text';
-textDiv.textContent = utterance.translated || "";
-utteranceEl.appendChild(textDiv);
-
-// Timestamp
-const timeDiv = popupWindow.document.createElement('div');
-timeDiv.className = 'timestamp';
-timeDiv.textContent = utterance.timestamp || "";
-utteranceEl.appendChild(timeDiv);
-
-// Add to container (at the correct position by time)
-let inserted = false;
-Array.from(utterancesContainer.querySelectorAll('.utterance')).some(existingUtterance => {
-const existingId = parseInt(existingUtterance.dataset.utteranceId);
-const currentId = parseInt(utteranceId);
-
-if (existingId > currentId) {
-utterancesContainer.insertBefore(utteranceEl, existingUtterance);
-inserted = true;
-return true;
-}
-return false;
-});
-
-// If not inserted (i.e., it's the newest), append to end
-if (!inserted) {
-utterancesContainer.appendChild(utteranceEl);
-}
-} else {
-// Update existing utterance text if it has changed
-const textDiv = utteranceEl.querySelector('.utterance-text');
-if (textDiv && textDiv.textContent !== utterance.translated) {
-textDiv.textContent = utterance.translated || "";
-}
-
-// Update active state
-if (utterance.active && !utteranceEl.classList.contains('active')) {
-utteranceEl.classList.add('active');
-} else if (!utterance.active && utteranceEl.classList.contains('active')) {
-utteranceEl.classList.remove('active');
-}
-}
-});
-
-// If this is a pre-existing block, add it back to DOM
-if (!isNewSpeakerBlock && !speakerBlock.parentNode) {
-fragment.appendChild(speakerBlock);
-}
-}
+    // One block per speaker, or per run of consecutive lines of one speaker in the timeline
+    const blocks = transcriptLayout === 'timeline' ? getTimelineRuns() : getSpeakerGroups();
+    for (const { blockId, speakerId, utterances } of blocks) {
+      // Existing blocks move into the fragment, so they follow the new order
+      fragment.appendChild(renderSpeakerBlock(blockId, speakerId, utterances));
+    }
 
 // Efficiently update DOM - replace all content at once
 subtitlesContainer.innerHTML = '';
 subtitlesContainer.appendChild(fragment);
 
+// Re-apply the search to new and changed lines
+renderSpeakerFilterOptions();
+refreshSearch(false);
+
+// New speakers show up in an open speaker panel
+const speakersContainer = popupWindow.document.getElementById('speakers-container');
+if (speakersContainer && speakersContainer.style.display === 'block' &&
+    speakersContainer.dataset.rendered !== speakerDisplayOrder.filter(id => accumulatedTranslations[id]).join('|')) {
+  renderSpeakerPanel();
+}
+
 // Auto-scroll if enabled, otherwise restore position
 if (shouldAutoScroll) {
 subtitlesContainer.scrollTop = subtitlesContainer.scrollHeight;
@@ -924,6 +2030,7 @@ Object.keys(accumulatedTranslations).forEach(key => {
 delete accumulatedTranslations[key];
 });
 speakerDisplayOrder.length = 0;
+meetingSummary = null;
 }
 
 /**
@@ -949,5 +2056,8 @@ updateDebugLogs,
 setTranslationStatus,
 stopPopupCheck,
 closePopupWindow,
-clearAccumulatedTranslations
+clearAccumulatedTranslations,
+setTranscriptView,
+setTranscriptLayout,
+setTranslationLanguages
 };
\ No newline at end of file
@@ -0,0 +1,717 @@
+// Extension popup - translation controls, provider settings and meeting history
+import Config from './config.js';
+import {
+  CUSTOM_ORIGINS_STORAGE_KEY,
+  CUSTOM_ORIGINS_SCRIPT_ID,
+  getTeamsOrigins,
+  isTeamsUrl,
+  normalizeOrigin,
+  getMatchPatterns
+} from './teams-origins.js';
+import { getApiKeyStorageKey } from './provider-client.js';
+
+// Get references to UI elements
+const inputLang = document.getElementById("inputLang");
+const outputLang = document.getElementById("outputLang");
+const extraOutputLangs = document.getElementById("extraOutputLangs");
+const applyButton = document.getElementById("applyButton");
+const translationToggle = document.getElementById("translationToggle");
+const statusMessage = document.getElementById("statusMessage");
+const displayModeRadios = document.querySelectorAll('input[name="displayMode"]');
+const providerSelect = document.getElementById("provider");
+const providerApiKey = document.getElementById("providerApiKey");
+const providerEndpoint = document.getElementById("providerEndpoint");
+const providerModel = document.getElementById("providerModel");
+const providerDeployment = document.getElementById("providerDeployment");
+const providerApiVersion = document.getElementById("providerApiVersion");
+const providerStream = document.getElementById("providerStream");
+const historyButton = document.getElementById("historyButton");
+const historyList = document.getElementById("historyList");
+const historyTranscript = document.getElementById("historyTranscript");
+
+const glossaryTerms = document.getElementById("glossaryTerms");
+const glossaryDoNotTranslate = document.getElementById("glossaryDoNotTranslate");
+const glossaryPair = document.getElementById("glossaryPair");
+const glossarySaveButton = document.getElementById("glossarySaveButton");
+const customTeamsOrigins = document.getElementById("customTeamsOrigins");
+const customTeamsOriginsSaveButton = document.getElementById("customTeamsOriginsSaveButton");
+
+// Storage keys written by the content script's transcript store
+const HISTORY_INDEX_KEY = "meetingHistoryIndex";
+const MEETING_KEY_PREFIX = "meeting:";
+
+// Function to update the UI based on the translation status
+function updateStatusUI(isActive) {
+  translationToggle.checked = isActive;
+  translationToggle.disabled = false;
+  
+  if (isActive) {
+    statusMessage.textContent = "Translation is ON";
+    statusMessage.className = "status active";
+  } else {
+    statusMessage.textContent = "Translation is OFF";
+    statusMessage.className = "status inactive";
+  }
+}
+
+// Function to get the active tab
+async function getActiveTab() {
+  return new Promise((resolve) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      resolve(tabs[0]);
+    });
+  });
+}
+
+// Function to get the active tab if it is a supported Teams page, null otherwise
+async function getActiveTeamsTab() {
+  const [tab, origins] = await Promise.all([getActiveTab(), getTeamsOrigins()]);
+  return tab && isTeamsUrl(tab.url, origins) ? tab : null;
+}
+
+// Shown when the active tab isn't on one of the Teams origins
+const NOT_TEAMS_TAB_MESSAGE = "Not a Teams meeting tab. Open a Teams meeting in this tab to translate its captions.";
+
+// Function to show that the active tab can't be translated
+function showUnsupportedTabState(message) {
+  translationToggle.checked = false;
+  translationToggle.disabled = true;
+  statusMessage.textContent = message;
+  statusMessage.className = "status unsupported";
+}
+
+// Function to focus the Teams tab and bring the popup on top
+async function focusTeamsTab() {
+  const tab = await getActiveTeamsTab();
+  if (tab) {
+    // Focus the tab first
+    chrome.tabs.update(tab.id, { active: true });
+    
+    // Then force the popup window to appear on top
+    const popupWindow = chrome.extension.getViews({ type: "popup" })[0];
+    if (popupWindow) {
+      popupWindow.focus();
+    }
+  }
+}
+
+// Function to get the selected display mode
+function getSelectedDisplayMode() {
+  for (const radio of displayModeRadios) {
+    if (radio.checked) {
+      return radio.value;
+    }
+  }
+  return 'popup'; // Default to popup if somehow nothing is selected
+}
+
+// Function to set the display mode in the UI
+function setDisplayMode(mode) {
+  for (const radio of displayModeRadios) {
+    if (radio.value === mode) {
+      radio.checked = true;
+      break;
+    }
+  }
+}
+
+// Maximum number of additional output languages
+const MAX_EXTRA_OUTPUT_LANGS = 2;
+
+// Function to get all output languages, primary first
+function getOutputLangs() {
+  const extra = Array.from(extraOutputLangs.selectedOptions)
+    .map((option) => option.value)
+    .filter((lang) => lang !== outputLang.value)
+    .slice(0, MAX_EXTRA_OUTPUT_LANGS);
+  return [outputLang.value, ...extra];
+}
+
+// Function to select the additional output languages
+function setOutputLangs(langs = []) {
+  for (const option of extraOutputLangs.options) {
+    option.selected = langs.slice(1).includes(option.value);
+  }
+}
+
+// Function to show only the fields used by the selected provider
+function updateProviderFields() {
+  document.querySelectorAll(".provider-field").forEach((field) => {
+    const providers = field.dataset.providers.split(" ");
+    field.classList.toggle("visible", providers.includes(providerSelect.value));
+  });
+}
+
+// Function to fill the provider form from saved settings
+function setProviderSettings(settings = {}) {
+  providerSelect.value = settings.provider || "openai";
+  providerEndpoint.value = settings.endpoint || "";
+  providerModel.value = settings.model || "";
+  providerDeployment.value = settings.deployment || "";
+  providerApiVersion.value = settings.apiVersion || "";
+  providerStream.checked = settings.stream !== false;
+  updateProviderFields();
+}
+
+// Function to show the API key of the selected provider - keys are kept in local storage,
+// where only the extension's background worker uses them
+function showProviderApiKey() {
+  const storageKey = getApiKeyStorageKey(providerSelect.value);
+  chrome.storage.local.get([storageKey], (local) => {
+    providerApiKey.value = local[storageKey] || "";
+  });
+}
+
+// Function to read the provider form
+function getProviderSettings() {
+  return {
+    provider: providerSelect.value,
+    endpoint: providerEndpoint.value.trim(),
+    model: providerModel.value.trim(),
+    deployment: providerDeployment.value.trim(),
+    apiVersion: providerApiVersion.value.trim(),
+    stream: providerStream.checked
+  };
+}
+
+// Function to check the current translation status
+async function checkTranslationStatus() {
+  try {
+    const tab = await getActiveTeamsTab();
+    if (!tab) {
+      showUnsupportedTabState(NOT_TEAMS_TAB_MESSAGE);
+      return;
+    }
+    
+    // Inject content script if not already injected
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ["content.js"],
+    });
+    
+    // Ask content.js for current status
+    chrome.tabs.sendMessage(
+      tab.id,
+      { action: "checkStatus" },
+      (response) => {
+        if (response) {
+          // Update UI based on current status
+          updateStatusUI(response.isActive);
+          
+          // Teams is open but no meeting yet - translation can still be started for when one begins
+          if (!response.isActive && response.isMeetingPage === false) {
+            statusMessage.textContent = "Not a Teams meeting tab yet. Join a meeting and turn on live captions.";
+            statusMessage.className = "status unsupported";
+          }
+          
+          // Update language selections if available
+          if (response.inputLang) inputLang.value = response.inputLang;
+          if (response.outputLang) outputLang.value = response.outputLang;
+          if (response.outputLangs) setOutputLangs(response.outputLangs);
+          
+          // Update display mode if available
+          if (response.displayMode) setDisplayMode(response.displayMode);
+        } else {
+          // No response, assume not active
+          updateStatusUI(false);
+        }
+      }
+    );
+  } catch (error) {
+    console.error("Error checking translation status:", error);
+    updateStatusUI(false);
+  }
+}
+
+// Load saved preferences and check current status when popup opens
+document.addEventListener("DOMContentLoaded", () => {
+  chrome.storage.sync.get(["inputLang", "outputLang", "outputLangs", "displayMode", "providerSettings"], (data) => {
+    if (data.inputLang) inputLang.value = data.inputLang;
+    if (data.outputLang) outputLang.value = data.outputLang;
+    if (data.outputLangs) setOutputLangs(data.outputLangs);
+    if (data.displayMode) setDisplayMode(data.displayMode);
+    setProviderSettings(data.providerSettings);
+    
+    showProviderApiKey();
+    renderGlossary();
+    
+    // Check current translation status
+    checkTranslationStatus();
+  });
+});
+
+// Function to save preferences
+function savePreferences() {
+  const selectedInputLang = inputLang.value;
+  const selectedOutputLang = outputLang.value;
+  const selectedOutputLangs = getOutputLangs();
+  const selectedDisplayMode = getSelectedDisplayMode();
+  
+  chrome.storage.local.set({ [getApiKeyStorageKey(providerSelect.value)]: providerApiKey.value.trim() });
+  
+  chrome.storage.sync.set(
+    {
+      inputLang: selectedInputLang,
+      outputLang: selectedOutputLang,
+      outputLangs: selectedOutputLangs,
+      displayMode: selectedDisplayMode,
+      providerSettings: getProviderSettings()
+    },
+    () => {
+      console.log("Preferences saved.");
+      
+      // Provide visual feedback that settings were saved
+      const savedFeedback = document.createElement('div');
+      savedFeedback.textContent = "Settings saved!";
+      savedFeedback.style.position = "absolute";
+      savedFeedback.style.bottom = "40px";
+      savedFeedback.style.left = "50%";
+      savedFeedback.style.transform = "translateX(-50%)";
+      savedFeedback.style.backgroundColor = "#4CAF50";
+      savedFeedback.style.color = "white";
+      savedFeedback.style.padding = "5px 10px";
+      savedFeedback.style.borderRadius = "4px";
+      savedFeedback.style.zIndex = "1000";
+      savedFeedback.style.opacity = "0";
+      savedFeedback.style.transition = "opacity 0.3s ease";
+      
+      document.body.appendChild(savedFeedback);
+      
+      // Fade in
+      setTimeout(() => {
+        savedFeedback.style.opacity = "1";
+      }, 10);
+      
+      // Fade out and remove
+      setTimeout(() => {
+        savedFeedback.style.opacity = "0";
+        setTimeout(() => {
+          document.body.removeChild(savedFeedback);
+        }, 300);
+      }, 2000);
+    }
+  );
+  
+  return { 
+    inputLang: selectedInputLang, 
+    outputLang: selectedOutputLang,
+    outputLangs: selectedOutputLangs,
+    displayMode: selectedDisplayMode
+  };
+}
+
+// Function to start translation
+async function startTranslation(settings) {
+  try {
+    const tab = await getActiveTeamsTab();
+    if (!tab) {
+      showUnsupportedTabState(NOT_TEAMS_TAB_MESSAGE);
+      return;
+    }
+    
+    // Inject content script if not already injected
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ["content.js"],
+    });
+    
+    // Send message to content.js to start translation
+    chrome.tabs.sendMessage(
+      tab.id,
+      {
+        action: "startTranslation",
+        inputLang: settings.inputLang,
+        outputLang: settings.outputLang,
+        outputLangs: settings.outputLangs,
+        displayMode: settings.displayMode
+      },
+      (response) => {
+        if (response && response.status === "success") {
+          console.log("Translation started successfully.");
+          updateStatusUI(true);
+        } else {
+          console.error("Failed to start translation.");
+          updateStatusUI(false);
+          
+          // Show error message
+          if (response && response.message) {
+            alert(`Error: ${response.message}`);
+          }
+        }
+      }
+    );
+  } catch (error) {
+    console.error("Error starting translation:", error);
+    updateStatusUI(false);
+  }
+}
+
+// Function to update display mode without restarting translation
+async function updateDisplayMode(displayMode) {
+  try {
+    const tab = await getActiveTeamsTab();
+    if (!tab) return;
+    
+    // Send message to content.js to update display mode
+    chrome.tabs.sendMessage(
+      tab.id,
+      {
+        action: "setDisplayMode",
+        displayMode: displayMode
+      },
+      (response) => {
+        if (!response || response.status !== "success") {
+          console.error("Failed to update display mode.");
+        }
+      }
+    );
+  } catch (error) {
+    console.error("Error updating display mode:", error);
+  }
+}
+
+// Function to stop translation
+async function stopTranslation() {
+  try {
+    const tab = await getActiveTeamsTab();
+    if (!tab) return;
+    
+    // Send message to content.js to stop translation
+    chrome.tabs.sendMessage(
+      tab.id,
+      { action: "stopTranslation" },
+      (response) => {
+        if (response && response.status === "success") {
+          console.log("Translation stopped successfully.");
+          updateStatusUI(false);
+        } else {
+          console.error("Failed to stop translation.");
+        }
+      }
+    );
+  } catch (error) {
+    console.error("Error stopping translation:", error);
+  }
+}
+
+// Handle toggle switch changes
+translationToggle.addEventListener("change", () => {
+  if (translationToggle.checked) {
+    const settings = savePreferences();
+    startTranslation(settings);
+  } else {
+    stopTranslation();
+  }
+});
+
+// Handle display mode changes
+for (const radio of displayModeRadios) {
+  radio.addEventListener("change", () => {
+    if (translationToggle.checked) {
+      // If translation is already active, update the display mode without restarting
+      updateDisplayMode(getSelectedDisplayMode());
+    }
+  });
+}
+
+// Handle provider changes
+providerSelect.addEventListener("change", () => {
+  updateProviderFields();
+  showProviderApiKey();
+});
+
+// Open the full options page
+document.getElementById("optionsButton").addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Handle apply button clicks
+applyButton.addEventListener("click", () => {
+  const settings = savePreferences();
+  
+  // Ensure popup stays on top by focusing the tab first, then the popup
+  focusTeamsTab();
+  
+  if (translationToggle.checked) {
+    // If translation is active, restart it with new settings
+    startTranslation(settings);
+  }
+  
+  // Add a subtle animation to the button to provide feedback
+  applyButton.style.transition = "transform 0.2s ease";
+  applyButton.style.transform = "scale(0.95)";
+  
+  setTimeout(() => {
+    applyButton.style.transform = "scale(1)";
+  }, 200);
+});
+
+// Function to render a saved meeting summary
+function renderMeetingSummary(summary) {
+  const container = document.createElement("div");
+  container.className = "transcript-summary";
+  
+  const text = document.createElement("div");
+  text.textContent = summary.summary;
+  container.appendChild(text);
+  
+  const sections = [
+    ["Decisions", summary.decisions || []],
+    ["Action items", (summary.actionItems || []).map((item) => `${item.owner}: ${item.task}`)]
+  ];
+  for (const [title, items] of sections) {
+    if (items.length === 0) continue;
+    
+    const heading = document.createElement("div");
+    heading.className = "transcript-speaker";
+    heading.textContent = title;
+    container.appendChild(heading);
+    
+    const list = document.createElement("ul");
+    for (const item of items) {
+      const entry = document.createElement("li");
+      entry.textContent = item;
+      list.appendChild(entry);
+    }
+    container.appendChild(list);
+  }
+  
+  return container;
+}
+
+// Function to render a saved meeting transcript
+function showMeetingTranscript(sessionId) {
+  const storageKey = `${MEETING_KEY_PREFIX}${sessionId}`;
+  chrome.storage.local.get([storageKey], (data) => {
+    const record = data[storageKey];
+    historyTranscript.innerHTML = "";
+    
+    if (!record) {
+      historyTranscript.textContent = "Transcript not found.";
+      return;
+    }
+    
+    const backButton = document.createElement("button");
+    backButton.textContent = "Back to History";
+    backButton.addEventListener("click", () => {
+      historyTranscript.innerHTML = "";
+      historyList.style.display = "block";
+    });
+    historyTranscript.appendChild(backButton);
+    
+    // Summary created in the translations window
+    if (record.summary) {
+      historyTranscript.appendChild(renderMeetingSummary(record.summary));
+    }
+    
+    for (const utterance of record.utterances) {
+      const line = document.createElement("div");
+      line.className = "transcript-line";
+      
+      const speaker = document.createElement("div");
+      speaker.className = "transcript-speaker";
+      speaker.textContent = `${utterance.speaker} (${utterance.timestamp})`;
+      line.appendChild(speaker);
+      
+      const original = document.createElement("div");
+      original.className = "transcript-original";
+      original.textContent = utterance.original;
+      line.appendChild(original);
+      
+      const translated = document.createElement("div");
+      translated.textContent = utterance.translated;
+      line.appendChild(translated);
+      
+      historyTranscript.appendChild(line);
+    }
+    
+    historyList.style.display = "none";
+  });
+}
+
+// Function to delete a saved meeting transcript
+function deleteMeetingTranscript(sessionId) {
+  chrome.storage.local.get([HISTORY_INDEX_KEY], (data) => {
+    const index = (data[HISTORY_INDEX_KEY] || []).filter((meta) => meta.id !== sessionId);
+    chrome.storage.local.remove(`${MEETING_KEY_PREFIX}${sessionId}`, () => {
+      chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index }, renderMeetingHistory);
+    });
+  });
+}
+
+// Function to list saved meetings
+function renderMeetingHistory() {
+  chrome.storage.local.get([HISTORY_INDEX_KEY], (data) => {
+    const meetings = data[HISTORY_INDEX_KEY] || [];
+    historyList.innerHTML = "";
+    historyList.style.display = "block";
+    
+    if (meetings.length === 0) {
+      historyList.textContent = "No saved meetings yet.";
+      return;
+    }
+    
+    for (const meta of meetings) {
+      const item = document.createElement("div");
+      item.className = "history-item";
+      
+      const title = document.createElement("div");
+      title.className = "history-title";
+      title.textContent = meta.title;
+      item.appendChild(title);
+      
+      const details = document.createElement("div");
+      details.className = "history-meta";
+      details.textContent = `${new Date(meta.startTime).toLocaleString()} · ${meta.utteranceCount || 0} lines · ${meta.inputLang} → ${meta.outputLang}`;
+      item.appendChild(details);
+      
+      const actions = document.createElement("div");
+      actions.className = "history-actions";
+      
+      const openButton = document.createElement("button");
+      openButton.textContent = "Open";
+      openButton.addEventListener("click", () => showMeetingTranscript(meta.id));
+      actions.appendChild(openButton);
+      
+      const deleteButton = document.createElement("button");
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () => {
+        if (confirm(`Delete the transcript of "${meta.title}"?`)) {
+          deleteMeetingTranscript(meta.id);
+        }
+      });
+      actions.appendChild(deleteButton);
+      
+      item.appendChild(actions);
+      historyList.appendChild(item);
+    }
+  });
+}
+
+// Handle history button clicks
+historyButton.addEventListener("click", () => {
+  historyTranscript.innerHTML = "";
+  renderMeetingHistory();
+});
+
+
+// Function to show the glossary entries of the selected language pair
+function renderGlossary() {
+  chrome.storage.sync.get(["glossary"], (data) => {
+    const glossary = data.glossary || { terms: [], doNotTranslate: [] };
+    
+    glossaryPair.textContent = `${inputLang.value} → ${outputLang.value}`;
+    glossaryTerms.value = glossary.terms
+      .filter((term) => term.sourceLang === inputLang.value && term.targetLang === outputLang.value)
+      .map((term) => `${term.source} = ${term.target}`)
+      .join("\n");
+    glossaryDoNotTranslate.value = glossary.doNotTranslate.join("\n");
+  });
+}
+
+// Function to save the glossary entries of the selected language pair
+function saveGlossary() {
+  chrome.storage.sync.get(["glossary"], (data) => {
+    const glossary = data.glossary || { terms: [], doNotTranslate: [] };
+    
+    // Keep the entries of other language pairs
+    const otherTerms = glossary.terms.filter(
+      (term) => term.sourceLang !== inputLang.value || term.targetLang !== outputLang.value
+    );
+    
+    const pairTerms = glossaryTerms.value
+      .split("\n")
+      .map((line) => line.split("="))
+      .filter((parts) => parts.length >= 2 && parts[0].trim() && parts.slice(1).join("=").trim())
+      .map((parts) => ({
+        source: parts[0].trim(),
+        target: parts.slice(1).join("=").trim(),
+        sourceLang: inputLang.value,
+        targetLang: outputLang.value
+      }));
+    
+    const doNotTranslate = glossaryDoNotTranslate.value
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+    
+    chrome.storage.sync.set(
+      { glossary: { terms: otherTerms.concat(pairTerms), doNotTranslate } },
+      () => {
+        if (chrome.runtime.lastError) {
+          alert(`Could not save glossary: ${chrome.runtime.lastError.message}`);
+          return;
+        }
+        glossarySaveButton.textContent = "Glossary Saved!";
+        setTimeout(() => {
+          glossarySaveButton.textContent = "Save Glossary";
+        }, 1500);
+      }
+    );
+  });
+}
+
+// Handle glossary changes
+glossarySaveButton.addEventListener("click", saveGlossary);
+inputLang.addEventListener("change", renderGlossary);
+outputLang.addEventListener("change", renderGlossary);
+
+
+// Function to show the user-added Teams origins
+function renderCustomTeamsOrigins() {
+  chrome.storage.sync.get([CUSTOM_ORIGINS_STORAGE_KEY], (data) => {
+    customTeamsOrigins.value = (data[CUSTOM_ORIGINS_STORAGE_KEY] || []).join("\n");
+  });
+}
+
+// Function to save user-added origins, ask for access and inject the content script there
+async function saveCustomTeamsOrigins() {
+  let origins;
+  try {
+    origins = Array.from(new Set(customTeamsOrigins.value
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map(normalizeOrigin)
+      .filter((origin) => !Config.TEAMS_ORIGINS.includes(origin))));
+  } catch (error) {
+    alert(`Invalid site: ${error.message}`);
+    return;
+  }
+  
+  const matches = getMatchPatterns(origins);
+  
+  try {
+    // Must run in the click handler - Chrome only shows the prompt for a user gesture
+    if (matches.length > 0 && !(await chrome.permissions.request({ origins: matches }))) {
+      alert("Access to the new sites was not granted.");
+      return;
+    }
+    
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_ORIGINS_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_ORIGINS_SCRIPT_ID] });
+    }
+    if (matches.length > 0) {
+      await chrome.scripting.registerContentScripts([
+        { id: CUSTOM_ORIGINS_SCRIPT_ID, matches, js: ["content.js"] }
+      ]);
+    }
+  } catch (error) {
+    console.error("Error registering Teams sites:", error);
+    alert(`Could not add the sites: ${error.message}`);
+    return;
+  }
+  
+  chrome.storage.sync.set({ [CUSTOM_ORIGINS_STORAGE_KEY]: origins }, () => {
+    customTeamsOrigins.value = origins.join("\n");
+    customTeamsOriginsSaveButton.textContent = "Sites Saved!";
+    setTimeout(() => {
+      customTeamsOriginsSaveButton.textContent = "Save Sites";
+    }, 1500);
+    checkTranslationStatus();
+  });
+}
+
+customTeamsOriginsSaveButton.addEventListener("click", saveCustomTeamsOrigins);
+renderCustomTeamsOrigins();
@@ -0,0 +1,109 @@
+// Provider requests relayed to the background service worker
+import { debugLog } from './utils.js';
+
+// Port name the background service worker listens on
+const PROVIDER_PORT_NAME = 'provider-request';
+
+// Prefix of the API key storage keys in chrome.storage.local - each provider has its own key
+const API_KEY_STORAGE_PREFIX = 'providerApiKey:';
+
+/**
+ * Get the storage key of a provider's API key
+ * @param {string} providerId - Provider ID
+ * @returns {string} - Storage key like providerApiKey:openai
+ */
+function getApiKeyStorageKey(providerId) {
+  return `${API_KEY_STORAGE_PREFIX}${providerId}`;
+}
+
+/**
+ * Rebuild an error sent by the background service worker
+ * @param {Object} error - Serialized error with name, message, status and retryAfter
+ * @returns {Error} - Error
+ */
+function toError(error) {
+  if (error?.name === 'AbortError') {
+    return new DOMException(error.message, 'AbortError');
+  }
+
+  const result = new Error(error?.message || "Unknown provider error");
+  if (error?.status) {
+    result.status = error.status;
+  }
+  if (error?.retryAfter !== undefined) {
+    result.retryAfter = error.retryAfter;
+  }
+  return result;
+}
+
+/**
+ * Call a provider method in the background service worker, which adds the credentials.
+ * Each call uses its own port, so aborting the signal cancels the request there too.
+ * @param {string} method - translate, translateMulti, translateStream, summarize or checkConnection
+ * @param {Object} request - Request for the provider method, without signal and onChunk
+ * @param {Object} settings - Provider settings without the API key
+ * @param {Object} [options] - Call options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Function} [options.onChunk] - Called with the text so far for translateStream
+ * @param {Function} [options.onUsage] - Called with the token or character usage of the request
+ * @returns {Promise<*>} - Result of the provider method
+ */
+function callProvider(method, request, settings, { signal, onChunk, onUsage } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("The operation was aborted.", 'AbortError'));
+      return;
+    }
+
+    let port;
+    try {
+      port = chrome.runtime.connect({ name: PROVIDER_PORT_NAME });
+    } catch (error) {
+      // Happens when the extension was reloaded while the Teams tab stayed open
+      debugLog(`Cannot reach background service worker: ${error.message}`);
+      reject(error);
+      return;
+    }
+
+    let settled = false;
+
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      port.disconnect();
+      callback();
+    };
+
+    // Disconnecting tells the background service worker to abort the request
+    const onAbort = () => {
+      finish(() => reject(new DOMException("The operation was aborted.", 'AbortError')));
+    };
+
+    signal?.addEventListener('abort', onAbort);
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'chunk') {
+        if (onChunk) onChunk(message.text);
+      } else if (message.type === 'usage') {
+        if (onUsage) onUsage(message.usage);
+      } else if (message.type === 'result') {
+        finish(() => resolve(message.result));
+      } else if (message.type === 'error') {
+        finish(() => reject(toError(message.error)));
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      finish(() => reject(new Error(chrome.runtime.lastError?.message || "Background service worker disconnected")));
+    });
+
+    port.postMessage({ method, request, settings });
+  });
+}
+
+export {
+  PROVIDER_PORT_NAME,
+  getApiKeyStorageKey,
+  callProvider
+};
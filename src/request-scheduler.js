@@ -0,0 +1,266 @@
+// Global provider request scheduler - concurrency limit, token bucket, priorities and backoff
+import Config from './config.js';
+import { debugLog } from './utils.js';
+
+// Lower rank starts first - finalization requests go ahead of interim ones,
+// background work like meeting summaries goes last
+const PRIORITY_RANKS = {
+  final: 0,
+  interim: 1,
+  background: 2
+};
+
+// Waiting requests and the number of running ones
+const queue = [];
+let running = 0;
+
+// Token bucket, filled up to REQUEST_BURST at REQUESTS_PER_MINUTE
+let tokens = null;
+let lastRefill = 0;
+
+// Nothing starts before this time, e.g. after a 429 with Retry-After
+let pausedUntil = 0;
+
+// When the last interim request for each key started, for the per-speaker interval.
+// Entries are dropped once their throttle window has passed.
+const lastStartByKey = {};
+
+let wakeTimer = null;
+
+/**
+ * Create the error a superseded or cleared request is rejected with
+ * @param {string} message - Reason
+ * @returns {DOMException} - AbortError
+ */
+function createAbortError(message) {
+  return new DOMException(message, 'AbortError');
+}
+
+/**
+ * Add the tokens earned since the last refill
+ * @param {number} now - Current time
+ */
+function refillTokens(now) {
+  if (tokens === null) {
+    tokens = Config.REQUEST_BURST;
+  } else {
+    tokens = Math.min(Config.REQUEST_BURST, tokens + (now - lastRefill) * Config.REQUESTS_PER_MINUTE / 60000);
+  }
+  lastRefill = now;
+}
+
+/**
+ * Get the earliest time a queued request may start
+ * @param {Object} entry - Queue entry
+ * @returns {number} - Time in milliseconds
+ */
+function getReadyTime(entry) {
+  // Interim updates of one speaker keep a minimum distance, finalization never waits for it
+  if (entry.priority === 'interim' && entry.key && lastStartByKey[entry.key]) {
+    return lastStartByKey[entry.key] + Config.TRANSLATION_THROTTLE;
+  }
+  return 0;
+}
+
+/**
+ * Find the queued request to start next
+ * @param {number} now - Current time
+ * @returns {number} - Queue index, -1 if none is ready
+ */
+function findNextIndex(now) {
+  let best = -1;
+  for (let i = 0; i < queue.length; i++) {
+    if (getReadyTime(queue[i]) > now) continue;
+    // The queue is in arrival order, so the first entry of the best rank wins
+    if (best === -1 || PRIORITY_RANKS[queue[i].priority] < PRIORITY_RANKS[queue[best].priority]) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Get the delay before a background request may start.
+ * Background requests leave one slot and one token free for live translation.
+ * @returns {number|null} - Delay in milliseconds, null to wait for a running request
+ */
+function getBackgroundDelay() {
+  if (running >= Math.max(Config.MAX_CONCURRENT_REQUESTS - 1, 1)) return null;
+
+  const needed = Math.min(2, Config.REQUEST_BURST);
+  return tokens >= needed ? 0 : (needed - tokens) * 60000 / Config.REQUESTS_PER_MINUTE;
+}
+
+/**
+ * Run drain again after a delay
+ * @param {number} delay - Delay in milliseconds
+ */
+function wakeAfter(delay) {
+  clearTimeout(wakeTimer);
+  wakeTimer = setTimeout(drain, Math.max(Math.ceil(delay), 1));
+}
+
+/**
+ * Start a queued request
+ * @param {Object} entry - Queue entry
+ */
+function startEntry(entry) {
+  running++;
+
+  // Only interim requests are spaced out, so only they need a start time
+  const now = Date.now();
+  for (const key of Object.keys(lastStartByKey)) {
+    if (lastStartByKey[key] + Config.TRANSLATION_THROTTLE <= now) {
+      delete lastStartByKey[key];
+    }
+  }
+  if (entry.priority === 'interim' && entry.key) {
+    lastStartByKey[entry.key] = now;
+  }
+
+  Promise.resolve()
+    .then(entry.task)
+    .then(entry.resolve, entry.reject)
+    .finally(() => {
+      running--;
+      drain();
+    });
+}
+
+/**
+ * Start as many queued requests as the limits allow
+ */
+function drain() {
+  clearTimeout(wakeTimer);
+  wakeTimer = null;
+
+  while (queue.length > 0 && running < Config.MAX_CONCURRENT_REQUESTS) {
+    const now = Date.now();
+    if (now < pausedUntil) {
+      wakeAfter(pausedUntil - now);
+      return;
+    }
+
+    refillTokens(now);
+    if (tokens < 1) {
+      wakeAfter((1 - tokens) * 60000 / Config.REQUESTS_PER_MINUTE);
+      return;
+    }
+
+    const index = findNextIndex(now);
+    if (index === -1) {
+      wakeAfter(Math.min(...queue.map(getReadyTime)) - now);
+      return;
+    }
+
+    if (queue[index].priority === 'background') {
+      const delay = getBackgroundDelay();
+      if (delay !== 0) {
+        // Wake up for the first throttled request or the background one, a finishing request drains anyway
+        const waits = queue.map(getReadyTime).filter(time => time > now).map(time => time - now);
+        if (delay !== null) waits.push(delay);
+        if (waits.length > 0) wakeAfter(Math.min(...waits));
+        return;
+      }
+    }
+
+    const [entry] = queue.splice(index, 1);
+    tokens -= 1;
+    startEntry(entry);
+  }
+}
+
+/**
+ * Queue a provider request
+ * @param {Function} task - Starts the request and returns its promise
+ * @param {Object} [options] - Scheduling options
+ * @param {string} [options.priority] - "final", "interim" or "background"
+ * @param {string} [options.key] - Requests with the same key are spaced out, e.g. the speaker ID
+ * @returns {Promise<*>} - Result of the task. Rejects with an AbortError if superseded.
+ */
+function scheduleRequest(task, { priority = 'interim', key = null } = {}) {
+  return new Promise((resolve, reject) => {
+    // A waiting interim request is outdated by a newer one for the same key
+    if (priority === 'interim' && key) {
+      const index = queue.findIndex(entry => entry.key === key && entry.priority === 'interim');
+      if (index > -1) {
+        const [outdated] = queue.splice(index, 1);
+        outdated.reject(createAbortError("Superseded by a newer request"));
+      }
+    }
+
+    queue.push({ task, priority, key, resolve, reject });
+    drain();
+  });
+}
+
+/**
+ * Check if a request for a key is waiting to start
+ * @param {string} key - Request key
+ * @returns {boolean} - True if queued
+ */
+function isRequestQueued(key) {
+  return queue.some(entry => entry.key === key);
+}
+
+/**
+ * Hold back all requests, e.g. when the provider asks to retry later
+ * @param {number} delay - Delay in milliseconds
+ */
+function pauseRequests(delay) {
+  const until = Date.now() + delay;
+  if (until <= pausedUntil) return;
+
+  pausedUntil = until;
+  debugLog(`Pausing translation requests for ${Math.round(delay)}ms`);
+  drain();
+}
+
+/**
+ * Get the delay before retrying a failed request
+ * @param {number} attempt - Number of the retry, starting at 1
+ * @param {Error} error - Error of the failed attempt
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt, error) {
+  if (error?.retryAfter > 0) {
+    return Math.min(error.retryAfter, Config.MAX_RETRY_DELAY);
+  }
+
+  // Exponential backoff with jitter so clients don't retry in lockstep
+  const backoff = Math.min(Config.RETRY_DELAY * 2 ** (attempt - 1), Config.MAX_RETRY_DELAY);
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Reject all waiting requests and forget the per-key timing
+ */
+function clearScheduledRequests() {
+  queue.splice(0, queue.length).forEach(entry => entry.reject(createAbortError("Request queue cleared")));
+  Object.keys(lastStartByKey).forEach(key => delete lastStartByKey[key]);
+  pausedUntil = 0;
+  clearTimeout(wakeTimer);
+  wakeTimer = null;
+}
+
+/**
+ * Describe the scheduler state for the debug tab
+ * @returns {Object} - Queued and running request counts, throttled keys and the pause end
+ */
+function getSchedulerStats() {
+  return {
+    queued: queue.length,
+    running,
+    throttledKeys: Object.keys(lastStartByKey).length,
+    pausedUntil: pausedUntil > Date.now() ? pausedUntil : null
+  };
+}
+
+export {
+  scheduleRequest,
+  isRequestQueued,
+  pauseRequests,
+  getRetryDelay,
+  clearScheduledRequests,
+  getSchedulerStats
+};
@@ -0,0 +1,339 @@
+// Teams DOM selector profiles
+import { debugLog } from './utils.js';
+
+// Storage key in chrome.storage.sync - set on the options page
+const PROFILE_OVERRIDE_KEY = 'selectorProfileOverride';
+
+// Selector lists every profile provides
+const SELECTOR_FIELDS = ['captionContainer', 'captionRow', 'captionText', 'speakerName', 'speakerAvatar'];
+
+// Minimum time between two probes of the page while no captions are found
+const PROBE_INTERVAL = 5000;
+
+// Built-in profiles, in the order they are preferred when probes tie
+const SELECTOR_PROFILES = {
+  'teams-classic': {
+    id: 'teams-classic',
+    label: 'Classic Teams',
+    urlPatterns: ['^https://teams\\.microsoft\\.com/(?!v2/)'],
+    captionContainer: [
+      '[data-tid="closed-caption-renderer-wrapper"]',
+      '[data-tid="closed-caption-container"]'
+    ],
+    captionRow: ['[data-tid="closed-caption-activity"]'],
+    captionText: ['span[dir="auto"][data-tid="closed-caption-text"]'],
+    speakerName: ['[data-tid="closed-caption-activity-name"]'],
+    speakerAvatar: ['[data-tid="closed-caption-activity-avatar"] img']
+  },
+  'teams-v2': {
+    id: 'teams-v2',
+    label: 'New Teams (v2)',
+    urlPatterns: ['^https://teams\\.microsoft\\.com/v2/', '^https://teams\\.cloud\\.microsoft/'],
+    captionContainer: [
+      '[data-tid="closed-caption-v2-window-wrapper"]',
+      '[data-tid="closed-captions-renderer"]',
+      '[data-tid="caption-container-root"]'
+    ],
+    captionRow: ['.fui-ChatMessageCompact', '[data-tid="closed-caption-activity"]'],
+    captionText: ['[data-tid="closed-caption-text"]'],
+    speakerName: ['[data-tid="author"]', '[data-tid="closed-caption-activity-name"]'],
+    speakerAvatar: ['.fui-Avatar img', '[data-tid="closed-caption-activity-avatar"] img']
+  },
+  'teams-live-events': {
+    id: 'teams-live-events',
+    label: 'Teams live events',
+    urlPatterns: ['^https://teams\\.microsoft\\.com/.*(broadcast|live-?event)'],
+    captionContainer: ['[data-tid="meetup-captions-container"]', '[role="dialog"][aria-label*="caption"]'],
+    captionRow: ['[data-tid="caption-item"]', '[data-tid="meetup-captions-container"] > div'],
+    captionText: ['[data-tid="meetup-captions-container"] [data-tid="caption-text"]'],
+    speakerName: ['[data-tid="meetup-captions-container"] [data-tid="caption-speaker"]'],
+    speakerAvatar: ['[data-tid="meetup-captions-container"] [data-tid*="avatar"] img']
+  },
+  'teams-live-personal': {
+    id: 'teams-live-personal',
+    label: 'Teams personal (teams.live.com)',
+    urlPatterns: ['^https://teams\\.live\\.com/'],
+    captionContainer: ['.ts-captions-container', '.cc-container'],
+    captionRow: ['.ts-captions-item', '.ts-captions-container > div'],
+    captionText: ['.ts-captions-container .ts-captions-text', '.caption-text'],
+    speakerName: ['.ts-captions-container .ts-captions-speaker', '.caption-container .caption-speaker'],
+    speakerAvatar: ['.ts-captions-container .ts-captions-avatar img']
+  }
+};
+
+// Last resort when no profile matches - broad selectors from earlier versions
+const FALLBACK_PROFILE = {
+  id: 'generic',
+  label: 'Generic (fallback)',
+  urlPatterns: [],
+  captionContainer: [
+    '[class*="caption-container"]',
+    '[class*="captionContainer"]',
+    '[data-tid*="caption"]',
+    '[aria-label*="caption"]',
+    '[class*="captions"]'
+  ],
+  captionRow: ['[class*="caption"][class*="item"]', '[class*="caption"][class*="row"]'],
+  captionText: ['[class*="caption"] [class*="text"]'],
+  speakerName: ['[aria-label*="caption"] .caption-speaker', '[class*="caption"] [class*="speaker"]'],
+  speakerAvatar: ['[class*="avatar-image"]', '[data-tid*="avatar"] img', '[class*="participant"] [class*="avatar"] img']
+};
+
+// Currently active profile, how it was chosen and the user override
+let activeProfile = null;
+let activeSource = null; // 'detected', 'fallback' or 'override'
+let profileOverride = null;
+let lastProbeTime = 0;
+
+/**
+ * Check a selector list, throwing for anything querySelector rejects
+ * @param {string} field - Field name for the error message
+ * @param {string|string[]} selectors - Selector or selector list
+ * @returns {string[]} - Selector list
+ */
+function validateSelectors(field, selectors) {
+  const list = typeof selectors === 'string' ? [selectors] : selectors;
+  if (!Array.isArray(list) || list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+    throw new Error(`"${field}" must be a selector or a list of selectors`);
+  }
+
+  for (const selector of list) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (error) {
+      throw new Error(`Invalid selector in "${field}": ${selector}`);
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Build a profile from an imported JSON override
+ * @param {Object} data - Override with optional "extends", "label" and selector lists
+ * @returns {Object} - Complete profile
+ */
+function normalizeProfileOverride(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error("Selector profile override must be a JSON object");
+  }
+
+  const base = data.extends ? SELECTOR_PROFILES[data.extends] : FALLBACK_PROFILE;
+  if (!base) {
+    throw new Error(`Unknown base profile: ${data.extends}`);
+  }
+
+  const profile = {
+    ...base,
+    id: 'override',
+    label: data.label || `Custom (${base.label})`,
+    urlPatterns: []
+  };
+
+  for (const field of SELECTOR_FIELDS) {
+    if (data[field] !== undefined) {
+      profile[field] = validateSelectors(field, data[field]);
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Return all elements matched by the first selector of a list that matches anything
+ * @param {string[]} selectors - Selector list
+ * @param {ParentNode} root - Element or document to search in
+ * @returns {Element[]} - Matching elements
+ */
+function queryAllFirstMatch(selectors, root = document) {
+  for (const selector of selectors) {
+    const elements = root.querySelectorAll(selector);
+    if (elements.length > 0) {
+      return Array.from(elements);
+    }
+  }
+  return [];
+}
+
+/**
+ * Return the first element matched by a selector list
+ * @param {string[]} selectors - Selector list
+ * @param {ParentNode} root - Element or document to search in
+ * @returns {Element|null} - First match
+ */
+function queryFirst(selectors, root = document) {
+  for (const selector of selectors) {
+    const element = root.querySelector(selector);
+    if (element) return element;
+  }
+  return null;
+}
+
+/**
+ * Score how well a profile fits the current page
+ * @param {Object} profile - Selector profile
+ * @returns {number} - Score, 0 if nothing matches
+ */
+function scoreProfile(profile) {
+  let score = 0;
+
+  if (profile.urlPatterns.some(pattern => new RegExp(pattern).test(window.location.href))) {
+    score += 1;
+  }
+  if (queryFirst(profile.captionContainer)) {
+    score += 2;
+  }
+  if (queryFirst(profile.captionText)) {
+    score += 4;
+  }
+
+  return score;
+}
+
+/**
+ * Set the active profile, logging when it changes
+ * @param {Object} profile - Profile to activate
+ * @param {string} source - How the profile was chosen
+ */
+function setActiveProfile(profile, source) {
+  if (activeProfile?.id !== profile.id || activeSource !== source) {
+    debugLog(`Selector profile: ${profile.label} (${source})`);
+  }
+  activeProfile = profile;
+  activeSource = source;
+}
+
+/**
+ * Probe the page and pick the best matching selector profile
+ * @returns {Object} - The active profile
+ */
+function detectSelectorProfile() {
+  lastProbeTime = Date.now();
+
+  if (profileOverride) {
+    setActiveProfile(profileOverride, 'override');
+    return activeProfile;
+  }
+
+  let bestProfile = null;
+  let bestScore = 0;
+  for (const profile of Object.values(SELECTOR_PROFILES)) {
+    const score = scoreProfile(profile);
+    if (score > bestScore) {
+      bestProfile = profile;
+      bestScore = score;
+    }
+  }
+
+  if (bestProfile) {
+    setActiveProfile(bestProfile, 'detected');
+  } else {
+    setActiveProfile(FALLBACK_PROFILE, 'fallback');
+  }
+
+  return activeProfile;
+}
+
+/**
+ * Get the active selector profile, probing the page on first use
+ * @returns {Object} - Selector profile
+ */
+function getActiveProfile() {
+  return activeProfile || detectSelectorProfile();
+}
+
+/**
+ * Describe the active profile for the debug tab
+ * @returns {Object} - Profile id, label and how it was chosen
+ */
+function getActiveProfileInfo() {
+  const profile = getActiveProfile();
+  return { id: profile.id, label: profile.label, source: activeSource };
+}
+
+/**
+ * Find the element containing the captions
+ * @returns {Element|null} - Caption container
+ */
+function findCaptionContainer() {
+  return queryFirst(getActiveProfile().captionContainer);
+}
+
+/**
+ * Find all caption text elements, re-probing the page when the profile finds none
+ * @returns {Element[]} - Caption text elements
+ */
+function findCaptionTextElements() {
+  const elements = queryAllFirstMatch(getActiveProfile().captionText);
+  const isSettled = elements.length > 0 && activeSource !== 'fallback';
+  if (isSettled || Date.now() - lastProbeTime < PROBE_INTERVAL) {
+    return elements;
+  }
+
+  // Captions may have been turned on later or Teams switched layouts
+  return queryAllFirstMatch(detectSelectorProfile().captionText);
+}
+
+/**
+ * Find the caption row a caption text element belongs to
+ * @param {Element} captionElement - Caption text element
+ * @returns {Element|null} - Caption row
+ */
+function findCaptionRow(captionElement) {
+  for (const selector of getActiveProfile().captionRow) {
+    const row = captionElement.closest(selector);
+    if (row) return row;
+  }
+  return null;
+}
+
+/**
+ * Set or clear the user's selector profile override
+ * @param {Object|null} data - Override from storage
+ */
+function setProfileOverride(data) {
+  try {
+    profileOverride = data ? normalizeProfileOverride(data) : null;
+  } catch (error) {
+    console.error("Invalid selector profile override:", error);
+    debugLog(`Ignoring selector profile override: ${error.message}`);
+    profileOverride = null;
+  }
+  detectSelectorProfile();
+}
+
+/**
+ * Load the selector profile override saved on the options page
+ * @returns {Promise<Object>} - The active profile
+ */
+function loadProfileOverride() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([PROFILE_OVERRIDE_KEY], (data) => {
+      setProfileOverride(data[PROFILE_OVERRIDE_KEY]);
+      resolve(activeProfile);
+    });
+  });
+}
+
+// Pick up a newly imported override without a reload
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[PROFILE_OVERRIDE_KEY]) {
+      setProfileOverride(changes[PROFILE_OVERRIDE_KEY].newValue);
+    }
+  });
+}
+
+export {
+  PROFILE_OVERRIDE_KEY,
+  SELECTOR_PROFILES,
+  normalizeProfileOverride,
+  detectSelectorProfile,
+  getActiveProfile,
+  getActiveProfileInfo,
+  loadProfileOverride,
+  queryFirst,
+  findCaptionContainer,
+  findCaptionTextElements,
+  findCaptionRow
+};
@@ -0,0 +1,204 @@
+// Per-meeting speaker names, colors, merges and muting
+import { debugLog } from './utils.js';
+import { getCurrentSession, reassignSpeaker } from './transcript-store.js';
+
+// Storage key prefix - one record per meeting in chrome.storage.local
+const SPEAKERS_KEY_PREFIX = 'speakers:';
+
+// Speaker mappings of the current meeting
+let mappings = null;
+
+// Listeners notified after the mappings changed
+const changeListeners = [];
+
+/**
+ * Create empty speaker mappings
+ * @param {string} meetingKey - Meeting the mappings belong to
+ * @returns {Object} - names, colors, muted and aliases by speaker ID
+ */
+function createMappings(meetingKey) {
+  return { meetingKey, names: {}, colors: {}, muted: {}, aliases: {} };
+}
+
+/**
+ * Get the key of the meeting speakers are mapped for
+ * @returns {string} - Meeting key, "none" outside a meeting session
+ */
+function getMeetingKey() {
+  return getCurrentSession()?.meetingKey || 'none';
+}
+
+/**
+ * Make sure the mappings belong to the current meeting
+ * @returns {Object} - Current mappings
+ */
+function getMappings() {
+  const meetingKey = getMeetingKey();
+  if (!mappings || mappings.meetingKey !== meetingKey) {
+    mappings = createMappings(meetingKey);
+  }
+  return mappings;
+}
+
+/**
+ * Save the mappings of the current meeting and notify listeners
+ */
+function saveMappings() {
+  const current = getMappings();
+  chrome.storage.local.set({ [`${SPEAKERS_KEY_PREFIX}${current.meetingKey}`]: current });
+  changeListeners.forEach(listener => listener());
+}
+
+/**
+ * Load the speaker mappings saved for the current meeting
+ * @returns {Promise<void>}
+ */
+function loadSpeakerMappings() {
+  const meetingKey = getMeetingKey();
+  const storageKey = `${SPEAKERS_KEY_PREFIX}${meetingKey}`;
+
+  return new Promise((resolve) => {
+    chrome.storage.local.get([storageKey], (data) => {
+      mappings = { ...createMappings(meetingKey), ...data?.[storageKey], meetingKey };
+      debugLog(`Loaded speaker mappings for ${meetingKey}`);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Follow merges to the speaker ID an ID was merged into
+ * @param {string} speakerId - Detected speaker ID
+ * @returns {string} - Speaker ID to use
+ */
+function resolveSpeakerId(speakerId) {
+  const { aliases } = getMappings();
+  const seen = new Set();
+  let current = speakerId;
+
+  while (aliases[current] && !seen.has(current)) {
+    seen.add(current);
+    current = aliases[current];
+  }
+  return current;
+}
+
+/**
+ * Get the name a speaker is shown with
+ * @param {string} speakerId - Speaker ID
+ * @param {string} fallback - Detected speaker name
+ * @returns {string} - Chosen name, or the detected one
+ */
+function getSpeakerName(speakerId, fallback) {
+  return getMappings().names[speakerId] || fallback;
+}
+
+/**
+ * Get the color chosen for a speaker
+ * @param {string} speakerId - Speaker ID
+ * @returns {string|null} - Color like #0078d4, null for the default color
+ */
+function getSpeakerColor(speakerId) {
+  return getMappings().colors[speakerId] || null;
+}
+
+/**
+ * Check if a speaker is muted from display and translation
+ * @param {string} speakerId - Speaker ID
+ * @returns {boolean} - True if muted
+ */
+function isSpeakerMuted(speakerId) {
+  return Boolean(getMappings().muted[speakerId]);
+}
+
+/**
+ * Rename a speaker
+ * @param {string} speakerId - Speaker ID
+ * @param {string} name - New name, empty to use the detected name again
+ */
+function renameSpeaker(speakerId, name) {
+  const { names } = getMappings();
+  const trimmed = (name || '').trim();
+  if (trimmed) {
+    names[speakerId] = trimmed;
+  } else {
+    delete names[speakerId];
+  }
+  saveMappings();
+}
+
+/**
+ * Choose a speaker's color
+ * @param {string} speakerId - Speaker ID
+ * @param {string} color - Color like #0078d4, empty for the default color
+ */
+function setSpeakerColor(speakerId, color) {
+  const { colors } = getMappings();
+  if (color) {
+    colors[speakerId] = color;
+  } else {
+    delete colors[speakerId];
+  }
+  saveMappings();
+}
+
+/**
+ * Mute or unmute a speaker
+ * @param {string} speakerId - Speaker ID
+ * @param {boolean} muted - True to hide and stop translating the speaker
+ */
+function setSpeakerMuted(speakerId, muted) {
+  const current = getMappings();
+  if (muted) {
+    current.muted[speakerId] = true;
+  } else {
+    delete current.muted[speakerId];
+  }
+  saveMappings();
+}
+
+/**
+ * Merge one speaker into another, e.g. "Unknown" into the real name.
+ * Captions detected for the merged ID are attributed to the target from then on,
+ * the saved transcript is changed to match.
+ * @param {string} fromId - Speaker ID to merge
+ * @param {string} intoId - Speaker ID to keep
+ * @returns {boolean} - False if both IDs are already the same speaker
+ */
+function mergeSpeakers(fromId, intoId) {
+  const source = resolveSpeakerId(fromId);
+  const target = resolveSpeakerId(intoId);
+  if (source === target) return false;
+
+  const current = getMappings();
+  current.aliases[source] = target;
+  delete current.names[source];
+  delete current.colors[source];
+  delete current.muted[source];
+
+  debugLog(`Merged speaker ${source} into ${target}`);
+  saveMappings();
+  reassignSpeaker(source, target, current.names[target] || null);
+  return true;
+}
+
+/**
+ * Register a listener called after the speaker mappings changed
+ * @param {Function} listener - Listener
+ */
+function onSpeakerMappingsChange(listener) {
+  changeListeners.push(listener);
+}
+
+export {
+  loadSpeakerMappings,
+  resolveSpeakerId,
+  getSpeakerName,
+  getSpeakerColor,
+  isSpeakerMuted,
+  renameSpeaker,
+  setSpeakerColor,
+  setSpeakerMuted,
+  mergeSpeakers,
+  onSpeakerMappingsChange
+};
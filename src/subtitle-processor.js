@@ -1,17 +1,27 @@
 // Subtitle processing module
 import Config from './config.js';
-import { debugLog, getSpeakerId, isContinuationOfSpeech, debounce } from './utils.js';
+import { debugLog, getSpeakerId, isContinuationOfSpeech, isPendingTranslation, debounce } from './utils.js';
 import { 
   translateText, 
-  throttledTranslate,
+  cancelTranslationStream,
+  addConversationContext,
+  getTargetLanguages,
   clearActiveTimerForSpeaker, 
-  setActiveTimerForSpeaker 
+  setActiveTimerForSpeaker,
+  providerSupportsGlossary
 } from './translation-service.js';
 import { updateTranslationsDisplay } from './popup-manager.js';
+import { updateOverlayDisplay } from './overlay-manager.js';
+import { saveUtterance } from './transcript-store.js';
+import { checkGlossaryViolations } from './glossary.js';
+import { getActiveProfile, queryFirst, findCaptionRow, findCaptionTextElements } from './selector-profiles.js';
+import { getBudgetState } from './usage-tracker.js';
+import { resolveSpeakerId, getSpeakerName, isSpeakerMuted } from './speaker-registry.js';
+import { detectLanguage, isSameLanguage } from './language-detector.js';
 
 // Speech detection variables
 const activeSpeakers = {}; // Map of active speakers and their current utterances
-const knownSubtitles = new Set(); // Set of known subtitle texts to avoid duplicates
+const knownSubtitles = new Set(); // Set of known speaker and subtitle text pairs to avoid duplicates
 const translatedUtterances = {}; // Map of speaker ID to their latest utterance
 let isClearing = false; // Flag to prevent clearing and adding simultaneously
 let lastProcessedTime = 0; // Track when we last processed subtitles
@@ -29,6 +39,12 @@ const MIN_LENGTH_FOR_TRANSLATION = 2;
 // Reasonable translation update interval - not too frequent
 const TRANSLATION_UPDATE_INTERVAL = 800; // Slightly faster than default 1000ms
 
+// A sentence is complete once it ends with terminal punctuation, optionally followed by closing quotes or brackets
+const SENTENCE_END_PATTERN = /[.!?…。！？]+["'”’)\]]*$/;
+
+// Sentence boundaries of the Unicode segmentation rules, which also handle scripts without spaces
+const sentenceSegmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+
 /**
  * Reset known subtitles to avoid processing past items
  */
@@ -43,6 +59,50 @@ function resetKnownSubtitles() {
   debugLog("Known subtitles reset");
 }
 
+/**
+ * Remove role indicators from a speaker name
+ * @param {string} speakerName - Name as shown by Teams
+ * @returns {string} - Clean speaker name
+ */
+function cleanSpeakerName(speakerName) {
+  return speakerName
+    .replace(/\(organizer\)/i, '')
+    .replace(/\(presenter\)/i, '')
+    .replace(/\(attendee\)/i, '')
+    .replace(/\(guest\)/i, '')
+    .replace(/\(you\)/i, '')
+    .trim();
+}
+
+/**
+ * Detect the speaker of a single caption from its own caption row
+ * @param {HTMLElement} captionElement - Caption text element
+ * @returns {Object} Speaker information with name and possible avatar URL
+ */
+function detectSpeakerForCaption(captionElement) {
+  try {
+    // Each caption row carries its own speaker name and avatar
+    const row = findCaptionRow(captionElement);
+    if (!row) {
+      return detectSpeaker();
+    }
+    
+    const profile = getActiveProfile();
+    const name = queryFirst(profile.speakerName, row)?.innerText?.trim();
+    if (!name) {
+      return detectSpeaker();
+    }
+    
+    const avatarElement = queryFirst(profile.speakerAvatar, row) || row.querySelector('img');
+    
+    return { name: cleanSpeakerName(name), avatar: avatarElement?.src || null };
+  } catch (error) {
+    console.error("Error detecting caption speaker:", error);
+    debugLog(`Caption speaker detection error: ${error.message}`);
+    return detectSpeaker();
+  }
+}
+
 /**
  * Enhanced speaker detection from Teams UI
  * @returns {Object} Speaker information with name and possible avatar URL
@@ -52,21 +112,9 @@ function detectSpeaker() {
     let speakerName = "Unknown";
     let speakerAvatar = null;
     
-    // Try multiple selectors to find the speaker with prioritization
-    const speakerSelectors = [
-      // Primary Teams caption selector
-      '[data-tid="closed-caption-activity-name"]',
-      // Alternative selector for newer versions
-      '.ts-captions-container .ts-captions-speaker',
-      // Fallback for other versions
-      '[aria-label*="caption"] .caption-speaker',
-      '.caption-container .caption-speaker',
-      // Latest Teams version selectors
-      '[data-tid="meetup-captions-container"] [data-tid="caption-speaker"]',
-      '[data-tid="meetup-captions-container"] [class*="speaker"]',
-      // Extremely generic fallback - last resort
-      '[class*="caption"] [class*="speaker"]'
-    ];
+    // Speaker selectors of the active Teams profile, in priority order
+    const profile = getActiveProfile();
+    const speakerSelectors = profile.speakerName;
     
     // Try each selector
     for (const selector of speakerSelectors) {
@@ -93,15 +141,7 @@ function detectSpeaker() {
     // Only search for avatar if we still don't have one
     if (!speakerAvatar) {
       // Try to find avatar (profile picture)
-      const avatarSelectors = [
-        // Various possible selectors for avatar images
-        '[data-tid="closed-caption-activity-avatar"] img',
-        '.ts-captions-container .ts-captions-avatar img',
-        '[class*="avatar-image"]',
-        '.call-participant-avatar img',
-        '[data-tid*="avatar"] img',
-        '[class*="participant"] [class*="avatar"] img'
-      ];
+      const avatarSelectors = profile.speakerAvatar;
       
       for (const selector of avatarSelectors) {
         const avatarElements = document.querySelectorAll(selector);
@@ -170,16 +210,7 @@ function detectSpeaker() {
       }
     }
     
-    // Clean up speaker name (remove role indicators)
-    speakerName = speakerName
-      .replace(/\(organizer\)/i, '')
-      .replace(/\(presenter\)/i, '')
-      .replace(/\(attendee\)/i, '')
-      .replace(/\(guest\)/i, '')
-      .replace(/\(you\)/i, '')
-      .trim();
-    
-    return { name: speakerName, avatar: speakerAvatar };
+    return { name: cleanSpeakerName(speakerName), avatar: speakerAvatar };
   } catch (error) {
     console.error("Error detecting speaker:", error);
     debugLog(`Speaker detection error: ${error.message}`);
@@ -206,23 +237,8 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
   }
   lastProcessedTime = now;
 
-  // Select all subtitle containers - try multiple selectors to be more robust
-  const subtitleSelectors = [
-    'span[dir="auto"][data-tid="closed-caption-text"]',
-    '.ts-captions-container .ts-captions-text',
-    '.caption-text',
-    '[data-tid="meetup-captions-container"] [data-tid="caption-text"]',
-    '[class*="caption"] [class*="text"]'
-  ];
-  
-  let subtitleContainers = [];
-  for (const selector of subtitleSelectors) {
-    const elements = document.querySelectorAll(selector);
-    if (elements.length > 0) {
-      subtitleContainers = Array.from(elements);
-      break;
-    }
-  }
+  // Select all subtitle containers with the selectors of the active Teams profile
+  const subtitleContainers = findCaptionTextElements();
 
   if (subtitleContainers.length === 0) {
     return;
@@ -232,20 +248,32 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
     // Use a map to collect unique text by speaker
     const currentTexts = new Map();
     
-    // Detect current speaker first
-    const { name: speakerName, avatar: speakerAvatar } = detectSpeaker();
-    const speakerId = getSpeakerId(speakerName);
-    
     // Process each subtitle container
     for (const subtitleContainer of subtitleContainers) {
       const text = subtitleContainer.innerText.trim();
+      if (!text) {
+        continue;
+      }
       
-      // Skip if the text is empty or already processed recently
-      if (!text || knownSubtitles.has(text)) {
+      // Pair the caption with the speaker of its own row
+      const { name: detectedName, avatar: speakerAvatar } = detectSpeakerForCaption(subtitleContainer);
+      
+      // Merged speakers continue under the speaker they were merged into
+      const speakerId = resolveSpeakerId(getSpeakerId(detectedName));
+      const speakerName = getSpeakerName(speakerId, detectedName);
+      
+      // Muted speakers are neither shown nor translated
+      if (isSpeakerMuted(speakerId)) {
         continue;
       }
       
-      // Add to the current texts map
+      // Skip if this speaker's text was already processed recently
+      const subtitleKey = `${speakerId}:${text}`;
+      if (knownSubtitles.has(subtitleKey)) {
+        continue;
+      }
+      
+      // Later rows of the same speaker are newer, so they replace earlier ones
       currentTexts.set(speakerId, {
         text,
         speakerName,
@@ -253,7 +281,7 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
       });
       
       // Add to known subtitles set to avoid duplicates
-      knownSubtitles.add(text);
+      knownSubtitles.add(subtitleKey);
     }
     
     // Now process each unique speaker's text
@@ -269,6 +297,9 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
       
       // Check if this is a continued speech or a new one
       if (activeSpeakers[speakerId]) {
+        // Teams may rewrite a caption completely rather than grow it
+        const isContinuation = isContinuationOfSpeech(activeSpeakers, speakerId, text);
+        
         // Update the time of the last segment
         activeSpeakers[speakerId].lastTime = now;
         
@@ -276,6 +307,18 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
         
         // Update the full text - use the newest, most complete text
         if (text.length > activeSpeakers[speakerId].fullText.length || hasContentChanged) {
+          // A stream for the older text is now outdated
+          if (hasContentChanged) {
+            cancelTranslationStream(speakerId);
+            cancelTranslationStream(getTailRequestKey(speakerId));
+          }
+          
+          // Translations of the rewritten sentences no longer apply
+          if (hasContentChanged && !isContinuation) {
+            delete activeSpeakers[speakerId].sentences;
+            activeSpeakers[speakerId].translatedText = "Translating...";
+          }
+          
           activeSpeakers[speakerId].fullText = text;
           lastFullTextBySpeaker[speakerId] = text;
           
@@ -343,11 +386,254 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
 function forceDisplayUpdate() {
   // Update both display types
   updateTranslationsDisplay(translatedUtterances, activeSpeakers);
+  updateOverlayDisplay(translatedUtterances, activeSpeakers);
 }
 
 // Expose for use by translation service
 window.forceDisplayUpdate = forceDisplayUpdate;
 
+/**
+ * Get when active utterances are translated
+ * @returns {string} - 'live', 'sentence-boundary' or 'finalize-only'
+ */
+function getTranslationStrategy() {
+  // A reached budget only allows translating finished utterances
+  return getBudgetState() === 'ok' ? Config.TRANSLATION_STRATEGY : 'finalize-only';
+}
+
+/**
+ * Split a caption into stable sentences and the unstable tail.
+ * Sentences end at a segment boundary with terminal punctuation - anything
+ * after the last one may still change while the speaker talks.
+ * @param {string} text - Caption text
+ * @returns {Object} - sentences array and rest string
+ */
+function segmentSentences(text) {
+  const sentences = [];
+  let current = '';
+  
+  for (const { segment } of sentenceSegmenter.segment(text)) {
+    current += segment;
+    
+    // Boundaries without punctuation, e.g. at line breaks, don't end a sentence
+    if (SENTENCE_END_PATTERN.test(current.trim())) {
+      sentences.push(current.trim());
+      current = '';
+    }
+  }
+  
+  return { sentences, rest: current.trim() };
+}
+
+/**
+ * Get the sentence translation state of an utterance, creating it if needed
+ * @param {Object} utterance - Active utterance
+ * @returns {Object} - Requests and translations by sentence, and the latest tail translation
+ */
+function getSentenceState(utterance) {
+  if (!utterance.sentences) {
+    utterance.sentences = { requests: {}, translations: {}, tail: null };
+  }
+  return utterance.sentences;
+}
+
+/**
+ * Get the request key of an utterance's unstable tail
+ * @param {string} speakerId - Speaker ID
+ * @returns {string} - Request key, so tail updates of one speaker replace each other
+ */
+function getTailRequestKey(speakerId) {
+  return `${speakerId}:tail`;
+}
+
+/**
+ * Identify the spoken language of a text
+ * @param {string} text - Caption text
+ * @param {string} inputLang - Input language setting
+ * @returns {Object|null} - language and confident, null if unknown or the input language is set
+ */
+function detectSpokenLanguage(text, inputLang) {
+  // An explicit input language is trusted as it is
+  return inputLang === 'auto' ? detectLanguage(text) : null;
+}
+
+/**
+ * Check if a text is already in every output language, so it needs no translation
+ * @param {Object|null} detection - Detected language of the text
+ * @param {string} outputLang - Primary output language
+ * @returns {boolean} - True if the text can be shown as it is
+ */
+function isInOutputLanguage(detection, outputLang) {
+  if (!detection?.confident) return false;
+  return getTargetLanguages(outputLang).every(lang => isSameLanguage(detection.language, lang));
+}
+
+/**
+ * Find the glossary entries a translation doesn't follow
+ * @param {string} original - Source text
+ * @param {string} translated - Translated text
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @returns {Object[]} - Violations, none if the provider doesn't use the glossary
+ */
+function getGlossaryViolations(original, translated, inputLang, outputLang) {
+  if (!providerSupportsGlossary()) return [];
+  return checkGlossaryViolations(original, translated, inputLang, outputLang);
+}
+
+/**
+ * Check if active utterances are translated sentence by sentence
+ * @param {string} outputLang - Primary output language
+ * @returns {boolean} - False with several output languages, which are translated as one request per text
+ */
+function canTranslateBySentence(outputLang) {
+  return getTargetLanguages(outputLang).length === 1;
+}
+
+/**
+ * Translate one sentence of an utterance, once per sentence text
+ * @param {string} speakerId - Speaker ID
+ * @param {Object} utterance - Active utterance
+ * @param {string} sentence - Sentence text
+ * @param {number} index - Position of the sentence in the utterance
+ * @param {string} inputLang - Source language
+ * @param {string} outputLang - Target language
+ * @returns {Promise<string|null>} - Translation, null if it failed
+ */
+function translateSentence(speakerId, utterance, sentence, index, inputLang, outputLang) {
+  const state = getSentenceState(utterance);
+  
+  if (!state.requests[sentence]) {
+    // Each sentence gets its own request key, so sentences never supersede each other
+    const requestKey = `${speakerId}:${utterance.utteranceId}:${index}`;
+    
+    state.requests[sentence] = translateText(requestKey, sentence, inputLang, outputLang, { priority: 'final' })
+      .then((result) => {
+        if (isPendingTranslation(result) || result === "[Translation unavailable]") {
+          // Let the next caption update or the finalization try again
+          delete state.requests[sentence];
+          return null;
+        }
+        
+        state.translations[sentence] = result;
+        if (activeSpeakers[speakerId] === utterance) {
+          updateSentenceTranslation(utterance);
+        }
+        return result;
+      })
+      .catch((error) => {
+        console.error("Sentence translation error:", error);
+        delete state.requests[sentence];
+        return null;
+      });
+  }
+  
+  return state.requests[sentence];
+}
+
+/**
+ * Show the translated sentences of an utterance followed by its tail.
+ * Text without a translation yet is shown in the source language.
+ * @param {Object} utterance - Active utterance
+ */
+function updateSentenceTranslation(utterance) {
+  const state = getSentenceState(utterance);
+  const { sentences, rest } = segmentSentences(utterance.fullText);
+  
+  // The tail translated before the text grew is closer than the source text
+  const tail = state.tail;
+  const tailFor = (text) => tail && text.startsWith(tail.source) ? tail.text : null;
+  
+  const parts = sentences.map(sentence => state.translations[sentence] || tailFor(sentence));
+  if (rest) {
+    parts.push(tailFor(rest));
+  }
+  
+  // Until something is translated the displays show the source text
+  if (!parts.some(Boolean)) return;
+  
+  const translatedText = parts
+    .map((part, index) => part || (index < sentences.length ? sentences[index] : rest))
+    .join(' ');
+  
+  if (translatedText !== utterance.translatedText) {
+    utterance.translatedText = translatedText;
+    forceDisplayUpdate();
+  }
+}
+
+/**
+ * Translate the sentences of an active utterance that are complete
+ * @param {string} speakerId - Speaker ID
+ * @param {string} inputLang - Source language
+ * @param {string} outputLang - Target language
+ */
+function translateCompletedSentences(speakerId, inputLang, outputLang) {
+  const utterance = activeSpeakers[speakerId];
+  if (!utterance) return;
+  
+  const { sentences } = segmentSentences(utterance.fullText);
+  sentences.forEach((sentence, index) => {
+    if (sentence.length >= MIN_LENGTH_FOR_TRANSLATION) {
+      translateSentence(speakerId, utterance, sentence, index, inputLang, outputLang);
+    }
+  });
+  
+  updateSentenceTranslation(utterance);
+}
+
+/**
+ * Translate the unstable tail of an active utterance again
+ * @param {string} speakerId - Speaker ID
+ * @param {string} inputLang - Source language
+ * @param {string} outputLang - Target language
+ */
+async function translateUnstableTail(speakerId, inputLang, outputLang) {
+  const utterance = activeSpeakers[speakerId];
+  if (!utterance) return;
+  
+  const state = getSentenceState(utterance);
+  const { rest } = segmentSentences(utterance.fullText);
+  if (rest.length < MIN_LENGTH_FOR_TRANSLATION || state.tail?.source === rest) return;
+  
+  // Drop partial results once the caption moved on
+  const isCurrent = () => activeSpeakers[speakerId] === utterance && segmentSentences(utterance.fullText).rest === rest;
+  const showTail = (text) => {
+    if (!isCurrent()) return;
+    state.tail = { source: rest, text };
+    updateSentenceTranslation(utterance);
+  };
+  
+  try {
+    const result = await translateText(getTailRequestKey(speakerId), rest, inputLang, outputLang, { onPartial: showTail });
+    if (!isPendingTranslation(result) && result !== "[Translation unavailable]") {
+      showTail(result);
+    }
+  } catch (error) {
+    console.error("Tail translation error:", error);
+  }
+}
+
+/**
+ * Translate a finished utterance sentence by sentence, reusing the sentences translated while it was spoken
+ * @param {string} speakerId - Speaker ID
+ * @param {Object} utterance - Finished utterance
+ * @param {string} inputLang - Source language
+ * @param {string} outputLang - Target language
+ * @returns {Promise<string|null>} - Translation, null if a sentence could not be translated
+ */
+async function translateBySentence(speakerId, utterance, inputLang, outputLang) {
+  // The unstable tail counts as the last sentence now
+  const { sentences, rest } = segmentSentences(utterance.fullText);
+  const parts = rest ? [...sentences, rest] : sentences;
+  
+  const results = await Promise.all(parts.map((sentence, index) =>
+    translateSentence(speakerId, utterance, sentence, index, inputLang, outputLang)
+  ));
+  
+  return results.every(Boolean) ? results.join(' ') : null;
+}
+
 /**
  * Schedule translation with delay
  * @param {string} speakerId - Speaker ID
@@ -358,26 +644,49 @@ function scheduleTranslation(speakerId, inputLang, outputLang) {
   // Cancel previous scheduled translation
   if (translationTimers[speakerId]) {
     clearTimeout(translationTimers[speakerId]);
+    delete translationTimers[speakerId];
   }
   
-  // For immediate UI feedback, set a placeholder if there's no translation yet
-  if (activeSpeakers[speakerId] && 
-      (!activeSpeakers[speakerId].translatedText || 
-       activeSpeakers[speakerId].translatedText === "..." ||
-       activeSpeakers[speakerId].translatedText === "Translating...")) {
+  // For immediate UI feedback, mark the utterance as pending - the displays show its source text meanwhile
+  if (activeSpeakers[speakerId] && isPendingTranslation(activeSpeakers[speakerId].translatedText)) {
     activeSpeakers[speakerId].translatedText = "Translating...";
-    // Update display to show the "Translating..." message
     forceDisplayUpdate();
   }
   
+  const strategy = getTranslationStrategy();
+  
+  // Finalization translates the utterance once the speaker stops
+  if (strategy === 'finalize-only') return;
+  
+  // Captions already in the output language are shown as they are
+  if (isInOutputLanguage(detectSpokenLanguage(activeSpeakers[speakerId]?.fullText, inputLang), outputLang)) return;
+  
+  if (strategy === 'sentence-boundary') {
+    translateCompletedSentences(speakerId, inputLang, outputLang);
+    return;
+  }
+  
+  // Stable sentences keep their translation, only the tail is translated again below
+  const bySentence = canTranslateBySentence(outputLang);
+  if (bySentence) {
+    translateCompletedSentences(speakerId, inputLang, outputLang);
+  }
+  
   // Schedule new translation immediately for first translation
   const initialDelay = activeSpeakers[speakerId] && activeSpeakers[speakerId].translatedText === "Translating..." ? 
     0 : TRANSLATION_UPDATE_INTERVAL;
   
   translationTimers[speakerId] = setTimeout(() => {
-    if (activeSpeakers[speakerId]?.fullText.length > 20) {
-      // Use throttled translate for longer text to improve performance
-      throttledTranslate(speakerId, activeSpeakers[speakerId].fullText, inputLang, outputLang)
+    delete translationTimers[speakerId];
+    
+    // The strategy or budget may have changed while waiting
+    if (getTranslationStrategy() !== 'live') return;
+    
+    if (bySentence) {
+      translateUnstableTail(speakerId, inputLang, outputLang);
+    } else if (activeSpeakers[speakerId]?.fullText.length > 20) {
+      // Longer text is translated in place - the request scheduler spaces out the updates
+      translateText(speakerId, activeSpeakers[speakerId].fullText, inputLang, outputLang)
         .then((result) => {
           if (result && activeSpeakers[speakerId]) {
             activeSpeakers[speakerId].translatedText = result;
@@ -391,7 +700,6 @@ function scheduleTranslation(speakerId, inputLang, outputLang) {
       // Use standard translate for short text
       translateAndUpdateUtterance(speakerId, inputLang, outputLang);
     }
-    delete translationTimers[speakerId];
   }, initialDelay);
 }
 
@@ -402,7 +710,7 @@ function scheduleTranslation(speakerId, inputLang, outputLang) {
  * @param {string} outputLang - Output language
  */
 async function translateAndUpdateUtterance(speakerId, inputLang, outputLang) {
-  if (!activeSpeakers[speakerId]) return;
+  if (!activeSpeakers[speakerId] || getTranslationStrategy() !== 'live') return;
   
   const utterance = activeSpeakers[speakerId];
   const textToTranslate = utterance.fullText;
@@ -436,6 +744,8 @@ async function translateAndUpdateUtterance(speakerId, inputLang, outputLang) {
           speakerId: speakerId,
           original: activeSpeakers[speakerId].fullText,
           translated: translatedText,
+          translations: activeSpeakers[speakerId].translations || { [outputLang]: translatedText },
+          glossaryViolations: getGlossaryViolations(activeSpeakers[speakerId].fullText, translatedText, inputLang, outputLang),
           timestamp: new Date().toLocaleTimeString(),
           active: true,
           avatar: activeSpeakers[speakerId].avatar
@@ -493,21 +803,60 @@ async function finalizeSpeech(speakerId, inputLang, outputLang) {
     delete translationTimers[speakerId];
   }
   
+  // A speaker muted mid-utterance is dropped instead of translated
+  if (isSpeakerMuted(speakerId)) {
+    delete activeSpeakers[speakerId];
+    clearActiveTimerForSpeaker(speakerId, 'finalize');
+    forceDisplayUpdate();
+    return;
+  }
+  
+  // Captions keep arriving while this waits for translations, so finalize what was said until now
+  const { fullText, utteranceId } = utterance;
+  let { translatedText, translations } = utterance;
+  
+  // An utterance already in the output language passes through untranslated
+  const detection = detectSpokenLanguage(fullText, inputLang);
+  const language = detection?.language || null;
+  const passThrough = isInOutputLanguage(detection, outputLang);
+  if (passThrough) {
+    cancelTranslationStream(speakerId);
+    cancelTranslationStream(getTailRequestKey(speakerId));
+    translatedText = fullText;
+    translations = undefined;
+    debugLog(`Skipped translating ${language} text from ${utterance.speaker}`);
+  }
+  
+  // Sentence by sentence, only the sentences not translated yet are sent
+  const strategy = getTranslationStrategy();
+  if (!passThrough && strategy !== 'finalize-only' && canTranslateBySentence(outputLang)) {
+    // If a sentence failed, the whole utterance is translated below instead
+    translatedText = await translateBySentence(speakerId, utterance, inputLang, outputLang) || "Translating...";
+    translations = undefined;
+  }
+  
   // If we haven't translated it yet, try once more
-  if (!utterance.translatedText || utterance.translatedText === "..." || utterance.translatedText === "Translating...") {
+  if (isPendingTranslation(translatedText)) {
     try {
-      const translatedText = await translateText(speakerId, utterance.fullText, inputLang, outputLang);
-      if (translatedText) {
-        utterance.translatedText = translatedText;
-      } else {
-        utterance.translatedText = "[Translation unavailable]";
-      }
+      translatedText = await translateText(speakerId, fullText, inputLang, outputLang, { priority: 'final' }) ||
+        "[Translation unavailable]";
     } catch (error) {
       console.error("Finalization translation error:", error);
-      utterance.translatedText = "[Translation unavailable]";
+      translatedText = "[Translation unavailable]";
     }
   }
   
+  // New captions meanwhile continue the utterance, which is finalized again once the speaker pauses.
+  // A newer finalization or a mute has taken it over otherwise.
+  const current = activeSpeakers[speakerId];
+  if (current !== utterance || current.utteranceId !== utteranceId || current.fullText !== fullText) {
+    debugLog(`Utterance from ${utterance.speaker} continued while finalizing`);
+    forceDisplayUpdate();
+    return;
+  }
+  utterance.translatedText = translatedText;
+  utterance.translations = translations;
+  
   // Only add to finalized utterances if we're not currently clearing
   if (!isClearing) {
     // Create a final utterance object
@@ -515,9 +864,13 @@ async function finalizeSpeech(speakerId, inputLang, outputLang) {
       id: utterance.utteranceId,
       speaker: utterance.speaker,
       speakerId: speakerId,
+      language,
       original: utterance.fullText,
       translated: utterance.translatedText,
+      translations: utterance.translations || { [outputLang]: utterance.translatedText },
+      glossaryViolations: getGlossaryViolations(utterance.fullText, utterance.translatedText, inputLang, outputLang),
       timestamp: new Date().toLocaleTimeString(),
+      endTime: utterance.lastTime || Date.now(),
       active: false,
       avatar: utterance.avatar
     };
@@ -525,6 +878,12 @@ async function finalizeSpeech(speakerId, inputLang, outputLang) {
     // Update our map of translated utterances
     updateTranslatedUtterancesMap(speakerId, finalUtterance);
     
+    // Persist it in the meeting transcript
+    saveUtterance(finalUtterance);
+    
+    // Following translations see it as conversation context
+    addConversationContext(finalUtterance);
+    
     // Log the complete translation
     debugLog(`Finalized speech from ${utterance.speaker}: "${utterance.translatedText?.substring(0, 40) || 'n/a'}..."`);
   }
@@ -616,16 +975,19 @@ function getTranslatedUtterances() {
 // Create a debounced version of processSubtitles
 const debounceProcessSubtitles = debounce((isTranslationActive, inputLang, outputLang) => {
   processSubtitles(isTranslationActive, inputLang, outputLang);
-}, Config.DEBOUNCE_DELAY);
+}, () => Config.DEBOUNCE_DELAY);
 
 // Expose getActiveSpeakers globally so it can be used by translation service
 window.getActiveSpeakers = getActiveSpeakers;
 
 export {
   processSubtitles,
+  detectSpeaker,
+  detectSpeakerForCaption,
   debounceProcessSubtitles,
   clearSubtitleData,
   getActiveSpeakers,
   getTranslatedUtterances,
+  segmentSentences,
   resetKnownSubtitles
 };
\ No newline at end of file
@@ -0,0 +1,65 @@
+// Supported Teams origins
+import Config from './config.js';
+
+// Storage key in chrome.storage.sync for origins added in the popup
+const CUSTOM_ORIGINS_STORAGE_KEY = 'customTeamsOrigins';
+
+// ID of the content script registered for user-added origins
+const CUSTOM_ORIGINS_SCRIPT_ID = 'teams-custom-origins';
+
+/**
+ * Get the built-in and user-added Teams origins
+ * @returns {Promise<string[]>} - Origins like https://teams.microsoft.com
+ */
+function getTeamsOrigins() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([CUSTOM_ORIGINS_STORAGE_KEY], (data) => {
+      resolve(Config.TEAMS_ORIGINS.concat(data?.[CUSTOM_ORIGINS_STORAGE_KEY] || []));
+    });
+  });
+}
+
+/**
+ * Check if a URL belongs to one of the Teams origins
+ * @param {string} url - Tab URL
+ * @param {string[]} origins - Teams origins
+ * @returns {boolean} - True for a supported Teams page
+ */
+function isTeamsUrl(url, origins) {
+  try {
+    return origins.includes(new URL(url).origin);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turn a line like "teams.contoso.us/path" into "https://teams.contoso.us"
+ * @param {string} line - Site entered by the user
+ * @returns {string} - Origin
+ */
+function normalizeOrigin(line) {
+  const url = new URL(line.includes('://') ? line : `https://${line}`);
+  if (url.protocol !== 'https:') {
+    throw new Error(`Teams sites must use https: ${line}`);
+  }
+  return url.origin;
+}
+
+/**
+ * Get the match patterns of origins for content scripts and host permissions
+ * @param {string[]} origins - Origins
+ * @returns {string[]} - Patterns like https://teams.microsoft.com/*
+ */
+function getMatchPatterns(origins) {
+  return origins.map(origin => `${origin}/*`);
+}
+
+export {
+  CUSTOM_ORIGINS_STORAGE_KEY,
+  CUSTOM_ORIGINS_SCRIPT_ID,
+  getTeamsOrigins,
+  isTeamsUrl,
+  normalizeOrigin,
+  getMatchPatterns
+};
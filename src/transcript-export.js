@@ -0,0 +1,304 @@
+// Transcript export formats
+
+// Default duration for an utterance without a known end time
+const DEFAULT_UTTERANCE_DURATION = 3000;
+
+/**
+ * Get the start time of an utterance in milliseconds
+ * @param {Object} utterance - Utterance
+ * @returns {number} - Start time
+ */
+function getStartTime(utterance) {
+  return utterance.time || parseInt(utterance.id, 10) || 0;
+}
+
+/**
+ * Attach start and end offsets relative to the meeting start
+ * @param {Object[]} utterances - Utterances sorted by time
+ * @param {number} meetingStart - Meeting start time in milliseconds
+ * @returns {Object[]} - Utterances with start and end offsets
+ */
+function withTimings(utterances, meetingStart) {
+  return utterances.map((utterance, index) => {
+    const start = Math.max(getStartTime(utterance) - meetingStart, 0);
+    const next = utterances[index + 1];
+    let end = utterance.endTime ? utterance.endTime - meetingStart : start + DEFAULT_UTTERANCE_DURATION;
+
+    // Don't let a cue run past the start of the next one
+    if (next) {
+      end = Math.min(end, Math.max(getStartTime(next) - meetingStart, start));
+    }
+
+    return { ...utterance, start, end: Math.max(end, start + 500) };
+  });
+}
+
+/**
+ * Format a millisecond offset as a subtitle timestamp
+ * @param {number} ms - Offset in milliseconds
+ * @param {string} separator - Separator before the milliseconds ("," for SRT, "." for WebVTT)
+ * @returns {string} - Timestamp like 00:01:02,345
+ */
+function formatTimestamp(ms, separator) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const millis = Math.floor(ms % 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for a WebVTT cue payload
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeVTT(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Group consecutive utterances by the same speaker
+ * @param {Object[]} utterances - Utterances sorted by time
+ * @returns {Object[]} - Groups with speaker and utterances
+ */
+function groupBySpeaker(utterances) {
+  const groups = [];
+  for (const utterance of utterances) {
+    const lastGroup = groups[groups.length - 1];
+    if (lastGroup && lastGroup.speakerId === utterance.speakerId) {
+      lastGroup.utterances.push(utterance);
+    } else {
+      groups.push({ speakerId: utterance.speakerId, speaker: utterance.speaker, utterances: [utterance] });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Build the Markdown lines of a meeting summary
+ * @param {Object} summary - Summary, decisions and action items
+ * @returns {string[]} - Markdown lines
+ */
+function summaryToMarkdown(summary) {
+  const lines = ['## Summary', '', summary.summary, ''];
+
+  if (summary.decisions.length > 0) {
+    lines.push('## Decisions', '', ...summary.decisions.map(decision => `- ${decision}`), '');
+  }
+
+  if (summary.actionItems.length > 0) {
+    lines.push('## Action items', '', ...summary.actionItems.map(item => `- [ ] **${item.owner}**: ${item.task}`), '');
+  }
+
+  lines.push('## Transcript', '');
+  return lines;
+}
+
+/**
+ * Build the HTML section of a meeting summary
+ * @param {Object} summary - Summary, decisions and action items
+ * @returns {string} - HTML
+ */
+function summaryToHTML(summary) {
+  const decisions = summary.decisions.length > 0 ? `
+    <h3>Decisions</h3>
+    <ul>${summary.decisions.map(decision => `<li>${escapeHtml(decision)}</li>`).join('')}</ul>` : '';
+  const actionItems = summary.actionItems.length > 0 ? `
+    <h3>Action items</h3>
+    <ul>${summary.actionItems.map(item => `<li><strong>${escapeHtml(item.owner)}</strong>: ${escapeHtml(item.task)}</li>`).join('')}</ul>` : '';
+
+  return `
+  <section class="summary">
+    <h3>Summary</h3>
+    <p>${escapeHtml(summary.summary)}</p>${decisions}${actionItems}
+  </section>`;
+}
+
+/**
+ * Build an SRT file
+ * @param {Object[]} utterances - Utterances sorted by time
+ * @param {Object} meta - Meeting metadata with startTime
+ * @returns {string} - SRT content
+ */
+function toSRT(utterances, meta) {
+  return withTimings(utterances, meta.startTime).map((utterance, index) => [
+    index + 1,
+    `${formatTimestamp(utterance.start, ',')} --> ${formatTimestamp(utterance.end, ',')}`,
+    `${utterance.speaker}: ${utterance.translated || ''}`
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Build a WebVTT file
+ * @param {Object[]} utterances - Utterances sorted by time
+ * @param {Object} meta - Meeting metadata with startTime
+ * @returns {string} - WebVTT content
+ */
+function toWebVTT(utterances, meta) {
+  const cues = withTimings(utterances, meta.startTime).map((utterance) => [
+    `${formatTimestamp(utterance.start, '.')} --> ${formatTimestamp(utterance.end, '.')}`,
+    // Players that don't decode the voice name would still end the tag at a ">", so it is dropped
+    `<v ${escapeVTT(String(utterance.speaker || '').replace(/>/g, ''))}>${escapeVTT(utterance.translated)}`
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Build a Markdown transcript
+ * @param {Object[]} utterances - Utterances sorted by time
+ * @param {Object} meta - Meeting metadata
+ * @param {Object} [summary] - Meeting summary, put before the transcript
+ * @returns {string} - Markdown content
+ */
+function toMarkdown(utterances, meta, summary) {
+  const lines = [
+    `# ${meta.title}`,
+    '',
+    `${new Date(meta.startTime).toLocaleString()} · ${meta.inputLang} → ${meta.outputLang}`,
+    ''
+  ];
+
+  // Speaker headings move one level down below the summary's Transcript heading
+  const speakerHeading = summary ? '###' : '##';
+  if (summary) {
+    lines.push(...summaryToMarkdown(summary));
+  }
+
+  for (const group of groupBySpeaker(utterances)) {
+    lines.push(`${speakerHeading} ${group.speaker}`, '');
+    for (const utterance of group.utterances) {
+      lines.push(`**${utterance.timestamp}** ${utterance.translated || ''}`, '');
+      if (utterance.original && utterance.original !== utterance.translated) {
+        lines.push(`> ${utterance.original}`, '');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a standalone HTML transcript
+ * @param {Object[]} utterances - Utterances sorted by time
+ * @param {Object} meta - Meeting metadata
+ * @param {Object} [summary] - Meeting summary, put before the transcript
+ * @returns {string} - HTML content
+ */
+function toHTML(utterances, meta, summary) {
+  const sections = groupBySpeaker(utterances).map(group => {
+    const items = group.utterances.map(utterance => `
+      <div class="utterance">
+        <span class="time">${escapeHtml(utterance.timestamp)}</span>
+        <div class="translated">${escapeHtml(utterance.translated)}</div>
+        <div class="original">${escapeHtml(utterance.original)}</div>
+      </div>`).join('');
+    return `
+    <section>
+      <h2>${escapeHtml(group.speaker)}</h2>${items}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(meta.outputLang)}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(meta.title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 800px; margin: 20px auto; color: #222; }
+    h2 { color: #0078d4; font-size: 16px; margin: 20px 0 5px; }
+    .utterance { margin-bottom: 10px; }
+    .time { font-size: 11px; color: #888; }
+    .original { color: #666; font-size: 13px; }
+    .summary { background: #f0f6fc; border-left: 3px solid #0078d4; padding: 5px 15px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(meta.title)}</h1>
+  <p>${escapeHtml(new Date(meta.startTime).toLocaleString())} · ${escapeHtml(meta.inputLang)} → ${escapeHtml(meta.outputLang)}</p>${summary ? summaryToHTML(summary) : ''}${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a JSON transcript
+ * @param {Object[]} utterances - Utterances sorted by time
+ * @param {Object} meta - Meeting metadata
+ * @param {Object} [summary] - Meeting summary
+ * @returns {string} - JSON content
+ */
+function toJSON(utterances, meta, summary) {
+  return JSON.stringify({
+    meeting: meta,
+    summary: summary || null,
+    utterances: withTimings(utterances, meta.startTime).map(utterance => ({
+      id: utterance.id,
+      speaker: utterance.speaker,
+      speakerId: utterance.speakerId,
+      start: utterance.start,
+      end: utterance.end,
+      timestamp: utterance.timestamp,
+      language: utterance.language || null,
+      original: utterance.original,
+      translated: utterance.translated,
+      translations: utterance.translations || {}
+    }))
+  }, null, 2);
+}
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  srt: { label: 'SRT subtitles', extension: 'srt', mimeType: 'application/x-subrip', build: toSRT },
+  vtt: { label: 'WebVTT subtitles', extension: 'vtt', mimeType: 'text/vtt', build: toWebVTT },
+  md: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', build: toMarkdown },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html', build: toHTML },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: toJSON }
+};
+
+/**
+ * Build an export file for a transcript
+ * @param {string} format - Format key of EXPORT_FORMATS
+ * @param {Object[]} utterances - Utterances
+ * @param {Object} meta - Meeting metadata
+ * @param {Object} [summary] - Meeting summary, included by the Markdown, HTML and JSON formats
+ * @returns {Object} - File with filename, mimeType and content
+ */
+function buildTranscriptExport(format, utterances, meta, summary = null) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const sorted = [...utterances].sort((a, b) => getStartTime(a) - getStartTime(b));
+  const date = new Date(meta.startTime).toISOString().substring(0, 10);
+  const safeTitle = (meta.title || 'transcript').replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
+
+  return {
+    filename: `${safeTitle || 'transcript'}_${date}.${exportFormat.extension}`,
+    mimeType: `${exportFormat.mimeType};charset=utf-8`,
+    content: exportFormat.build(sorted, meta, summary)
+  };
+}
+
+export {
+  EXPORT_FORMATS,
+  buildTranscriptExport
+};
@@ -0,0 +1,188 @@
+// Search and filters for the transcript in the translations window
+import { BUDGET_REACHED_TEXT } from './usage-tracker.js';
+
+// Translated text shown instead of a translation when none could be made
+const ERROR_TEXTS = ["[Translation unavailable]", BUDGET_REACHED_TEXT];
+
+// Class of the highlighted search hits
+const HIT_CLASS = 'search-hit';
+
+// Labels inside the searched elements, like the language badge of each translation line
+const LABEL_SELECTOR = '.lang-badge';
+
+/**
+ * Create filters that let every utterance through
+ * @returns {Object} - query, speakerId, from, to and errorsOnly
+ */
+function createFilters() {
+  return { query: '', speakerId: '', from: '', to: '', errorsOnly: false };
+}
+
+/**
+ * Check if a search or any filter is set
+ * @param {Object} filters - Search filters
+ * @returns {boolean} - True if some utterances may be hidden
+ */
+function isSearchActive(filters) {
+  return Boolean(filters.query.trim() || filters.speakerId || filters.from || filters.to || filters.errorsOnly);
+}
+
+/**
+ * Convert a time input value to minutes since midnight
+ * @param {string} value - Time like 14:30
+ * @returns {number|null} - Minutes, null if empty or invalid
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Check if a translated text is an error instead of a translation
+ * @param {string} text - Translated text
+ * @returns {boolean} - True for failed or budget-stopped translations
+ */
+function isErrorText(text) {
+  return ERROR_TEXTS.some(errorText => text.includes(errorText));
+}
+
+/**
+ * Check if an utterance passes the speaker, time and error filters
+ * @param {Object} utterance - speakerId, time in milliseconds and translated text
+ * @param {Object} filters - Search filters
+ * @returns {boolean} - True if the utterance is shown
+ */
+function matchesFilters(utterance, filters) {
+  if (filters.speakerId && utterance.speakerId !== filters.speakerId) return false;
+  if (filters.errorsOnly && !isErrorText(utterance.translated)) return false;
+
+  const from = parseTimeOfDay(filters.from);
+  const to = parseTimeOfDay(filters.to);
+  if (from !== null || to !== null) {
+    const date = new Date(utterance.time);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (from !== null && minutes < from) return false;
+    if (to !== null && minutes > to) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Remove the search highlights from an element
+ * @param {HTMLElement} element - Element with highlighted text
+ */
+function clearHighlights(element) {
+  const hits = element.querySelectorAll(`mark.${HIT_CLASS}`);
+  if (hits.length === 0) return;
+
+  hits.forEach(hit => hit.replaceWith(hit.ownerDocument.createTextNode(hit.textContent)));
+  element.normalize();
+}
+
+/**
+ * Get the text nodes of an element's spoken text, leaving out labels
+ * @param {HTMLElement} element - Original or translated text element
+ * @returns {Text[]} - Text nodes in document order
+ */
+function getTextNodes(element) {
+  const walker = element.ownerDocument.createTreeWalker(element, 4); // NodeFilter.SHOW_TEXT
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement.closest(LABEL_SELECTOR)) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+  return textNodes;
+}
+
+/**
+ * Check if an element's spoken text contains the query
+ * @param {HTMLElement} element - Original or translated text element
+ * @param {string} query - Lowercase search text
+ * @returns {boolean} - True if a text node contains it
+ */
+function containsQuery(element, query) {
+  return getTextNodes(element).some(node => node.nodeValue.toLowerCase().includes(query));
+}
+
+/**
+ * Highlight every case-insensitive occurrence of the query in an element's text
+ * @param {HTMLElement} element - Element to search
+ * @param {string} query - Lowercase search text
+ */
+function highlightMatches(element, query) {
+  const doc = element.ownerDocument;
+
+  for (const node of getTextNodes(element)) {
+    const text = node.nodeValue;
+    const lower = text.toLowerCase();
+    let index = lower.indexOf(query);
+    if (index === -1) continue;
+
+    const fragment = doc.createDocumentFragment();
+    let last = 0;
+    while (index !== -1) {
+      fragment.appendChild(doc.createTextNode(text.slice(last, index)));
+      const hit = doc.createElement('mark');
+      hit.className = HIT_CLASS;
+      hit.textContent = text.slice(index, index + query.length);
+      fragment.appendChild(hit);
+      last = index + query.length;
+      index = lower.indexOf(query, last);
+    }
+    fragment.appendChild(doc.createTextNode(text.slice(last)));
+    node.replaceWith(fragment);
+  }
+}
+
+/**
+ * Hide the utterances that don't match and highlight the search hits
+ * @param {HTMLElement} container - Transcript container with speaker blocks
+ * @param {Object} filters - Search filters
+ * @param {string} view - Transcript view - the original view only searches the original text
+ * @returns {HTMLElement[]} - Highlighted hits in transcript order
+ */
+function applySearch(container, filters, view) {
+  const query = filters.query.trim().toLowerCase();
+
+  for (const block of container.querySelectorAll('.speaker-block')) {
+    let visibleCount = 0;
+
+    for (const utteranceEl of block.querySelectorAll('.utterance')) {
+      const textEl = utteranceEl.querySelector('.utterance-text');
+      const originalEl = utteranceEl.querySelector('.utterance-original');
+      const searched = [view === 'original' ? null : textEl, originalEl].filter(Boolean);
+      searched.forEach(clearHighlights);
+
+      const visible = matchesFilters({
+        speakerId: block.dataset.speakerId,
+        time: parseInt(utteranceEl.dataset.utteranceId, 10),
+        translated: textEl?.textContent || ''
+      }, filters) && (!query || searched.some(element => containsQuery(element, query)));
+
+      utteranceEl.hidden = !visible;
+      if (visible) {
+        visibleCount++;
+        if (query) {
+          searched.forEach(element => highlightMatches(element, query));
+        }
+      }
+    }
+
+    block.hidden = visibleCount === 0;
+  }
+
+  return Array.from(container.querySelectorAll(`mark.${HIT_CLASS}`));
+}
+
+export {
+  HIT_CLASS,
+  createFilters,
+  isSearchActive,
+  isErrorText,
+  matchesFilters,
+  clearHighlights,
+  highlightMatches,
+  applySearch
+};
@@ -0,0 +1,290 @@
+// Persistent meeting transcript storage
+import { debugLog, debounce } from './utils.js';
+
+// Storage keys - the extension popup reads the same keys for its history view
+const HISTORY_INDEX_KEY = 'meetingHistoryIndex';
+const MEETING_KEY_PREFIX = 'meeting:';
+
+// Delay before pending utterances are written to storage
+const SAVE_DELAY = 1000;
+
+// Current meeting session and its utterances not yet written
+let currentSession = null;
+const pendingUtterances = [];
+
+/**
+ * Promise wrapper around chrome.storage.local.get
+ * @param {string|string[]} keys - Keys to read
+ * @returns {Promise<Object>} - Stored values
+ */
+function storageGet(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(keys, (data) => resolve(data || {}));
+  });
+}
+
+/**
+ * Promise wrapper around chrome.storage.local.set
+ * @param {Object} items - Items to store
+ * @returns {Promise<void>}
+ */
+function storageSet(items) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set(items, () => resolve());
+  });
+}
+
+/**
+ * Build a stable meeting key from the Teams URL or the page title
+ * @returns {string} - Meeting key
+ */
+function getMeetingKey() {
+  const url = decodeURIComponent(window.location.href);
+
+  // Teams meeting links carry a thread ID like 19:meeting_XXXX@thread.v2
+  const threadMatch = url.match(/19:meeting_([^@/]+)/);
+  if (threadMatch) {
+    return `meeting_${threadMatch[1]}`;
+  }
+
+  // Otherwise fall back to the path and title, which identify the call well enough
+  const source = `${window.location.pathname}|${document.title}`;
+  const hash = Array.from(source).reduce((acc, char) => ((acc << 5) - acc + char.charCodeAt(0)) | 0, 0);
+  return `page_${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Get a readable meeting title from the page
+ * @returns {string} - Meeting title
+ */
+function getMeetingTitle() {
+  const title = (document.title || '')
+    .replace(/\s*\|\s*Microsoft Teams\s*$/i, '')
+    .trim();
+  return title || 'Teams meeting';
+}
+
+/**
+ * Write pending utterances and session metadata to storage
+ * @returns {Promise<void>}
+ */
+async function flushMeetingSession() {
+  if (!currentSession) return;
+
+  const session = currentSession;
+  const utterances = pendingUtterances.splice(0, pendingUtterances.length);
+
+  try {
+    const storageKey = `${MEETING_KEY_PREFIX}${session.id}`;
+    const data = await storageGet([storageKey, HISTORY_INDEX_KEY]);
+
+    const record = data[storageKey] || { meta: null, utterances: [] };
+    record.meta = { ...session, utteranceCount: record.utterances.length + utterances.length };
+    record.utterances = record.utterances.concat(utterances);
+
+    // Keep the index sorted with the most recent meeting first
+    const index = (data[HISTORY_INDEX_KEY] || []).filter(meta => meta.id !== session.id);
+    index.unshift(record.meta);
+    index.sort((a, b) => b.startTime - a.startTime);
+
+    await storageSet({
+      [storageKey]: record,
+      [HISTORY_INDEX_KEY]: index
+    });
+  } catch (error) {
+    console.error("Error saving transcript:", error);
+    debugLog(`Error saving transcript: ${error.message}`);
+
+    // Put the utterances back so the next save retries them
+    pendingUtterances.unshift(...utterances);
+  }
+}
+
+const scheduleFlush = debounce(() => {
+  flushMeetingSession();
+}, SAVE_DELAY);
+
+/**
+ * Start (or resume) the transcript session for the current meeting
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @returns {Object} - The meeting session
+ */
+function startMeetingSession(inputLang, outputLang) {
+  const meetingKey = getMeetingKey();
+
+  // Restarting translation in the same meeting continues the same transcript
+  if (currentSession && currentSession.meetingKey === meetingKey) {
+    currentSession.endTime = null;
+    return currentSession;
+  }
+
+  const startTime = Date.now();
+  currentSession = {
+    id: `${meetingKey}_${startTime}`,
+    meetingKey,
+    title: getMeetingTitle(),
+    url: window.location.href,
+    startTime,
+    endTime: null,
+    inputLang,
+    outputLang
+  };
+
+  debugLog(`Started transcript session ${currentSession.id}`);
+  return currentSession;
+}
+
+/**
+ * Mark the current session as ended and save it
+ * @returns {Promise<void>}
+ */
+async function endMeetingSession() {
+  if (!currentSession) return;
+
+  currentSession.endTime = Date.now();
+  await flushMeetingSession();
+  debugLog(`Ended transcript session ${currentSession.id}`);
+}
+
+/**
+ * Get the current meeting session
+ * @returns {Object|null} - Session or null if none is running
+ */
+function getCurrentSession() {
+  return currentSession;
+}
+
+/**
+ * Queue a finalized utterance for saving in the current session
+ * @param {Object} utterance - Finalized utterance
+ */
+function saveUtterance(utterance) {
+  if (!currentSession || !utterance) return;
+
+  pendingUtterances.push({
+    id: utterance.id,
+    speaker: utterance.speaker,
+    speakerId: utterance.speakerId,
+    language: utterance.language || null,
+    original: utterance.original,
+    translated: utterance.translated,
+    translations: utterance.translations,
+    glossaryViolations: utterance.glossaryViolations || [],
+    timestamp: utterance.timestamp,
+    time: parseInt(utterance.id, 10) || Date.now(),
+    endTime: utterance.endTime
+  });
+
+  scheduleFlush();
+}
+
+/**
+ * Load a saved meeting transcript
+ * @param {string} sessionId - Meeting session ID
+ * @returns {Promise<Object|null>} - Record with meta and utterances
+ */
+async function loadMeeting(sessionId) {
+  const storageKey = `${MEETING_KEY_PREFIX}${sessionId}`;
+  const data = await storageGet(storageKey);
+  return data[storageKey] || null;
+}
+
+/**
+ * Save a meeting summary next to the transcript
+ * @param {string} sessionId - Meeting session ID
+ * @param {Object} summary - Summary, decisions and action items
+ * @returns {Promise<void>}
+ */
+async function saveMeetingSummary(sessionId, summary) {
+  // Write pending utterances first so the record exists
+  if (currentSession && currentSession.id === sessionId) {
+    await flushMeetingSession();
+  }
+
+  const storageKey = `${MEETING_KEY_PREFIX}${sessionId}`;
+  const data = await storageGet(storageKey);
+  const record = data[storageKey];
+  if (!record) {
+    throw new Error(`No saved transcript for ${sessionId}`);
+  }
+
+  record.summary = summary;
+  await storageSet({ [storageKey]: record });
+  debugLog(`Saved summary of ${sessionId}`);
+}
+
+/**
+ * Move the saved utterances of a merged speaker to the speaker it was merged into,
+ * in every saved session of the current meeting
+ * @param {string} fromId - Merged speaker ID
+ * @param {string} intoId - Kept speaker ID
+ * @param {string|null} speakerName - Name of the kept speaker if it was renamed
+ * @returns {Promise<void>}
+ */
+async function reassignSpeaker(fromId, intoId, speakerName = null) {
+  if (!currentSession) return;
+
+  // Without a new name the utterances take the name the kept speaker has in the same transcript
+  const retag = (utterances) => {
+    const name = speakerName || utterances.find(utterance => utterance.speakerId === intoId)?.speaker;
+    return utterances.map(utterance => utterance.speakerId === fromId
+      ? { ...utterance, speakerId: intoId, speaker: name || utterance.speaker }
+      : utterance);
+  };
+
+  try {
+    const { meetingKey } = currentSession;
+
+    // Write the pending utterances first - those saved from now on already use the kept speaker
+    await flushMeetingSession();
+
+    const data = await storageGet(HISTORY_INDEX_KEY);
+    const storageKeys = (data[HISTORY_INDEX_KEY] || [])
+      .filter(meta => meta.meetingKey === meetingKey)
+      .map(meta => `${MEETING_KEY_PREFIX}${meta.id}`);
+    if (storageKeys.length === 0) return;
+
+    const records = await storageGet(storageKeys);
+    const changed = {};
+    for (const [storageKey, record] of Object.entries(records)) {
+      if (record.utterances.some(utterance => utterance.speakerId === fromId)) {
+        changed[storageKey] = { ...record, utterances: retag(record.utterances) };
+      }
+    }
+
+    if (Object.keys(changed).length > 0) {
+      await storageSet(changed);
+      debugLog(`Moved saved utterances of ${fromId} to ${intoId}`);
+    }
+  } catch (error) {
+    console.error("Error reassigning speaker:", error);
+    debugLog(`Error reassigning speaker: ${error.message}`);
+  }
+}
+
+// Deleting the running meeting in the popup's history ends its session,
+// so the next save doesn't bring the transcript back
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !currentSession) return;
+
+    const change = changes[`${MEETING_KEY_PREFIX}${currentSession.id}`];
+    if (change && change.oldValue && !change.newValue) {
+      debugLog(`Transcript session ${currentSession.id} was deleted`);
+      currentSession = null;
+      pendingUtterances.length = 0;
+    }
+  });
+}
+
+export {
+  startMeetingSession,
+  endMeetingSession,
+  getCurrentSession,
+  saveUtterance,
+  flushMeetingSession,
+  loadMeeting,
+  saveMeetingSummary,
+  reassignSpeaker
+};
@@ -0,0 +1,576 @@
+// Translation providers
+import Config from './config.js';
+
+/**
+ * Build prompt instructions for the earlier conversation
+ * @param {Object[]} context - Previous utterances with speaker, original and translated
+ * @returns {string} - Instructions, empty without context
+ */
+function buildContextInstructions(context = []) {
+  if (context.length === 0) return "";
+  
+  const lines = context.map(item => `${item.speaker}: ${item.original}\n=> ${item.translated}`);
+  return ` The text is live speech from a meeting. Use the earlier conversation below only to keep pronouns, terminology and split sentences consistent. Translate only the user's message and do not repeat the earlier conversation.\n\nEarlier conversation:\n${lines.join('\n')}`;
+}
+
+/**
+ * Build prompt instructions for glossary entries
+ * @param {Object} glossary - Glossary terms and doNotTranslate entries found in the text
+ * @param {string} [lang] - Target language to label the terms with
+ * @returns {string} - Instructions, empty without entries
+ */
+function buildGlossaryInstructions(glossary, lang) {
+  let instructions = "";
+  
+  if (glossary?.terms?.length > 0) {
+    const lines = glossary.terms.map(term => `${term.source} => ${term.target}${lang ? ` (${lang})` : ""}`);
+    instructions += `\n\nAlways translate these terms exactly as given:\n${lines.join('\n')}`;
+  }
+  
+  if (glossary?.doNotTranslate?.length > 0) {
+    instructions += `\n\nKeep these names and terms unchanged, do not translate or transliterate them: ${glossary.doNotTranslate.join(', ')}`;
+  }
+  
+  return instructions;
+}
+
+/**
+ * Build the system prompt used by chat-based providers
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object[]} [context] - Previous utterances with speaker, original and translated
+ * @param {Object} [glossary] - Glossary terms and doNotTranslate entries found in the text
+ * @returns {string} - System prompt
+ */
+function buildSystemPrompt(inputLang, outputLang, context = [], glossary = null) {
+  return `You are a translation assistant. Translate text from ${inputLang} to ${outputLang} concisely and accurately. Keep the translation direct and maintain the same style and tone.` +
+    buildContextInstructions(context) +
+    buildGlossaryInstructions(glossary);
+}
+
+/**
+ * Build the system prompt for translating into several languages in one request
+ * @param {string} inputLang - Input language
+ * @param {string[]} outputLangs - Output languages
+ * @param {Object[]} [context] - Previous utterances with speaker, original and translated
+ * @param {Object} [glossaries] - Glossary entries found in the text, by output language
+ * @returns {string} - System prompt
+ */
+function buildMultiLanguagePrompt(inputLang, outputLangs, context = [], glossaries = {}) {
+  const example = JSON.stringify(Object.fromEntries(outputLangs.map(lang => [lang, "..."])));
+  
+  let prompt = `You are a translation assistant. Translate text from ${inputLang} into each of these languages: ${outputLangs.join(', ')}. Translate concisely and accurately, keep the translation direct and maintain the same style and tone. Respond only with a JSON object mapping each language code to its translation, like ${example}.`;
+  prompt += buildContextInstructions(context);
+  
+  for (const lang of outputLangs) {
+    prompt += buildGlossaryInstructions(glossaries[lang], lang);
+  }
+  
+  return prompt;
+}
+
+/**
+ * Build the system prompt for summarizing a meeting transcript
+ * @param {string} outputLang - Language of the summary
+ * @param {string[]} speakers - Speaker names, the possible action item owners
+ * @param {boolean} [merge] - The transcript is made of summaries of consecutive meeting parts
+ * @returns {string} - System prompt
+ */
+function buildSummaryPrompt(outputLang, speakers, merge = false) {
+  const input = merge
+    ? "The user's message contains summaries of consecutive parts of one meeting as JSON. Combine them into one summary of the whole meeting, merging duplicate decisions and action items."
+    : "The user's message is a meeting transcript with one \"Speaker: text\" line per utterance.";
+  
+  return `You are a meeting assistant. ${input} Write in the language with code ${outputLang}. ` +
+    `Respond only with a JSON object like {"summary": "...", "decisions": ["..."], "actionItems": [{"owner": "...", "task": "..."}]}. ` +
+    `Keep the summary to a few sentences. List only decisions that were actually made. ` +
+    `Each action item owner must be one of these speakers: ${speakers.join(', ')}, or "Unassigned" if nobody took it on.`;
+}
+
+/**
+ * Parse the JSON object in a model response
+ * @param {string} content - Model output
+ * @returns {Object} - Parsed object
+ */
+function extractJsonObject(content) {
+  // Models sometimes wrap the JSON in prose or code fences
+  const start = content.indexOf("{");
+  const end = content.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    throw new Error("No JSON object in API response");
+  }
+  return JSON.parse(content.slice(start, end + 1));
+}
+
+/**
+ * Parse the JSON object of a summary response
+ * @param {string} content - Model output
+ * @returns {Object} - summary, decisions and actionItems with owner and task
+ */
+function parseSummaryResponse(content) {
+  const parsed = extractJsonObject(content);
+  
+  if (typeof parsed.summary !== "string") {
+    throw new Error("Missing summary in API response");
+  }
+  
+  const toText = (value) => (typeof value === "string" ? value.trim() : "");
+  return {
+    summary: parsed.summary.trim(),
+    decisions: (Array.isArray(parsed.decisions) ? parsed.decisions : []).map(toText).filter(Boolean),
+    actionItems: (Array.isArray(parsed.actionItems) ? parsed.actionItems : [])
+      .map(item => ({ owner: toText(item?.owner) || "Unassigned", task: toText(item?.task) }))
+      .filter(item => item.task)
+  };
+}
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, null if missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Throw a descriptive error if the response is not OK
+ * @param {Response} response - Fetch response
+ */
+async function ensureOk(response) {
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`API response error: ${response.status} ${response.statusText}. Details: ${errorText}`);
+    error.status = response.status;
+
+    const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    if (retryAfter !== null) {
+      error.retryAfter = retryAfter;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Remove a trailing slash from a base URL
+ * @param {string} url - Base URL
+ * @returns {string} - URL without trailing slash
+ */
+function trimUrl(url) {
+  return (url || "").replace(/\/+$/, "");
+}
+
+/**
+ * Build a chat completions request body
+ * @param {string} text - Text to translate
+ * @param {string} systemPrompt - System prompt
+ * @param {Object} settings - Provider settings
+ * @returns {Object} - Request body
+ */
+function buildChatRequestBody(text, systemPrompt, settings) {
+  return {
+    model: settings.model || Config.MODEL_NAME,
+    messages: [
+      {
+        role: "system",
+        content: systemPrompt
+      },
+      {
+        role: "user",
+        content: text
+      }
+    ],
+    temperature: 0.3 // Lower temperature for more consistent translations
+  };
+}
+
+/**
+ * Report the token usage of a chat completions request
+ * @param {Function} [onUsage] - Called with promptTokens and completionTokens
+ * @param {Object} [usage] - Usage block of the response
+ * @param {Object} requestBody - Request body, for an estimate when the server reports no usage
+ * @param {string} content - Model output
+ */
+function reportTokenUsage(onUsage, usage, requestBody, content) {
+  if (!onUsage) return;
+
+  if (usage) {
+    onUsage({ promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 });
+    return;
+  }
+
+  // Roughly four characters per token
+  const promptLength = requestBody.messages.reduce((total, message) => total + message.content.length, 0);
+  onUsage({ promptTokens: Math.ceil(promptLength / 4), completionTokens: Math.ceil(content.length / 4), estimated: true });
+}
+
+/**
+ * Parse the JSON object of a multi-language response
+ * @param {string} content - Model output
+ * @param {string[]} outputLangs - Expected language codes
+ * @returns {Object} - Translations by language
+ */
+function parseMultiLanguageResponse(content, outputLangs) {
+  const parsed = extractJsonObject(content);
+  
+  const translations = {};
+  for (const lang of outputLangs) {
+    if (typeof parsed[lang] !== "string") {
+      throw new Error(`Missing ${lang} translation in API response`);
+    }
+    translations[lang] = parsed[lang].trim();
+  }
+  
+  return translations;
+}
+
+/**
+ * Read the JSON payloads of a server-sent events response
+ * @param {Response} response - Fetch response with an event stream body
+ * @yields {Object} - Parsed "data:" payload of each event
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Keep the last, possibly incomplete line in the buffer
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === "[DONE]") return;
+
+      try {
+        yield JSON.parse(payload);
+      } catch (e) {
+        // Ignore malformed chunks
+      }
+    }
+  }
+}
+
+/**
+ * Create a provider that speaks the OpenAI chat completions protocol
+ * @param {Object} options - Provider definition
+ * @param {string} options.id - Provider ID
+ * @param {string} options.label - Human readable name
+ * @param {Function} options.getCompletionsUrl - Returns the chat completions URL for the settings
+ * @param {Function} options.getHealthUrl - Returns the URL used for the health check
+ * @param {Function} options.getHeaders - Returns auth headers for the settings
+ * @param {boolean} [options.streamUsage] - Ask for a usage block at the end of streamed responses
+ * @returns {Object} - Provider, with translateStream, translateMulti, summarize and glossary support
+ */
+function createChatCompletionsProvider({ id, label, getCompletionsUrl, getHealthUrl, getHeaders, streamUsage = false }) {
+  // Send a chat completions request and return the parsed response
+  const postChatCompletion = async (requestBody, settings, signal) => {
+    const response = await fetch(getCompletionsUrl(settings), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...getHeaders(settings)
+      },
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    await ensureOk(response);
+    return response.json();
+  };
+
+  return {
+    id,
+    label,
+    // The glossary is part of the prompt - DeepL and LibreTranslate ignore it
+    supportsGlossary: true,
+
+    async translate({ text, inputLang, outputLang, context, glossary, signal, onUsage }, settings) {
+      const requestBody = buildChatRequestBody(text, buildSystemPrompt(inputLang, outputLang, context, glossary), settings);
+      const data = await postChatCompletion(requestBody, settings, signal);
+
+      // Verify that the response has the expected structure
+      if (!data?.choices?.[0]?.message?.content) {
+        throw new Error("Invalid response structure from API");
+      }
+
+      reportTokenUsage(onUsage, data.usage, requestBody, data.choices[0].message.content);
+      return data.choices[0].message.content.trim();
+    },
+
+    // One request returns every language as a JSON object
+    async translateMulti({ text, inputLang, outputLangs, context, glossaries, signal, onUsage }, settings) {
+      const requestBody = buildChatRequestBody(text, buildMultiLanguagePrompt(inputLang, outputLangs, context, glossaries), settings);
+      const data = await postChatCompletion(requestBody, settings, signal);
+
+      if (!data?.choices?.[0]?.message?.content) {
+        throw new Error("Invalid response structure from API");
+      }
+
+      reportTokenUsage(onUsage, data.usage, requestBody, data.choices[0].message.content);
+      return parseMultiLanguageResponse(data.choices[0].message.content, outputLangs);
+    },
+
+    // Summary, decisions and action items of a transcript or of several partial summaries
+    async summarize({ transcript, outputLang, speakers = [], merge = false, signal, onUsage }, settings) {
+      const requestBody = buildChatRequestBody(transcript, buildSummaryPrompt(outputLang, speakers, merge), settings);
+      const data = await postChatCompletion(requestBody, settings, signal);
+
+      if (!data?.choices?.[0]?.message?.content) {
+        throw new Error("Invalid response structure from API");
+      }
+
+      reportTokenUsage(onUsage, data.usage, requestBody, data.choices[0].message.content);
+      return parseSummaryResponse(data.choices[0].message.content);
+    },
+
+    async translateStream({ text, inputLang, outputLang, context, glossary, signal, onChunk, onUsage }, settings) {
+      const requestBody = buildChatRequestBody(text, buildSystemPrompt(inputLang, outputLang, context, glossary), settings);
+      const response = await fetch(getCompletionsUrl(settings), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...getHeaders(settings)
+        },
+        body: JSON.stringify({
+          ...requestBody,
+          stream: true,
+          ...(streamUsage ? { stream_options: { include_usage: true } } : {})
+        }),
+        signal
+      });
+
+      await ensureOk(response);
+
+      let translatedText = "";
+      let usage = null;
+      for await (const data of readServerSentEvents(response)) {
+        const delta = data?.choices?.[0]?.delta?.content;
+        if (delta) {
+          translatedText += delta;
+          onChunk(translatedText);
+        }
+        // The usage block comes with the last chunk
+        if (data?.usage) {
+          usage = data.usage;
+        }
+      }
+
+      if (!translatedText.trim()) {
+        throw new Error("Empty streamed response from API");
+      }
+
+      reportTokenUsage(onUsage, usage, requestBody, translatedText);
+      return translatedText.trim();
+    },
+
+    async checkConnection(settings, signal) {
+      const response = await fetch(getHealthUrl(settings), {
+        method: "GET",
+        headers: getHeaders(settings),
+        signal
+      });
+
+      await ensureOk(response);
+      return true;
+    }
+  };
+}
+
+// OpenAI
+const openAIProvider = createChatCompletionsProvider({
+  id: "openai",
+  label: "OpenAI",
+  getCompletionsUrl: () => `${Config.OPENAI_BASE_URL}/chat/completions`,
+  getHealthUrl: () => `${Config.OPENAI_BASE_URL}/models`,
+  getHeaders: (settings) => ({
+    "Authorization": `Bearer ${settings.apiKey}`
+  }),
+  streamUsage: true
+});
+
+// Azure OpenAI - the model is selected by the deployment name
+const azureOpenAIProvider = createChatCompletionsProvider({
+  id: "azure",
+  label: "Azure OpenAI",
+  getCompletionsUrl: (settings) =>
+    `${trimUrl(settings.endpoint)}/openai/deployments/${encodeURIComponent(settings.deployment)}/chat/completions?api-version=${settings.apiVersion || Config.AZURE_API_VERSION}`,
+  getHealthUrl: (settings) =>
+    `${trimUrl(settings.endpoint)}/openai/models?api-version=${settings.apiVersion || Config.AZURE_API_VERSION}`,
+  getHeaders: (settings) => ({
+    "api-key": settings.apiKey
+  })
+});
+
+// Any OpenAI-compatible server such as Ollama or LM Studio
+const openAICompatibleProvider = createChatCompletionsProvider({
+  id: "openai-compatible",
+  label: "OpenAI-compatible (local)",
+  getCompletionsUrl: (settings) => `${trimUrl(settings.endpoint || Config.LOCAL_BASE_URL)}/chat/completions`,
+  getHealthUrl: (settings) => `${trimUrl(settings.endpoint || Config.LOCAL_BASE_URL)}/models`,
+  getHeaders: (settings) => (settings.apiKey ? { "Authorization": `Bearer ${settings.apiKey}` } : {})
+});
+
+// DeepL expects regional variants for some target languages
+const DEEPL_TARGET_LANGS = {
+  en: "EN-US",
+  pt: "PT-BR"
+};
+
+/**
+ * Get the DeepL API base URL - free plan keys end with ":fx"
+ * @param {Object} settings - Provider settings
+ * @returns {string} - Base URL
+ */
+function getDeepLBaseUrl(settings) {
+  if (settings.endpoint) return trimUrl(settings.endpoint);
+  return (settings.apiKey || "").endsWith(":fx") ? "https://api-free.deepl.com/v2" : "https://api.deepl.com/v2";
+}
+
+// DeepL
+const deepLProvider = {
+  id: "deepl",
+  label: "DeepL",
+
+  async translate({ text, inputLang, outputLang, context = [], signal, onUsage }, settings) {
+    const requestBody = {
+      text: [text],
+      target_lang: DEEPL_TARGET_LANGS[outputLang] || outputLang.toUpperCase()
+    };
+    
+    // DeepL takes untranslated source text as context
+    if (context.length > 0) {
+      requestBody.context = context.map(item => item.original).join(' ');
+    }
+
+    if (inputLang && inputLang !== "auto") {
+      requestBody.source_lang = inputLang.toUpperCase();
+    }
+
+    const response = await fetch(`${getDeepLBaseUrl(settings)}/translate`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `DeepL-Auth-Key ${settings.apiKey}`
+      },
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    await ensureOk(response);
+
+    const data = await response.json();
+
+    if (!data?.translations?.[0]?.text) {
+      throw new Error("Invalid response structure from API");
+    }
+
+    // DeepL bills the source characters
+    onUsage?.({ characters: text.length });
+    return data.translations[0].text.trim();
+  },
+
+  async checkConnection(settings, signal) {
+    const response = await fetch(`${getDeepLBaseUrl(settings)}/usage`, {
+      method: "GET",
+      headers: {
+        "Authorization": `DeepL-Auth-Key ${settings.apiKey}`
+      },
+      signal
+    });
+
+    await ensureOk(response);
+    return true;
+  }
+};
+
+// LibreTranslate
+const libreTranslateProvider = {
+  id: "libretranslate",
+  label: "LibreTranslate",
+
+  async translate({ text, inputLang, outputLang, signal, onUsage }, settings) {
+    const requestBody = {
+      q: text,
+      source: inputLang || "auto",
+      target: outputLang,
+      format: "text"
+    };
+
+    if (settings.apiKey) {
+      requestBody.api_key = settings.apiKey;
+    }
+
+    const response = await fetch(`${trimUrl(settings.endpoint || Config.LIBRETRANSLATE_URL)}/translate`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    await ensureOk(response);
+
+    const data = await response.json();
+
+    if (typeof data?.translatedText !== "string") {
+      throw new Error("Invalid response structure from API");
+    }
+
+    onUsage?.({ characters: text.length });
+    return data.translatedText.trim();
+  },
+
+  async checkConnection(settings, signal) {
+    const response = await fetch(`${trimUrl(settings.endpoint || Config.LIBRETRANSLATE_URL)}/languages`, {
+      method: "GET",
+      signal
+    });
+
+    await ensureOk(response);
+    return true;
+  }
+};
+
+// All available providers by ID
+const providers = {
+  [openAIProvider.id]: openAIProvider,
+  [azureOpenAIProvider.id]: azureOpenAIProvider,
+  [deepLProvider.id]: deepLProvider,
+  [libreTranslateProvider.id]: libreTranslateProvider,
+  [openAICompatibleProvider.id]: openAICompatibleProvider
+};
+
+/**
+ * Get a provider by ID, falling back to the default provider
+ * @param {string} providerId - Provider ID
+ * @returns {Object} - Provider
+ */
+function getProvider(providerId) {
+  return providers[providerId] || providers[Config.DEFAULT_PROVIDER];
+}
+
+export {
+  providers,
+  getProvider,
+  buildSystemPrompt
+};
@@ -1,13 +1,31 @@
 // Translation service
 import Config from './config.js';
-import { debugLog, throttle } from './utils.js';
+import { debugLog } from './utils.js';
+import { getProvider } from './translation-providers.js';
+import { callProvider } from './provider-client.js';
+import {
+  buildCacheKey,
+  getCacheKeyText,
+  getPersistentTranslations,
+  storePersistentTranslations,
+  deletePersistentTranslations
+} from './cache-client.js';
+import { onTuningChange } from './tuning-settings.js';
+import { recordUsage, getBudgetState, BUDGET_REACHED_TEXT } from './usage-tracker.js';
+import {
+  scheduleRequest,
+  isRequestQueued,
+  pauseRequests,
+  getRetryDelay,
+  clearScheduledRequests
+} from './request-scheduler.js';
+import { getGlossaryForText, onGlossaryChange, containsTerm } from './glossary.js';
 
-// Enhanced caching using LRU mechanism
+// In-memory LRU cache - a Map iterates in insertion order, so the first key is the oldest
 class LRUCache {
   constructor(maxSize = 500) {
     this.maxSize = maxSize;
     this.cache = new Map();
-    this.order = [];
   }
   
   has(key) {
@@ -17,38 +35,44 @@ class LRUCache {
   get(key) {
     if (!this.cache.has(key)) return null;
     
-    // Move to the end of the order for LRU
-    const index = this.order.indexOf(key);
-    if (index > -1) this.order.splice(index, 1);
-    this.order.push(key);
+    // Re-insert to mark as most recently used
+    const value = this.cache.get(key);
+    this.cache.delete(key);
+    this.cache.set(key, value);
     
-    return this.cache.get(key);
+    return value;
   }
   
   set(key, value) {
-    // If key exists, update value and move to end
-    if (this.cache.has(key)) {
-      this.cache.set(key, value);
-      const index = this.order.indexOf(key);
-      if (index > -1) this.order.splice(index, 1);
-      this.order.push(key);
-      return;
+    this.cache.delete(key);
+    this.cache.set(key, value);
+    this.evict();
+  }
+  
+  resize(maxSize) {
+    this.maxSize = maxSize;
+    this.evict();
+  }
+  
+  evict() {
+    while (this.cache.size > this.maxSize) {
+      this.cache.delete(this.cache.keys().next().value);
     }
-    
-    // Check if we need to remove oldest item
-    if (this.order.length >= this.maxSize) {
-      const oldestKey = this.order.shift();
-      this.cache.delete(oldestKey);
+  }
+  
+  deleteWhere(predicate) {
+    let deleted = 0;
+    for (const key of Array.from(this.cache.keys())) {
+      if (predicate(key)) {
+        this.cache.delete(key);
+        deleted++;
+      }
     }
-    
-    // Add new item
-    this.cache.set(key, value);
-    this.order.push(key);
+    return deleted;
   }
   
   clear() {
     this.cache.clear();
-    this.order = [];
   }
   
   get size() {
@@ -56,40 +80,315 @@ class LRUCache {
   }
 }
 
-// Keep track of translation requests and throttling
-const lastTranslationRequestTime = {};
-const pendingTranslations = {};
+// Keep track of translation requests - queueing and rate limits are up to the request scheduler
 const activeTimers = {};
 const translationRetryCount = {}; // Retry counter
-const translationCache = new LRUCache(500); // Enhanced cache for translations
+const translationCache = new LRUCache(Config.CACHE_SIZE); // In-memory tier of the translation cache
 const partialTranslations = {}; // For storing partial translations to be shown in the UI
 const translationInProgress = {}; // Track if translation is currently in progress
+const activeStreams = {}; // Streamed translations that can be cancelled, by speaker
+const conversationContext = []; // Recent finalized utterances sent as translation context
+
+// Cache lookups since the page was loaded - misses count requests sent to the provider
+const cacheStats = {
+  memoryHits: 0,
+  persistentHits: 0,
+  misses: 0,
+  persistentEntries: null // Unknown until the first write
+};
+
+// Cached translations of text containing a changed glossary term are outdated
+onGlossaryChange((changedTerms) => {
+  const deleted = translationCache.deleteWhere(key => changedTerms.some(term => containsTerm(getCacheKeyText(key), term)));
+  deletePersistentTranslations(changedTerms);
+  debugLog(`Invalidated ${deleted} cached translation(s) after glossary change`);
+});
+
+// The cache size can be changed on the options page
+onTuningChange((changedKeys) => {
+  if (changedKeys.includes('CACHE_SIZE')) {
+    translationCache.resize(Config.CACHE_SIZE);
+  }
+});
+
+// Languages translated in addition to the primary output language
+let additionalOutputLangs = [];
+
+// Settings of the active translation provider - the API key stays in the background service worker
+let providerSettings = {
+  provider: Config.DEFAULT_PROVIDER
+};
+
+/**
+ * Set the active translation provider and its settings
+ * @param {Object} settings - Provider settings (provider, model, endpoint, deployment, apiVersion, stream)
+ */
+function setProviderSettings(settings = {}) {
+  // Never keep a key from older synced settings in the page's content script
+  const { apiKey, ...rest } = settings;
+  
+  providerSettings = {
+    ...rest,
+    provider: settings.provider || Config.DEFAULT_PROVIDER
+  };
+  
+  debugLog(`Translation provider set to ${getProvider(providerSettings.provider).label}`);
+}
+
+/**
+ * Get the settings of the active translation provider
+ * @returns {Object} - Provider settings without the API key
+ */
+function getProviderSettings() {
+  return providerSettings;
+}
+
+/**
+ * Load provider settings saved by the extension popup
+ * @returns {Promise<Object>} - The loaded settings
+ */
+function loadProviderSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(["providerSettings"], (data) => {
+      setProviderSettings(data.providerSettings || {});
+      resolve(providerSettings);
+    });
+  });
+}
+
+// Pick up provider and model changes from the popup or options page without a reload
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.providerSettings) {
+      setProviderSettings(changes.providerSettings.newValue || {});
+    }
+  });
+}
 
-// Use a reasonable throttling time to avoid API rate limits
-const REDUCED_THROTTLE_TIME = 800; // Slightly less than the default 1000ms
+/**
+ * Check if translations should be streamed with the active provider
+ * @returns {boolean} - True if streaming is enabled and supported
+ */
+function isStreamingEnabled() {
+  const streamSetting = providerSettings.stream ?? Config.STREAM_TRANSLATIONS;
+  return !!streamSetting && typeof getActiveProvider().translateStream === 'function';
+}
 
 /**
- * Translate text using OpenAI API
+ * Cancel the streamed translation running for a speaker, if any
  * @param {string} speakerId - ID of the speaker
- * @param {string} text - Text to translate
+ */
+function cancelTranslationStream(speakerId) {
+  const stream = activeStreams[speakerId];
+  if (stream) {
+    stream.cancelled = true;
+    stream.controller.abort();
+    delete activeStreams[speakerId];
+    debugLog(`Cancelled translation stream for ${speakerId}`);
+  }
+}
+
+/**
+ * Remember a finalized utterance as context for following translations
+ * @param {Object} utterance - Finalized utterance with speaker, original and translated
+ */
+function addConversationContext(utterance) {
+  if (!utterance?.original || !utterance.translated) return;
+  
+  // Placeholders and failures would only confuse the model
+  if (["Translating...", "[Translation unavailable]", BUDGET_REACHED_TEXT].includes(utterance.translated)) return;
+  
+  conversationContext.push({
+    speaker: utterance.speaker,
+    original: utterance.original,
+    translated: utterance.translated
+  });
+  
+  if (conversationContext.length > Config.CONTEXT_MAX_UTTERANCES) {
+    conversationContext.splice(0, conversationContext.length - Config.CONTEXT_MAX_UTTERANCES);
+  }
+}
+
+/**
+ * Get the most recent context that fits the token budget
+ * @returns {Object[]} - Context utterances, oldest first
+ */
+function getConversationContext() {
+  const context = [];
+  let tokens = 0;
+  
+  // Walk back from the newest utterance until the budget is used up
+  for (let i = conversationContext.length - 1; i >= 0; i--) {
+    const item = conversationContext[i];
+    // Roughly four characters per token
+    const itemTokens = Math.ceil((item.speaker.length + item.original.length + item.translated.length) / 4);
+    
+    if (tokens + itemTokens > Config.CONTEXT_TOKEN_BUDGET) break;
+    
+    tokens += itemTokens;
+    context.unshift(item);
+  }
+  
+  return context;
+}
+
+/**
+ * Set all output languages - the first one is the primary language
+ * @param {string[]} outputLangs - Output languages
+ */
+function setOutputLanguages(outputLangs = []) {
+  additionalOutputLangs = outputLangs.slice(1);
+}
+
+/**
+ * Get every language a text is translated into
+ * @param {string} outputLang - Primary output language
+ * @returns {string[]} - Primary language followed by the additional ones
+ */
+function getTargetLanguages(outputLang) {
+  return [outputLang, ...additionalOutputLangs.filter(lang => lang !== outputLang)];
+}
+
+/**
+ * Build the cache key of a translation
  * @param {string} inputLang - Input language
  * @param {string} outputLang - Output language
- * @returns {Promise<string|null>} - Translated text or null if throttled
+ * @param {string} text - Source text
+ * @returns {string} - Cache key
+ */
+function getCacheKey(inputLang, outputLang, text) {
+  return buildCacheKey({
+    provider: providerSettings.provider,
+    model: providerSettings.model || providerSettings.deployment,
+    inputLang,
+    outputLang,
+    text
+  });
+}
+
+/**
+ * Store translations in the memory cache, and in the persistent cache if requested
+ * @param {string} inputLang - Input language
+ * @param {string} text - Source text
+ * @param {Object} translations - Translations by language
+ * @param {boolean} persist - True to keep them across sessions
+ */
+function cacheTranslations(inputLang, text, translations, persist) {
+  const entries = {};
+  for (const [lang, translation] of Object.entries(translations)) {
+    const key = getCacheKey(inputLang, lang, text);
+    translationCache.set(key, translation);
+    entries[key] = translation;
+  }
+  if (!persist) return;
+  
+  storePersistentTranslations(entries).then((response) => {
+    if (response) {
+      cacheStats.persistentEntries = response.entries;
+    }
+  });
+}
+
+/**
+ * Get cache hit and miss statistics for the debug tab
+ * @returns {Object} - Hits per tier, misses, hit rate and entry counts
+ */
+function getCacheStats() {
+  const hits = cacheStats.memoryHits + cacheStats.persistentHits;
+  const lookups = hits + cacheStats.misses;
+  
+  return {
+    ...cacheStats,
+    hits,
+    hitRate: lookups > 0 ? hits / lookups : 0,
+    memoryEntries: translationCache.size
+  };
+}
+
+/**
+ * Create a usage callback that counts tokens and cost with the current provider settings
+ * @returns {Function} - Usage callback for callProvider
+ */
+function createUsageRecorder() {
+  const settings = providerSettings;
+  return (usage) => recordUsage(usage, settings);
+}
+
+/**
+ * Translate into several languages, in one request if the provider supports it
+ * @param {Object} request - Text, inputLang, context and signal
+ * @param {string[]} targetLangs - Output languages
+ * @returns {Promise<Object>} - Translations by language
+ */
+async function translateToLanguages(request, targetLangs) {
+  const provider = getActiveProvider();
+  const glossaries = Object.fromEntries(
+    targetLangs.map(lang => [lang, getGlossaryForText(request.text, request.inputLang, lang)])
+  );
+  
+  const { signal, ...fields } = request;
+  const onUsage = createUsageRecorder();
+  
+  if (typeof provider.translateMulti === 'function') {
+    return callProvider('translateMulti', { ...fields, outputLangs: targetLangs, glossaries }, providerSettings, { signal, onUsage });
+  }
+  
+  // Providers without multi-language support get one request per language
+  const results = await Promise.all(targetLangs.map(lang =>
+    callProvider('translate', { ...fields, outputLang: lang, glossary: glossaries[lang] }, providerSettings, { signal, onUsage })
+  ));
+  
+  return Object.fromEntries(targetLangs.map((lang, index) => [lang, results[index]]));
+}
+
+/**
+ * Get the currently active translation provider
+ * @returns {Object} - Provider
  */
-async function translateText(speakerId, text, inputLang, outputLang) {
+function getActiveProvider() {
+  return getProvider(providerSettings.provider);
+}
+
+/**
+ * Check if the active provider follows the glossary
+ * @returns {boolean} - True if glossary entries are sent with each request
+ */
+function providerSupportsGlossary() {
+  return Boolean(getActiveProvider().supportsGlossary);
+}
+
+/**
+ * Translate text using the active translation provider.
+ * Additional output languages are translated along with the primary one and
+ * stored in the speaker's translations map.
+ * @param {string} speakerId - ID of the speaker
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Primary output language
+ * @param {Object} [options] - Request options
+ * @param {string} [options.priority] - "final" for finished utterances, which go ahead of "interim" updates
+ * @param {Function} [options.onPartial] - Called with the partial text while a translation streams
+ * @returns {Promise<string>} - Translated text, or the previous translation while the request is queued
+ */
+async function translateText(speakerId, text, inputLang, outputLang, { priority = 'interim', onPartial = null } = {}) {
   // Don't translate if the text is too short
   if (!text || text.length < 2) return text;
   
-  // Create cache key
-  const cacheKey = `${inputLang}:${outputLang}:${text}`;
+  const targetLangs = getTargetLanguages(outputLang);
+  
+  const cacheKeys = targetLangs.map(lang => getCacheKey(inputLang, lang, text));
   
   // Check cache first
-  if (translationCache.has(cacheKey)) {
-    const cachedTranslation = translationCache.get(cacheKey);
+  if (cacheKeys.every(key => translationCache.has(key))) {
+    const cachedTranslations = Object.fromEntries(
+      targetLangs.map((lang, index) => [lang, translationCache.get(cacheKeys[index])])
+    );
+    const cachedTranslation = cachedTranslations[outputLang];
+    cacheStats.memoryHits++;
     debugLog(`Using cached translation for: ${text.substring(0, 30)}...`);
     
     // Update active speakers immediately with the cached translation
-    updateActiveSpeakerTranslation(speakerId, cachedTranslation);
+    updateActiveSpeakerTranslation(speakerId, cachedTranslation, cachedTranslations);
     
     return cachedTranslation;
   }
@@ -100,57 +399,76 @@ async function translateText(speakerId, text, inputLang, outputLang) {
     return partialTranslations[speakerId] || "Translating...";
   }
   
-  // Check if we need to throttle this translation request
-  const now = Date.now();
-  if (lastTranslationRequestTime[speakerId] && 
-      now - lastTranslationRequestTime[speakerId] < REDUCED_THROTTLE_TIME) {
-    // If there's already a pending translation for this speaker, replace it
-    if (pendingTranslations[speakerId]) {
-      pendingTranslations[speakerId].text = text;
-      debugLog(`Throttled translation request for ${speakerId}, queued for later`);
+  // Recurring phrases may have been translated in an earlier session - only final translations are persisted
+  if (priority === 'final') {
+    // Hold the speaker's slot during the lookup, so the same text isn't requested twice meanwhile
+    const lookup = { text };
+    translationInProgress[speakerId] = lookup;
+    const persisted = await getPersistentTranslations(cacheKeys);
+    if (translationInProgress[speakerId] === lookup) {
+      delete translationInProgress[speakerId];
+    }
+    
+    if (cacheKeys.every(key => typeof persisted[key] === 'string')) {
+      const cachedTranslations = Object.fromEntries(
+        targetLangs.map((lang, index) => [lang, persisted[cacheKeys[index]]])
+      );
+      cacheKeys.forEach(key => translationCache.set(key, persisted[key]));
+      cacheStats.persistentHits++;
+      debugLog(`Using persisted translation for: ${text.substring(0, 30)}...`);
       
-      // Always update UI with "Translating..." or the last partial translation
-      const currentPartial = partialTranslations[speakerId] || "Translating...";
-      updateActiveSpeakerTranslation(speakerId, currentPartial);
+      updateActiveSpeakerTranslation(speakerId, cachedTranslations[outputLang], cachedTranslations);
       
-      return currentPartial;
+      return cachedTranslations[outputLang];
     }
-    
-    // Schedule a translation for later
-    const timeToWait = REDUCED_THROTTLE_TIME - (now - lastTranslationRequestTime[speakerId]);
-    
-    pendingTranslations[speakerId] = { 
-      text,
-      inputLang,
-      outputLang
-    };
-    
-    activeTimers[`translate_${speakerId}`] = setTimeout(() => {
-      const pendingData = pendingTranslations[speakerId];
-      if (pendingData) {
-        delete pendingTranslations[speakerId];
-        translateText(speakerId, pendingData.text, pendingData.inputLang, pendingData.outputLang);
-      }
-    }, timeToWait);
-    
-    debugLog(`Queued translation for ${speakerId} in ${timeToWait}ms`);
-    
-    // Return the last partial translation if we have one, or "Translating..."
+  }
+  
+  // Cached translations are free, anything else waits for more budget
+  if (getBudgetState() === 'stopped') {
+    updateActiveSpeakerTranslation(speakerId, BUDGET_REACHED_TEXT);
+    return BUDGET_REACHED_TEXT;
+  }
+  
+  const translation = requestTranslation(speakerId, text, inputLang, outputLang, targetLangs, priority, onPartial);
+  
+  // Interim text waiting in the queue shows the previous translation meanwhile
+  if (priority === 'interim' && isRequestQueued(speakerId)) {
+    debugLog(`Queued translation for ${speakerId}`);
     const partialText = partialTranslations[speakerId] || "Translating...";
     updateActiveSpeakerTranslation(speakerId, partialText);
     return partialText;
   }
   
-  // Update the last translation request time
-  lastTranslationRequestTime[speakerId] = now;
-  
+  return translation;
+}
+
+/**
+ * Send a translation through the request scheduler, retrying failed attempts
+ * @param {string} speakerId - ID of the speaker
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Primary output language
+ * @param {string[]} targetLangs - All output languages
+ * @param {string} priority - "final" or "interim"
+ * @param {Function} [onPartial] - Called with the partial text while the translation streams
+ * @returns {Promise<string>} - Translated text, or a placeholder if it failed or was superseded
+ */
+async function requestTranslation(speakerId, text, inputLang, outputLang, targetLangs, priority, onPartial) {
   // Initialize retry count for this speaker if it doesn't exist
   if (!translationRetryCount[speakerId]) {
     translationRetryCount[speakerId] = 0;
   }
   
   // Mark this translation as in progress
-  translationInProgress[speakerId] = { text };
+  const progress = { text };
+  translationInProgress[speakerId] = progress;
+  
+  // Partial JSON can't be shown, so several languages are never streamed
+  const useStreaming = isStreamingEnabled() && targetLangs.length === 1;
+  const context = getConversationContext();
+  const glossary = getGlossaryForText(text, inputLang, outputLang);
+  let stream = null;
+  let cancelled = false;
   
   try {
     debugLog(`Translating for ${speakerId}: ${text.substring(0, 40)}...`);
@@ -160,55 +478,88 @@ async function translateText(speakerId, text, inputLang, outputLang) {
     
     // Better error handling with retries
     const maxRetries = Config.MAX_RETRIES;
-    let response = null;
+    let translatedText = null;
+    let translations = null;
     let retryAttempt = 0;
     
     while (retryAttempt <= maxRetries) {
+      let started = false;
+      
       try {
-        // Format proper request to API
-        const requestBody = {
-          model: Config.MODEL_NAME,
-          messages: [
-            {
-              role: "system",
-              content: `You are a translation assistant. Translate text from ${inputLang} to ${outputLang} concisely and accurately. Keep the translation direct and maintain the same style and tone.`
-            },
-            {
-              role: "user",
-              content: text
-            }
-          ],
-          temperature: 0.3 // Lower temperature for more consistent translations
-        };
-        
-        // Add timeout using AbortController
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 6000); // 6 second timeout (reduced from 8s)
-        
-        try {
-          response = await fetch("https://api.openai.com/v1/chat/completions", {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "Authorization": `Bearer ${Config.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify(requestBody),
-            signal: controller.signal
-          });
+        await scheduleRequest(async () => {
+          started = true;
+          if (retryAttempt === 0) {
+            cacheStats.misses++;
+            
+            // Newer text replaces any stream still running for this speaker
+            cancelTranslationStream(speakerId);
+          }
           
-          clearTimeout(timeoutId);
-        } catch (fetchError) {
-          clearTimeout(timeoutId);
-          throw fetchError;
-        }
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`API response error: ${response.status} ${response.statusText}. Details: ${errorText}`);
-        }
+          // Add timeout using AbortController
+          const controller = new AbortController();
+          let timeoutId = setTimeout(() => controller.abort(), Config.REQUEST_TIMEOUT);
+          
+          try {
+            if (useStreaming) {
+              stream = { controller, cancelled: false };
+              activeStreams[speakerId] = stream;
+              
+              translatedText = await callProvider('translateStream', {
+                text,
+                inputLang,
+                outputLang,
+                context,
+                glossary
+              }, providerSettings, {
+                signal: controller.signal,
+                onUsage: createUsageRecorder(),
+                onChunk: (partialText) => {
+                  // Keep the stream alive while chunks are arriving
+                  clearTimeout(timeoutId);
+                  timeoutId = setTimeout(() => controller.abort(), Config.REQUEST_TIMEOUT);
+                  
+                  partialTranslations[speakerId] = partialText;
+                  updateActiveSpeakerTranslation(speakerId, partialText);
+                  onPartial?.(partialText);
+                }
+              });
+            } else if (targetLangs.length > 1) {
+              translations = await translateToLanguages({
+                text,
+                inputLang,
+                context,
+                signal: controller.signal
+              }, targetLangs);
+              translatedText = translations[outputLang];
+            } else {
+              translatedText = await callProvider('translate', {
+                text,
+                inputLang,
+                outputLang,
+                context,
+                glossary
+              }, providerSettings, { signal: controller.signal, onUsage: createUsageRecorder() });
+            }
+            
+            clearTimeout(timeoutId);
+          } catch (fetchError) {
+            clearTimeout(timeoutId);
+            throw fetchError;
+          } finally {
+            if (stream && activeStreams[speakerId] === stream) {
+              delete activeStreams[speakerId];
+            }
+          }
+        }, { priority, key: speakerId });
         
         break; // If we get here, the request was successful
       } catch (retryError) {
+        // Don't retry a request superseded in the queue or a stream replaced by newer text
+        if (!started || stream?.cancelled) {
+          cancelled = true;
+          throw retryError;
+        }
+        
         retryAttempt++;
         debugLog(`Translation error (attempt ${retryAttempt}/${maxRetries}): ${retryError.message}`);
         
@@ -216,27 +567,26 @@ async function translateText(speakerId, text, inputLang, outputLang) {
           throw retryError; // Re-throw if we've exhausted our retries
         }
         
-        await new Promise(resolve => setTimeout(resolve, Config.RETRY_DELAY)); // Wait before retrying
+        const retryDelay = getRetryDelay(retryAttempt, retryError);
+        if (retryError.status === 429) {
+          // The rate limit applies to every speaker, so all requests wait
+          pauseRequests(retryDelay);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, retryDelay)); // Wait before retrying
+        }
       }
     }
 
-    const data = await response.json();
-    
-    // Verify that the response has the expected structure
-    if (!data?.choices?.[0]?.message?.content) {
-      throw new Error("Invalid response structure from API");
-    }
-    
-    const translatedText = data.choices[0].message.content.trim();
+    translations = translations || { [outputLang]: translatedText };
     
-    // Add to cache
-    translationCache.set(cacheKey, translatedText);
+    // Add to cache - interim snapshots of a growing caption aren't worth keeping across sessions
+    cacheTranslations(inputLang, text, translations, priority === 'final');
     
     // Update partial translations for this speaker
     partialTranslations[speakerId] = translatedText;
     
     // Update active speaker with the new translation
-    updateActiveSpeakerTranslation(speakerId, translatedText);
+    updateActiveSpeakerTranslation(speakerId, translatedText, translations);
     
     // Clear in-progress flag
     delete translationInProgress[speakerId];
@@ -248,6 +598,14 @@ async function translateText(speakerId, text, inputLang, outputLang) {
     
     return translatedText;
   } catch (error) {
+    // A cancelled request is not a failure - newer text is being translated
+    if (cancelled) {
+      if (translationInProgress[speakerId] === progress) {
+        delete translationInProgress[speakerId];
+      }
+      return partialTranslations[speakerId] || "Translating...";
+    }
+    
     console.error("Translation error:", error);
     debugLog(`Translation error: ${error.message}`);
     
@@ -278,21 +636,23 @@ async function translateText(speakerId, text, inputLang, outputLang) {
   }
 }
 
-// Create a throttled version for better performance
-const throttledTranslate = throttle(translateText, REDUCED_THROTTLE_TIME);
-
 /**
  * Update the active speaker's translation in real-time
  * @param {string} speakerId - The speaker ID
  * @param {string} translatedText - The translated text
+ * @param {Object} [translations] - Translations by language, for complete results
  */
-function updateActiveSpeakerTranslation(speakerId, translatedText) {
+function updateActiveSpeakerTranslation(speakerId, translatedText, translations) {
   // Get active speakers if available in window
   const getActiveSpeakers = window.getActiveSpeakers || function() { return {}; };
   const activeSpeakers = getActiveSpeakers();
   
   // Update translation if speaker is active
   if (activeSpeakers[speakerId] && activeSpeakers[speakerId].active) {
+    if (translations) {
+      activeSpeakers[speakerId].translations = translations;
+    }
+    
     // Only update if text is different to avoid unnecessary UI updates
     if (activeSpeakers[speakerId].translatedText !== translatedText) {
       activeSpeakers[speakerId].translatedText = translatedText;
@@ -306,7 +666,7 @@ function updateActiveSpeakerTranslation(speakerId, translatedText) {
 }
 
 /**
- * Check API connection by making a simple request
+ * Check API connection using the active provider's health check
  * @returns {Promise<boolean>} True if API is accessible
  */
 async function checkApiConnection() {
@@ -316,30 +676,16 @@ async function checkApiConnection() {
     const timeoutId = setTimeout(() => controller.abort(), 4000); // 4 second timeout (reduced from 5s)
     
     try {
-      // Make a simpler request to verify API access
-      const response = await fetch("https://api.openai.com/v1/models", {
-        method: "GET",
-        headers: {
-          "Authorization": `Bearer ${Config.OPENAI_API_KEY}`
-        },
-        signal: controller.signal
-      });
+      await callProvider('checkConnection', {}, providerSettings, { signal: controller.signal });
       
       clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        debugLog(`API check failed: ${response.status} ${response.statusText}. Details: ${errorText}`);
-        return false;
-      }
-      
       return true;
     } catch (fetchError) {
       clearTimeout(timeoutId);
       throw fetchError;
     }
   } catch (error) {
-    debugLog(`API check error: ${error.message}`);
+    debugLog(`API check error (${getActiveProvider().label}): ${error.message}`);
     return false;
   }
 }
@@ -354,12 +700,15 @@ function clearTranslationTimers() {
     delete activeTimers[timerId];
   }
   
+  // Abort running streams
+  Object.keys(activeStreams).forEach(speakerId => cancelTranslationStream(speakerId));
+  
   // Reset translation states
-  Object.keys(lastTranslationRequestTime).forEach(key => delete lastTranslationRequestTime[key]);
-  Object.keys(pendingTranslations).forEach(key => delete pendingTranslations[key]);
+  clearScheduledRequests();
   Object.keys(partialTranslations).forEach(key => delete partialTranslations[key]);
   Object.keys(translationInProgress).forEach(key => delete translationInProgress[key]);
   Object.keys(translationRetryCount).forEach(key => delete translationRetryCount[key]);
+  conversationContext.length = 0;
   
   // No need to clear translation cache - it can be reused
 }
@@ -395,10 +744,19 @@ function clearActiveTimerForSpeaker(speakerId, type) {
 
 export {
   translateText,
-  throttledTranslate,
   checkApiConnection,
+  setProviderSettings,
+  getProviderSettings,
+  loadProviderSettings,
+  providerSupportsGlossary,
+  getActiveProvider,
+  cancelTranslationStream,
+  addConversationContext,
+  setOutputLanguages,
+  getTargetLanguages,
   clearTranslationTimers,
   getActiveTimerForSpeaker,
   setActiveTimerForSpeaker,
-  clearActiveTimerForSpeaker
+  clearActiveTimerForSpeaker,
+  getCacheStats
 };
\ No newline at end of file
@@ -0,0 +1,110 @@
+// User-tunable segmentation, throttling and request settings
+import Config from './config.js';
+import { debugLog } from './utils.js';
+
+// Storage key in chrome.storage.sync - written by the options page
+const TUNING_STORAGE_KEY = 'tuningSettings';
+
+// When active utterances are sent for translation
+const TRANSLATION_STRATEGIES = {
+  live: 'Live - retranslate while the speaker talks',
+  'sentence-boundary': 'Sentence by sentence - translate each finished sentence once',
+  'finalize-only': 'Finalize only - translate once the speaker pauses'
+};
+
+// Config values users may change, with their allowed ranges or options
+const TUNING_SETTINGS = {
+  TRANSLATION_STRATEGY: { label: 'Translation strategy', options: TRANSLATION_STRATEGIES },
+  SPEECH_SEGMENT_TIMEOUT: { label: 'Pause that ends an utterance (ms)', min: 500, max: 10000, step: 100 },
+  TRANSLATION_THROTTLE: { label: 'Minimum time between requests per speaker (ms)', min: 200, max: 5000, step: 100 },
+  DEBOUNCE_DELAY: { label: 'Wait for caption changes to settle (ms)', min: 20, max: 1000, step: 10 },
+  REQUEST_TIMEOUT: { label: 'Request timeout (ms)', min: 1000, max: 30000, step: 500 },
+  MAX_RETRIES: { label: 'Retries for failed requests', min: 0, max: 5, step: 1 },
+  RETRY_DELAY: { label: 'Delay before a retry (ms)', min: 0, max: 10000, step: 100 },
+  MAX_CONCURRENT_REQUESTS: { label: 'Requests running at the same time', min: 1, max: 8, step: 1 },
+  REQUESTS_PER_MINUTE: { label: 'Requests per minute', min: 6, max: 600, step: 6 },
+  CACHE_SIZE: { label: 'Cached translations', min: 50, max: 5000, step: 50 }
+};
+
+// Built-in values, restored when a setting is removed
+const TUNING_DEFAULTS = Object.fromEntries(Object.keys(TUNING_SETTINGS).map(key => [key, Config[key]]));
+
+// Listeners notified with the changed keys
+const changeListeners = [];
+
+/**
+ * Keep only known settings - numbers rounded and clamped to their range, choices from their options
+ * @param {Object} values - Stored or entered values
+ * @returns {Object} - Valid values
+ */
+function normalizeTuningSettings(values) {
+  const result = {};
+  for (const [key, { min, max, options }] of Object.entries(TUNING_SETTINGS)) {
+    if (options) {
+      if (Object.hasOwn(options, values?.[key] ?? '')) {
+        result[key] = values[key];
+      }
+      continue;
+    }
+
+    const value = Number(values?.[key]);
+    if (values?.[key] !== undefined && values[key] !== '' && Number.isFinite(value)) {
+      result[key] = Math.min(Math.max(Math.round(value), min), max);
+    }
+  }
+  return result;
+}
+
+/**
+ * Apply tuning values to Config, resetting the ones not given
+ * @param {Object} values - Stored values
+ */
+function applyTuningSettings(values) {
+  const next = { ...TUNING_DEFAULTS, ...normalizeTuningSettings(values) };
+  const changedKeys = Object.keys(next).filter(key => Config[key] !== next[key]);
+  if (changedKeys.length === 0) return;
+
+  Object.assign(Config, next);
+  debugLog(`Tuning updated: ${changedKeys.map(key => `${key}=${next[key]}`).join(', ')}`);
+  changeListeners.forEach(listener => listener(changedKeys));
+}
+
+/**
+ * Load the tuning settings saved by the options page
+ * @returns {Promise<Object>} - The applied values
+ */
+function loadTuningSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([TUNING_STORAGE_KEY], (data) => {
+      applyTuningSettings(data[TUNING_STORAGE_KEY]);
+      resolve(Object.fromEntries(Object.keys(TUNING_SETTINGS).map(key => [key, Config[key]])));
+    });
+  });
+}
+
+/**
+ * Register a listener called with the changed Config keys
+ * @param {Function} listener - Listener
+ */
+function onTuningChange(listener) {
+  changeListeners.push(listener);
+}
+
+// Apply changes from the options page without a reload
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[TUNING_STORAGE_KEY]) {
+      applyTuningSettings(changes[TUNING_STORAGE_KEY].newValue);
+    }
+  });
+}
+
+export {
+  TUNING_STORAGE_KEY,
+  TRANSLATION_STRATEGIES,
+  TUNING_SETTINGS,
+  TUNING_DEFAULTS,
+  normalizeTuningSettings,
+  loadTuningSettings,
+  onTuningChange
+};
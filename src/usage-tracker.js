@@ -0,0 +1,364 @@
+// Token and cost accounting with meeting and daily budgets
+import Config from './config.js';
+import { debugLog } from './utils.js';
+import { getCurrentSession } from './transcript-store.js';
+
+// Storage keys - usage in chrome.storage.local, the budget in chrome.storage.sync
+const LEGACY_DAILY_USAGE_KEY = 'usageDaily';
+const DAILY_USAGE_PREFIX = 'usageDaily:';
+const MEETING_USAGE_KEY = 'usageMeeting';
+const BUDGET_STORAGE_KEY = 'usageBudget';
+
+// Each page load keeps its own share of the daily totals, so tabs never overwrite each other's counts
+const INSTANCE_ID = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// Summed up fields of usage totals
+const USAGE_FIELDS = ['requests', 'promptTokens', 'completionTokens', 'characters', 'cost'];
+
+// Shown instead of a translation once the budget has stopped translating
+const BUDGET_REACHED_TEXT = "[Translation paused: budget reached]";
+
+// What happens when a budget is reached
+const BUDGET_ACTIONS = {
+  'finalize-only': 'Translate finished utterances only',
+  stop: 'Stop translating'
+};
+
+// USD per million prompt and completion tokens, matched by model name prefix
+const MODEL_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+  'gpt-4o': { prompt: 2.50, completion: 10.00 },
+  'gpt-4.1-nano': { prompt: 0.10, completion: 0.40 },
+  'gpt-4.1-mini': { prompt: 0.40, completion: 1.60 },
+  'gpt-4.1': { prompt: 2.00, completion: 8.00 },
+  'gpt-3.5-turbo': { prompt: 0.50, completion: 1.50 }
+};
+
+// USD per million characters for providers that bill by character
+const CHARACTER_PRICES = {
+  deepl: 25.00
+};
+
+// Providers that run locally or self-hosted cost nothing per request
+const FREE_PROVIDERS = ['openai-compatible', 'libretranslate'];
+
+// Budget in USD - 0 means no limit
+let budget = {
+  meetingLimit: 0,
+  dailyLimit: 0,
+  action: 'finalize-only'
+};
+
+let meetingUsage = null;
+let dailyUsage = null; // Sum of the daily shares of all tabs
+let ownDailyUsage = null;
+const otherDailyUsage = {}; // Daily shares of other tabs by storage key
+let budgetState = 'ok'; // 'ok', 'finalize-only' or 'stopped'
+
+// Listeners notified after usage or the budget state changed
+const changeListeners = [];
+
+/**
+ * Create empty usage totals
+ * @param {Object} fields - Fields identifying the totals
+ * @returns {Object} - Usage totals
+ */
+function createUsage(fields) {
+  return { ...fields, requests: 0, promptTokens: 0, completionTokens: 0, characters: 0, cost: 0 };
+}
+
+/**
+ * Get today's date in local time
+ * @returns {string} - Date like 2024-05-31
+ */
+function getToday() {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Get the storage key prefix of the daily shares of a day
+ * @param {string} date - Date like 2024-05-31
+ * @returns {string} - Key prefix
+ */
+function getDailyUsagePrefix(date) {
+  return `${DAILY_USAGE_PREFIX}${date}:`;
+}
+
+/**
+ * Add up this tab's and the other tabs' daily shares
+ */
+function sumDailyUsage() {
+  dailyUsage = createUsage({ date: ownDailyUsage.date });
+  for (const share of [ownDailyUsage, ...Object.values(otherDailyUsage)]) {
+    USAGE_FIELDS.forEach(field => { dailyUsage[field] += share[field] || 0; });
+  }
+}
+
+/**
+ * Get the key of the meeting usage is counted for
+ * @returns {string} - Meeting key, "none" outside a meeting session
+ */
+function getMeetingKey() {
+  return getCurrentSession()?.meetingKey || 'none';
+}
+
+/**
+ * Find the price of a model
+ * @param {string} model - Model or deployment name
+ * @returns {Object|null} - Prompt and completion price, null if unknown
+ */
+function getModelPrice(model) {
+  const name = String(model || '').toLowerCase();
+  // The longest prefix wins, so gpt-4o-mini isn't priced as gpt-4o
+  const match = Object.keys(MODEL_PRICES)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICES[match] : null;
+}
+
+/**
+ * Estimate the cost of a request
+ * @param {Object} usage - promptTokens and completionTokens, or characters
+ * @param {Object} settings - Provider settings with provider and model
+ * @returns {number} - Cost in USD
+ */
+function estimateCost(usage, settings) {
+  if (FREE_PROVIDERS.includes(settings.provider)) return 0;
+
+  if (CHARACTER_PRICES[settings.provider]) {
+    return (usage.characters || 0) * CHARACTER_PRICES[settings.provider] / 1e6;
+  }
+
+  // Azure deployments are usually named after their model
+  const price = getModelPrice(settings.provider === 'azure' ? settings.deployment : (settings.model || Config.MODEL_NAME));
+  if (!price) return 0;
+
+  return ((usage.promptTokens || 0) * price.prompt + (usage.completionTokens || 0) * price.completion) / 1e6;
+}
+
+/**
+ * Add a request's usage to totals
+ * @param {Object} totals - Usage totals
+ * @param {Object} usage - Request usage
+ * @param {number} cost - Request cost
+ */
+function addUsage(totals, usage, cost) {
+  totals.requests++;
+  totals.promptTokens += usage.promptTokens || 0;
+  totals.completionTokens += usage.completionTokens || 0;
+  totals.characters += usage.characters || 0;
+  totals.cost += cost;
+}
+
+/**
+ * Notify listeners about changed usage
+ */
+function notifyChange() {
+  changeListeners.forEach(listener => listener(getUsageSummary()));
+}
+
+/**
+ * Compare the totals with the budget and switch the budget state
+ */
+function updateBudgetState() {
+  const exceeded =
+    (budget.meetingLimit > 0 && meetingUsage.cost >= budget.meetingLimit) ||
+    (budget.dailyLimit > 0 && dailyUsage.cost >= budget.dailyLimit);
+
+  const state = !exceeded ? 'ok' : (budget.action === 'stop' ? 'stopped' : 'finalize-only');
+  if (state !== budgetState) {
+    debugLog(state === 'ok' ? "Translation budget available again" : `Translation budget reached: ${BUDGET_ACTIONS[budget.action]}`);
+    budgetState = state;
+  }
+}
+
+/**
+ * Make sure the totals belong to the current meeting and day
+ */
+function ensureCurrentTotals() {
+  const meetingKey = getMeetingKey();
+  if (!meetingUsage || meetingUsage.meetingKey !== meetingKey) {
+    meetingUsage = createUsage({ meetingKey });
+  }
+
+  const date = getToday();
+  if (!ownDailyUsage || ownDailyUsage.date !== date) {
+    ownDailyUsage = createUsage({ date });
+    Object.keys(otherDailyUsage).forEach(key => delete otherDailyUsage[key]);
+    sumDailyUsage();
+  }
+}
+
+/**
+ * Record the usage reported for a provider request
+ * @param {Object} usage - promptTokens and completionTokens, or characters
+ * @param {Object} settings - Provider settings the request was made with
+ * @returns {number} - Estimated cost of the request in USD
+ */
+function recordUsage(usage, settings) {
+  if (!usage) return 0;
+
+  ensureCurrentTotals();
+  const cost = estimateCost(usage, settings);
+  addUsage(meetingUsage, usage, cost);
+  addUsage(ownDailyUsage, usage, cost);
+  sumDailyUsage();
+
+  // Other tabs add this tab's share to their daily totals through storage
+  chrome.storage.local.set({
+    [`${getDailyUsagePrefix(ownDailyUsage.date)}${INSTANCE_ID}`]: ownDailyUsage,
+    [MEETING_USAGE_KEY]: meetingUsage
+  });
+
+  updateBudgetState();
+  notifyChange();
+  return cost;
+}
+
+/**
+ * Normalize a stored budget
+ * @param {Object} data - Stored budget
+ * @returns {Object} - Budget with limits and action
+ */
+function normalizeBudget(data) {
+  const toLimit = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  };
+
+  return {
+    meetingLimit: toLimit(data?.meetingLimit),
+    dailyLimit: toLimit(data?.dailyLimit),
+    action: BUDGET_ACTIONS[data?.action] ? data.action : 'finalize-only'
+  };
+}
+
+/**
+ * Set the budget and re-check the totals against it
+ * @param {Object} data - Stored budget
+ */
+function setBudget(data) {
+  budget = normalizeBudget(data);
+  ensureCurrentTotals();
+  updateBudgetState();
+  notifyChange();
+}
+
+/**
+ * Load the budget and today's and this meeting's totals
+ * @returns {Promise<Object>} - Usage summary
+ */
+function loadUsage() {
+  return new Promise((resolve) => {
+    // The daily shares have a key per tab, so all keys are read
+    chrome.storage.local.get(null, (local) => {
+      chrome.storage.sync.get([BUDGET_STORAGE_KEY], (synced) => {
+        // A reload in the same meeting continues its totals
+        if (local[MEETING_USAGE_KEY]?.meetingKey === getMeetingKey()) {
+          meetingUsage = local[MEETING_USAGE_KEY];
+        }
+
+        // Earlier page loads of today count as other tabs, older days are dropped
+        ensureCurrentTotals();
+        const prefix = getDailyUsagePrefix(ownDailyUsage.date);
+        const outdated = [];
+
+        // Totals saved by earlier versions, shared by all tabs
+        if (local[LEGACY_DAILY_USAGE_KEY]?.date === ownDailyUsage.date) {
+          otherDailyUsage[LEGACY_DAILY_USAGE_KEY] = local[LEGACY_DAILY_USAGE_KEY];
+        } else if (local[LEGACY_DAILY_USAGE_KEY]) {
+          outdated.push(LEGACY_DAILY_USAGE_KEY);
+        }
+
+        for (const [key, share] of Object.entries(local || {})) {
+          if (!key.startsWith(DAILY_USAGE_PREFIX) || key.endsWith(`:${INSTANCE_ID}`)) continue;
+          if (key.startsWith(prefix)) {
+            otherDailyUsage[key] = share;
+          } else {
+            outdated.push(key);
+          }
+        }
+        if (outdated.length > 0) {
+          chrome.storage.local.remove(outdated);
+        }
+        sumDailyUsage();
+
+        setBudget(synced[BUDGET_STORAGE_KEY]);
+        resolve(getUsageSummary());
+      });
+    });
+  });
+}
+
+/**
+ * Get the budget state
+ * @returns {string} - 'ok', 'finalize-only' or 'stopped'
+ */
+function getBudgetState() {
+  return budgetState;
+}
+
+/**
+ * Get usage totals and the budget for display
+ * @returns {Object} - Meeting and daily totals, budget and budget state
+ */
+function getUsageSummary() {
+  ensureCurrentTotals();
+  return {
+    meeting: { ...meetingUsage },
+    daily: { ...dailyUsage },
+    budget: { ...budget },
+    state: budgetState
+  };
+}
+
+/**
+ * Register a listener called with the usage summary after every change
+ * @param {Function} listener - Listener
+ */
+function onUsageChange(listener) {
+  changeListeners.push(listener);
+}
+
+// Keep the daily totals of several meeting tabs and budget edits in sync
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[BUDGET_STORAGE_KEY]) {
+      setBudget(changes[BUDGET_STORAGE_KEY].newValue);
+    }
+
+    if (areaName !== 'local') return;
+
+    ensureCurrentTotals();
+    const prefix = getDailyUsagePrefix(ownDailyUsage.date);
+    const shares = Object.entries(changes)
+      .filter(([key]) => key.startsWith(prefix) && !key.endsWith(`:${INSTANCE_ID}`));
+    if (shares.length === 0) return;
+
+    for (const [key, change] of shares) {
+      if (change.newValue) {
+        otherDailyUsage[key] = change.newValue;
+      } else {
+        delete otherDailyUsage[key];
+      }
+    }
+    sumDailyUsage();
+    updateBudgetState();
+    notifyChange();
+  });
+}
+
+export {
+  BUDGET_STORAGE_KEY,
+  BUDGET_ACTIONS,
+  BUDGET_REACHED_TEXT,
+  estimateCost,
+  normalizeBudget,
+  recordUsage,
+  loadUsage,
+  getBudgetState,
+  getUsageSummary,
+  onUsageChange
+};
@@ -131,7 +131,7 @@ function levenshteinDistance(a, b) {
 /**
  * Debounce function to limit function call frequency
  * @param {Function} func - The function to debounce
- * @param {number} wait - The time to wait in milliseconds
+ * @param {number|Function} wait - The time to wait in milliseconds, or a function returning it
  * @returns {Function} - The debounced function
  */
 function debounce(func, wait) {
@@ -139,27 +139,36 @@ function debounce(func, wait) {
   return function(...args) {
     const context = this;
     clearTimeout(timeout);
-    timeout = setTimeout(() => func.apply(context, args), wait);
+    timeout = setTimeout(() => func.apply(context, args), typeof wait === 'function' ? wait() : wait);
   };
 }
 
 /**
  * Throttle function to limit function call frequency
  * @param {Function} func - The function to throttle
- * @param {number} limit - The time limit in milliseconds
+ * @param {number|Function} limit - The time limit in milliseconds, or a function returning it
  * @returns {Function} - The throttled function
  */
 function throttle(func, limit) {
   let lastCall = 0;
   return function(...args) {
     const now = Date.now();
-    if (now - lastCall >= limit) {
+    if (now - lastCall >= (typeof limit === 'function' ? limit() : limit)) {
       lastCall = now;
       return func.apply(this, args);
     }
   };
 }
 
+/**
+ * Check if an active utterance still waits for its first translation
+ * @param {string} translatedText - Current translated text or placeholder
+ * @returns {boolean} - True if nothing was translated yet
+ */
+function isPendingTranslation(translatedText) {
+  return !translatedText || translatedText === "Translating..." || translatedText === "...";
+}
+
 // Export all debugLogs for access from other modules
 function getDebugLogs() {
   return [...debugLogs]; // Return a copy to prevent external modification
@@ -178,6 +187,7 @@ export {
   isContinuationOfSpeech,
   getDebugLogs,
   clearDebugLogs,
+  isPendingTranslation,
   debounce,  // Новая функция
   throttle   // Новая функция
 };
\ No newline at end of file
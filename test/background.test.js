@@ -0,0 +1,108 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { startMockOpenAIServer } = require('./helpers/mock-openai-server');
+const { sleep, waitFor } = require('./helpers/wait');
+
+describe('background', () => {
+  let server;
+  let client;
+  let chromeMock;
+  let onInstalled;
+
+  const settings = () => ({ provider: 'openai-compatible', endpoint: server.baseUrl });
+
+  beforeAll(async () => {
+    server = await startMockOpenAIServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    chromeMock = installChromeMock();
+    chromeMock.runtime.onInstalled.addListener = (listener) => {
+      onInstalled = listener;
+    };
+
+    jest.isolateModules(() => {
+      require('../src/background.js');
+      client = require('../src/provider-client.js');
+    });
+  });
+
+  test('adds the stored API key to provider requests', async () => {
+    chrome.storage.local.set({ 'providerApiKey:openai-compatible': 'sk-local' });
+
+    const result = await client.callProvider('translate', { text: 'Hallo', inputLang: 'de', outputLang: 'en' }, settings());
+
+    expect(result).toBe('[en] Hallo');
+    expect(server.chatRequests()[0].headers.authorization).toBe('Bearer sk-local');
+  });
+
+  test('only sends a provider its own API key', async () => {
+    chrome.storage.local.set({ 'providerApiKey:openai': 'sk-openai' });
+
+    await client.callProvider('translate', { text: 'Hallo', inputLang: 'de', outputLang: 'en' }, settings());
+
+    expect(server.chatRequests()[0].headers.authorization).toBeUndefined();
+  });
+
+  test('ignores an API key sent by a content script', async () => {
+    await client.callProvider('checkConnection', {}, { ...settings(), apiKey: 'sk-from-page' });
+
+    expect(server.requests[0].headers.authorization).toBeUndefined();
+  });
+
+  test('relays provider errors with their message', async () => {
+    server.failNext(1, 500);
+
+    await expect(
+      client.callProvider('translate', { text: 'Hallo', inputLang: 'de', outputLang: 'en' }, settings())
+    ).rejects.toThrow('API response error: 500');
+  });
+
+  test('streams chunks and aborts the request when the caller cancels', async () => {
+    server.setLatency(200);
+    const controller = new AbortController();
+    const chunks = [];
+
+    const pending = client.callProvider(
+      'translateStream',
+      { text: 'one two three four five six', inputLang: 'auto', outputLang: 'en' },
+      settings(),
+      { signal: controller.signal, onChunk: text => chunks.push(text) }
+    );
+
+    await waitFor(() => chunks.length > 0);
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('aborted');
+    const received = chunks.length;
+    await sleep(300);
+    expect(chunks.length).toBe(received);
+  });
+
+  test('moves a synced API key to local storage on install', async () => {
+    chrome.storage.sync.set({ providerSettings: { provider: 'openai', apiKey: 'sk-old', model: 'gpt-4o-mini' } });
+
+    onInstalled();
+
+    await sleep(50);
+    const local = await new Promise(resolve => chrome.storage.local.get(null, resolve));
+    const sync = await new Promise(resolve => chrome.storage.sync.get(['providerSettings'], resolve));
+    expect(local).toEqual({ 'providerApiKey:openai': 'sk-old' });
+    expect(sync.providerSettings).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+  });
+
+  test('moves the API key shared by all providers to the key of the saved provider', async () => {
+    chrome.storage.sync.set({ providerSettings: { provider: 'deepl' } });
+    chrome.storage.local.set({ providerApiKey: 'key:fx' });
+
+    onInstalled();
+
+    await sleep(50);
+    const local = await new Promise(resolve => chrome.storage.local.get(null, resolve));
+    expect(local).toEqual({ 'providerApiKey:deepl': 'key:fx' });
+  });
+});
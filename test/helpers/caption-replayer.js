@@ -0,0 +1,104 @@
+// Replays recorded Teams caption DOM mutations into a jsdom document
+
+/**
+ * Build the caption container Teams renders during a meeting
+ * @param {Document} document - Target document
+ * @returns {HTMLElement} - Element the caption rows are added to
+ */
+function createCaptionContainer(document) {
+  const wrapper = document.createElement('div');
+  wrapper.setAttribute('data-tid', 'closed-caption-renderer-wrapper');
+
+  const renderer = document.createElement('div');
+  renderer.setAttribute('data-tid', 'closed-captions-renderer');
+  wrapper.appendChild(renderer);
+
+  document.body.appendChild(wrapper);
+  return renderer;
+}
+
+/**
+ * Build one caption row with avatar, speaker name and text
+ * @param {Document} document - Target document
+ * @param {Object} event - addRow event
+ * @returns {HTMLElement} - Row element
+ */
+function createCaptionRow(document, event) {
+  const row = document.createElement('div');
+  row.setAttribute('data-tid', 'closed-caption-activity');
+  row.dataset.rowId = event.rowId;
+
+  const avatar = document.createElement('div');
+  avatar.setAttribute('data-tid', 'closed-caption-activity-avatar');
+  if (event.avatar) {
+    const img = document.createElement('img');
+    img.src = event.avatar;
+    avatar.appendChild(img);
+  }
+  row.appendChild(avatar);
+
+  const name = document.createElement('span');
+  name.setAttribute('data-tid', 'closed-caption-activity-name');
+  name.textContent = event.speaker;
+  row.appendChild(name);
+
+  const text = document.createElement('span');
+  text.setAttribute('dir', 'auto');
+  text.setAttribute('data-tid', 'closed-caption-text');
+  text.textContent = event.text;
+  row.appendChild(text);
+
+  return row;
+}
+
+/**
+ * Create a replayer for a caption recording
+ * @param {Document} document - Target document
+ * @param {Object} recording - Recording with an events array
+ * @returns {Object} - Replayer controls
+ */
+function createCaptionReplayer(document, recording) {
+  const container = createCaptionContainer(document);
+  let position = 0;
+
+  const apply = (event) => {
+    if (event.type === 'addRow') {
+      container.appendChild(createCaptionRow(document, event));
+    } else if (event.type === 'updateRow') {
+      const row = container.querySelector(`[data-row-id="${event.rowId}"]`);
+      row.querySelector('[data-tid="closed-caption-text"]').textContent = event.text;
+    } else if (event.type === 'removeRow') {
+      container.querySelector(`[data-row-id="${event.rowId}"]`)?.remove();
+    }
+  };
+
+  return {
+    container,
+
+    // Apply the next event, returns false when the recording is over
+    step() {
+      if (position >= recording.events.length) return false;
+      apply(recording.events[position++]);
+      return true;
+    },
+
+    // Apply events in real time; onEvent runs after each one, like a MutationObserver callback
+    async replay(onEvent, { until = Infinity, speed = 1 } = {}) {
+      let lastAt = position > 0 ? recording.events[position - 1].at : 0;
+      while (position < recording.events.length && recording.events[position].at <= until) {
+        const event = recording.events[position];
+        await new Promise(resolve => setTimeout(resolve, (event.at - lastAt) / speed));
+        lastAt = event.at;
+        apply(event);
+        position++;
+        await onEvent(event);
+      }
+    },
+
+    remove() {
+      container.parentElement.remove();
+    }
+  };
+}
+
+module.exports = { createCaptionReplayer };
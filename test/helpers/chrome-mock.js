@@ -0,0 +1,150 @@
+// Minimal in-memory stand-in for the chrome.* extension APIs
+
+/**
+ * Create a storage area with the callback API of chrome.storage
+ * @param {string} areaName - "sync" or "local"
+ * @param {Function} notify - Called with (changes, areaName) on writes
+ * @returns {Object} - Storage area
+ */
+function createStorageArea(areaName, notify) {
+  let items = {};
+
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return { ...items };
+    const list = Array.isArray(keys) ? keys : [keys];
+    return Object.fromEntries(list.filter(key => key in items).map(key => [key, items[key]]));
+  };
+
+  return {
+    get(keys, callback) {
+      const result = pick(keys);
+      setTimeout(() => callback(JSON.parse(JSON.stringify(result))), 0);
+    },
+    set(values, callback) {
+      const changes = {};
+      for (const [key, value] of Object.entries(values)) {
+        changes[key] = { oldValue: items[key], newValue: value };
+        items[key] = JSON.parse(JSON.stringify(value));
+      }
+      notify(changes, areaName);
+      if (callback) setTimeout(callback, 0);
+    },
+    remove(keys, callback) {
+      const changes = {};
+      for (const key of Array.isArray(keys) ? keys : [keys]) {
+        changes[key] = { oldValue: items[key] };
+        delete items[key];
+      }
+      notify(changes, areaName);
+      if (callback) setTimeout(callback, 0);
+    },
+    clear() {
+      items = {};
+    }
+  };
+}
+
+/**
+ * Create a connected pair of runtime ports
+ * @param {string} name - Port name
+ * @returns {Object[]} - The two ends of the connection
+ */
+function createPortPair(name) {
+  const createEnd = () => {
+    const end = { name, connected: true, messageListeners: [], disconnectListeners: [] };
+    end.onMessage = { addListener: (listener) => end.messageListeners.push(listener) };
+    end.onDisconnect = { addListener: (listener) => end.disconnectListeners.push(listener) };
+    return end;
+  };
+
+  const a = createEnd();
+  const b = createEnd();
+
+  for (const [self, other] of [[a, b], [b, a]]) {
+    self.postMessage = (message) => {
+      if (!self.connected) {
+        throw new Error('Attempting to use a disconnected port object');
+      }
+      const copy = JSON.parse(JSON.stringify(message));
+      setTimeout(() => {
+        if (other.connected) other.messageListeners.forEach(listener => listener(copy, other));
+      }, 0);
+    };
+
+    // Like Chrome, only the other end is told about the disconnect
+    self.disconnect = () => {
+      if (!self.connected) return;
+      self.connected = false;
+      other.connected = false;
+      setTimeout(() => other.disconnectListeners.forEach(listener => listener(other)), 0);
+    };
+  }
+
+  return [a, b];
+}
+
+/**
+ * Install a fresh chrome mock on the global object
+ * @returns {Object} - The chrome mock
+ */
+function installChromeMock() {
+  const changeListeners = [];
+  const messageListeners = [];
+  const connectListeners = [];
+  const notify = (changes, areaName) => changeListeners.forEach(listener => listener(changes, areaName));
+
+  const chromeMock = {
+    storage: {
+      sync: createStorageArea('sync', notify),
+      local: createStorageArea('local', notify),
+      onChanged: {
+        addListener: (listener) => changeListeners.push(listener)
+      }
+    },
+    runtime: {
+      lastError: null,
+      onMessage: {
+        addListener: (listener) => messageListeners.push(listener)
+      },
+      onConnect: {
+        addListener: (listener) => connectListeners.push(listener)
+      },
+      onInstalled: {
+        addListener: () => {}
+      },
+      // Connect a content script to the background service worker listeners
+      connect({ name } = {}) {
+        const [contentEnd, backgroundEnd] = createPortPair(name);
+        connectListeners.forEach(listener => listener(backgroundEnd));
+        return contentEnd;
+      },
+      // Deliver a message from a content script to the background service worker listeners
+      sendMessage(message, callback = () => {}) {
+        const copy = JSON.parse(JSON.stringify(message));
+        let responded = false;
+        const sendResponse = (response) => {
+          if (responded) return;
+          responded = true;
+          const result = response === undefined ? undefined : JSON.parse(JSON.stringify(response));
+          setTimeout(() => callback(result), 0);
+        };
+
+        setTimeout(() => {
+          const keepOpen = messageListeners.map(listener => listener(copy, {}, sendResponse)).includes(true);
+          if (!keepOpen) sendResponse(undefined);
+        }, 0);
+      },
+      // Deliver a message to the content script listeners
+      dispatchMessage(message) {
+        return new Promise((resolve) => {
+          messageListeners.forEach(listener => listener(message, {}, resolve));
+        });
+      }
+    }
+  };
+
+  global.chrome = chromeMock;
+  return chromeMock;
+}
+
+module.exports = { installChromeMock };
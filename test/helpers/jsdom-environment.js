@@ -0,0 +1,25 @@
+// jsdom test environment with Node's fetch, so tests can talk to the mock server
+const { TestEnvironment } = require('jest-environment-jsdom');
+const { TextDecoder, TextEncoder } = require('util');
+
+class JsdomWithFetchEnvironment extends TestEnvironment {
+  constructor(config, context) {
+    super(config, context);
+
+    // Node's fetch only accepts its own AbortSignal, so the controller comes along
+    this.global.fetch = fetch;
+    this.global.Request = Request;
+    this.global.Response = Response;
+    this.global.Headers = Headers;
+    this.global.AbortController = AbortController;
+    this.global.AbortSignal = AbortSignal;
+    this.global.ReadableStream = ReadableStream;
+    this.global.TextDecoder = TextDecoder;
+    this.global.TextEncoder = TextEncoder;
+
+    // fake-indexeddb clones stored values with it
+    this.global.structuredClone = structuredClone;
+  }
+}
+
+module.exports = JsdomWithFetchEnvironment;
@@ -0,0 +1,166 @@
+// Local stand-in for the OpenAI chat completions and models endpoints
+const http = require('http');
+
+/**
+ * Default fake translation: tags the text with the target language
+ * @param {string} text - Source text
+ * @param {string} outputLang - Target language parsed from the system prompt
+ * @returns {string} - Fake translation
+ */
+function defaultTranslator(text, outputLang) {
+  return `[${outputLang}] ${text}`;
+}
+
+/**
+ * Start a mock OpenAI-compatible server on a random local port
+ * @returns {Promise<Object>} - Server controls
+ */
+function startMockOpenAIServer() {
+  const state = {
+    latency: 0,
+    failures: [],          // Queue of { status, body } returned before normal responses
+    healthStatus: 200,
+    translator: defaultTranslator,
+    requests: []
+  };
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const handleChatCompletion = (req, res, body) => {
+    const systemPrompt = body.messages.find(message => message.role === 'system')?.content || '';
+    const text = body.messages[body.messages.length - 1].content;
+
+    // Multi-language prompts ask for a JSON object keyed by language
+    const multiMatch = systemPrompt.match(/into each of these languages: ([\w, -]+)\./);
+    let content;
+    if (multiMatch) {
+      const langs = multiMatch[1].split(',').map(lang => lang.trim());
+      content = JSON.stringify(Object.fromEntries(langs.map(lang => [lang, state.translator(text, lang)])));
+    } else {
+      const langMatch = systemPrompt.match(/ to ([\w-]+) concisely/);
+      content = state.translator(text, langMatch ? langMatch[1] : 'unknown');
+    }
+
+    const usage = {
+      prompt_tokens: Math.ceil((systemPrompt.length + text.length) / 4),
+      completion_tokens: Math.ceil(content.length / 4),
+      total_tokens: Math.ceil((systemPrompt.length + text.length + content.length) / 4)
+    };
+
+    if (body.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const words = content.split(/(?<= )/);
+      let index = 0;
+      const sendNext = () => {
+        if (res.destroyed) return;
+        if (index < words.length) {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: words[index++] } }] })}\n\n`);
+          setTimeout(sendNext, state.latency / Math.max(words.length, 1));
+        } else {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: {} }], usage })}\n\n`);
+          res.end('data: [DONE]\n\n');
+        }
+      };
+      sendNext();
+      return;
+    }
+
+    sendJson(res, 200, {
+      id: `chatcmpl-${state.requests.length}`,
+      object: 'chat.completion',
+      model: body.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      state.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      setTimeout(() => {
+        if (req.url.endsWith('/models') && req.method === 'GET') {
+          if (state.healthStatus !== 200) {
+            sendJson(res, state.healthStatus, { error: { message: 'Health check failed' } });
+          } else {
+            sendJson(res, 200, { object: 'list', data: [{ id: 'mock-model', object: 'model' }] });
+          }
+          return;
+        }
+
+        if (req.url.endsWith('/chat/completions') && req.method === 'POST') {
+          const failure = state.failures.shift();
+          if (failure) {
+            sendJson(res, failure.status, { error: { message: failure.message } }, failure.headers);
+            return;
+          }
+          handleChatCompletion(req, res, body);
+          return;
+        }
+
+        sendJson(res, 404, { error: { message: 'Not found' } });
+      }, state.latency);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}/v1`,
+        get requests() {
+          return state.requests;
+        },
+        chatRequests() {
+          return state.requests.filter(request => request.url.endsWith('/chat/completions'));
+        },
+        setLatency(ms) {
+          state.latency = ms;
+        },
+        setTranslator(translator) {
+          state.translator = translator;
+        },
+        setHealthStatus(status) {
+          state.healthStatus = status;
+        },
+        // Fail the next chat completion requests with an HTTP error
+        failNext(count = 1, status = 500) {
+          for (let i = 0; i < count; i++) {
+            state.failures.push({ status, message: `Mock error ${status}` });
+          }
+        },
+        // Answer the next chat completion requests with 429 Too Many Requests
+        rateLimitNext(count = 1, retryAfterSeconds = 1) {
+          for (let i = 0; i < count; i++) {
+            state.failures.push({
+              status: 429,
+              message: 'Rate limit reached',
+              headers: { 'Retry-After': String(retryAfterSeconds) }
+            });
+          }
+        },
+        reset() {
+          state.latency = 0;
+          state.failures = [];
+          state.healthStatus = 200;
+          state.translator = defaultTranslator;
+          state.requests = [];
+        },
+        close() {
+          return new Promise(done => {
+            server.closeAllConnections?.();
+            server.close(done);
+          });
+        }
+      });
+    });
+  });
+}
+
+module.exports = { startMockOpenAIServer };
@@ -0,0 +1,42 @@
+// Async helpers for tests running on real timers
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll until a condition holds
+ * @param {Function} condition - Returns a truthy value when done
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @returns {Promise<*>} - The truthy value
+ */
+async function waitFor(condition, timeout = 3000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const result = condition();
+    if (result) return result;
+    await sleep(20);
+  }
+  throw new Error(`Condition not met within ${timeout}ms`);
+}
+
+/**
+ * Wait until the latest utterance of a speaker is finalized
+ * @param {Object} processor - Subtitle processor module
+ * @param {string} speakerId - Speaker ID like speaker_alice_smith
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @returns {Promise<Object>} - The finalized utterance
+ */
+function waitForFinalized(processor, speakerId, timeout) {
+  return waitFor(() => {
+    const latest = processor.getTranslatedUtterances()[speakerId];
+    return latest && !latest.active ? latest : null;
+  }, timeout);
+}
+
+module.exports = { sleep, waitFor, waitForFinalized };
@@ -0,0 +1,62 @@
+describe('language-detector', () => {
+  let detector;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      detector = require('../src/language-detector.js');
+    });
+  });
+
+  test('identifies languages by script and by frequent words', () => {
+    const samples = {
+      en: "Good morning everyone. Let's start the stand-up.",
+      de: 'Guten Morgen zusammen, wir fangen jetzt mit dem Standup an.',
+      fr: 'Bonjour à tous, nous allons commencer la réunion.',
+      it: 'Buongiorno a tutti, iniziamo la riunione di oggi.',
+      pt: 'Bom dia a todos, vamos começar a reunião agora.',
+      ru: 'Доброе утро всем, начинаем встречу.',
+      uk: 'Доброго ранку всім, починаємо нашу зустріч.',
+      ja: '皆さん、おはようございます。会議を始めましょう。',
+      zh: '大家早上好，我们开始开会吧。',
+      ko: '여러분 안녕하세요, 회의를 시작하겠습니다.',
+      ar: 'صباح الخير جميعا، لنبدأ الاجتماع'
+    };
+
+    for (const [lang, text] of Object.entries(samples)) {
+      expect([lang, detector.detectLanguage(text)?.language]).toEqual([lang, lang]);
+    }
+  });
+
+  test('is only confident where the script or the words decide the language', () => {
+    expect(detector.detectLanguage("Good morning everyone. Let's start the stand-up.").confident).toBe(true);
+    expect(detector.detectLanguage('여러분 안녕하세요, 회의를 시작하겠습니다.').confident).toBe(true);
+    expect(detector.detectLanguage('Давайте посмотрим на результаты.').confident).toBe(true);
+    expect(detector.detectLanguage('Доброго ранку всім, починаємо нашу зустріч.')).toEqual({ language: 'uk', confident: true });
+
+    // Cyrillic without Russian letters may be Bulgarian, Arabic script may be Persian or Urdu,
+    // Han characters alone don't tell Chinese variants apart
+    expect(detector.detectLanguage('Добро утро на всички, да започваме.').confident).toBe(false);
+    expect(detector.detectLanguage('صباح الخير جميعا، لنبدأ الاجتماع').confident).toBe(false);
+    expect(detector.detectLanguage('大家早上好，我们开始开会吧。').confident).toBe(false);
+    expect(detector.detectLanguage('Здраво свима, хајде да почнемо састанак.')).toBeNull();
+  });
+
+  test('only labels lines mixing scripts', () => {
+    const detection = detector.detectLanguage("Давайте обсудим the quarterly roadmap and the budget");
+    expect(detection).toEqual({ language: 'ru', confident: false });
+
+    expect(detector.detectLanguage('The roadmap for Q3 is ready, коллеги, спасибо').confident).toBe(false);
+  });
+
+  test('leaves short and mixed texts undetermined', () => {
+    expect(detector.detectLanguage('OK, thanks')).toBeNull();
+    expect(detector.detectLanguage('The Q3 roadmap und Budget')).toBeNull();
+    expect(detector.detectLanguage('')).toBeNull();
+  });
+
+  test('compares detected languages with language settings', () => {
+    expect(detector.isSameLanguage('pt', 'pt-BR')).toBe(true);
+    expect(detector.isSameLanguage('en', 'de')).toBe(false);
+    expect(detector.isSameLanguage(null, 'en')).toBe(false);
+  });
+});
@@ -0,0 +1,35 @@
+const { isMeetingPage } = require('../src/meeting-page.js');
+
+describe('meeting-page', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('is false for Teams chat and calendar pages', () => {
+    window.history.replaceState(null, '', '/v2/#/conversations');
+    document.body.innerHTML = '<div data-tid="chat-pane"></div>';
+
+    expect(isMeetingPage()).toBe(false);
+  });
+
+  test('recognizes meeting join links', () => {
+    window.history.replaceState(null, '', '/l/meetup-join/19%3ameeting_abc%40thread.v2/0');
+
+    expect(isMeetingPage()).toBe(true);
+  });
+
+  test('recognizes Teams free meeting links but not other /meet/ paths', () => {
+    window.history.replaceState(null, '', '/meet/9312345678901?p=abc');
+    expect(isMeetingPage()).toBe(true);
+
+    window.history.replaceState(null, '', '/v2/files/meet/notes');
+    expect(isMeetingPage()).toBe(false);
+  });
+
+  test('recognizes an open call by its controls', () => {
+    document.body.innerHTML = '<button data-tid="hangup-main-btn">Leave</button>';
+
+    expect(isMeetingPage()).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { startMockOpenAIServer } = require('./helpers/mock-openai-server');
+
+describe('meeting-summary', () => {
+  let server;
+  let service;
+  let summary;
+  let store;
+  let tracker;
+  let exporter;
+  let Config;
+
+  const utterances = [
+    { id: '1000', speaker: 'Alice Smith', speakerId: 'speaker_alice_smith', original: "Let's ship the release on Friday.", translated: '[de] Release am Freitag.', timestamp: '10:00:00' },
+    { id: '2000', speaker: 'Bob Jones', speakerId: 'speaker_bob_jones', original: 'Agreed. I will review the open pull requests.', translated: '[de] Einverstanden.', timestamp: '10:00:05' },
+    { id: '3000', speaker: 'Alice Smith', speakerId: 'speaker_alice_smith', original: 'Great, then we are done.', translated: '[de] Super.', timestamp: '10:00:10' }
+  ];
+
+  // Answers every summary request with a fixed JSON result
+  const summarizer = (text) => JSON.stringify({
+    summary: `Summary of ${text.split('\n').length} line(s)`,
+    decisions: ['Ship the release on Friday'],
+    actionItems: [{ owner: 'Bob Jones', task: 'Review the open pull requests' }, { task: '' }]
+  });
+
+  const systemPrompt = (request) => request.body.messages[0].content;
+
+  beforeAll(async () => {
+    server = await startMockOpenAIServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    server.setTranslator(summarizer);
+    installChromeMock();
+
+    jest.isolateModules(() => {
+      Config = require('../src/config.js').default;
+      service = require('../src/translation-service.js');
+      summary = require('../src/meeting-summary.js');
+      store = require('../src/transcript-store.js');
+      tracker = require('../src/usage-tracker.js');
+      exporter = require('../src/transcript-export.js');
+      require('../src/background.js');
+    });
+
+    service.setProviderSettings({ provider: 'openai-compatible', endpoint: server.baseUrl, stream: false });
+  });
+
+  test('asks for a summary in the output language with speakers as action item owners', async () => {
+    const result = await summary.summarizeMeeting(utterances, 'de');
+
+    expect(result).toMatchObject({
+      summary: 'Summary of 3 line(s)',
+      decisions: ['Ship the release on Friday'],
+      actionItems: [{ owner: 'Bob Jones', task: 'Review the open pull requests' }],
+      outputLang: 'de',
+      utteranceCount: 3
+    });
+
+    const [request] = server.chatRequests();
+    expect(systemPrompt(request)).toContain('language with code de');
+    expect(systemPrompt(request)).toContain('Alice Smith, Bob Jones');
+    expect(request.body.messages[1].content).toContain("Alice Smith: Let's ship the release on Friday.");
+    expect(tracker.getUsageSummary().meeting.requests).toBe(1);
+  });
+
+  test('summarizes long transcripts in chunks and merges the results', async () => {
+    Config.SUMMARY_CHUNK_SIZE = 60;
+
+    expect(summary.chunkTranscript(summary.formatTranscriptLines(utterances))).toHaveLength(3);
+
+    await summary.summarizeMeeting(utterances, 'de');
+
+    const requests = server.chatRequests();
+    expect(requests).toHaveLength(4);
+    expect(systemPrompt(requests[3])).toContain('Combine them into one summary');
+    expect(JSON.parse(requests[3].body.messages[1].content)).toHaveLength(3);
+  });
+
+  test('saves the summary with the transcript and includes it in exports', async () => {
+    const session = store.startMeetingSession('en', 'de');
+    utterances.forEach(utterance => store.saveUtterance(utterance));
+
+    const result = await summary.summarizeMeeting(utterances, 'de');
+    await store.saveMeetingSummary(session.id, result);
+
+    const record = await store.loadMeeting(session.id);
+    expect(record.utterances).toHaveLength(3);
+    expect(record.summary.summary).toBe('Summary of 3 line(s)');
+
+    const markdown = exporter.buildTranscriptExport('md', record.utterances, record.meta, record.summary).content;
+    expect(markdown).toContain('## Decisions\n\n- Ship the release on Friday');
+    expect(markdown).toContain('- [ ] **Bob Jones**: Review the open pull requests');
+    expect(markdown).toContain('### Alice Smith');
+
+    const json = JSON.parse(exporter.buildTranscriptExport('json', record.utterances, record.meta, record.summary).content);
+    expect(json.summary.actionItems).toHaveLength(1);
+  });
+
+  test('summarizes chunks one at a time and stops at the budget', async () => {
+    Config.SUMMARY_CHUNK_SIZE = 60;
+    chrome.storage.sync.set({ usageBudget: { meetingLimit: 1 } });
+
+    // Spends the budget with the first chunk
+    server.setTranslator((text) => {
+      tracker.recordUsage({ promptTokens: 0, completionTokens: 1e6 }, { provider: 'openai', model: 'gpt-4o' });
+      return summarizer(text);
+    });
+
+    await expect(summary.summarizeMeeting(utterances, 'de')).rejects.toThrow('budget is reached');
+    expect(server.chatRequests()).toHaveLength(1);
+  });
+
+  test('reports a response without a JSON object', async () => {
+    server.setTranslator(() => "Sorry, I can't summarize this meeting.");
+
+    await expect(summary.summarizeMeeting(utterances, 'de')).rejects.toThrow('No JSON object in API response');
+  });
+
+  test('fails for providers without a chat model', async () => {
+    service.setProviderSettings({ provider: 'deepl' });
+
+    await expect(summary.summarizeMeeting(utterances, 'de')).rejects.toThrow('DeepL does not support summarize');
+  });
+});
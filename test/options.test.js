@@ -0,0 +1,111 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { startMockOpenAIServer } = require('./helpers/mock-openai-server');
+const { sleep, waitFor } = require('./helpers/wait');
+
+describe('options page', () => {
+  let server;
+  let options;
+
+  const read = (area, keys) => new Promise(resolve => chrome.storage[area].get(keys, resolve));
+
+  beforeAll(async () => {
+    server = await startMockOpenAIServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    installChromeMock();
+    document.body.innerHTML = '';
+
+    jest.isolateModules(() => {
+      require('../src/background.js');
+      options = require('../src/options.js');
+    });
+  });
+
+  const fillForm = () => {
+    document.getElementById('provider-select').value = 'openai-compatible';
+    document.getElementById('api-key').value = ' sk-test ';
+    document.getElementById('provider-endpoint').value = server.baseUrl;
+    document.getElementById('provider-model').value = 'llama3';
+    document.getElementById('tuning-SPEECH_SEGMENT_TIMEOUT').value = '99999';
+  };
+
+  test('saves credentials, provider and clamped tuning, then checks the connection', async () => {
+    fillForm();
+
+    await options.saveOptions();
+
+    const local = await read('local', ['providerApiKey:openai-compatible']);
+    const sync = await read('sync', ['providerSettings', 'tuningSettings']);
+    expect(local['providerApiKey:openai-compatible']).toBe('sk-test');
+    expect(sync.providerSettings).toMatchObject({ provider: 'openai-compatible', endpoint: server.baseUrl, model: 'llama3' });
+    expect(sync.tuningSettings).toEqual({ SPEECH_SEGMENT_TIMEOUT: 10000 });
+    expect(document.getElementById('tuning-SPEECH_SEGMENT_TIMEOUT').value).toBe('10000');
+
+    expect(server.requests[0].headers.authorization).toBe('Bearer sk-test');
+    expect(document.getElementById('options-status').className).toBe('success');
+  });
+
+  test('shows the API key of the selected provider', async () => {
+    chrome.storage.local.set({ 'providerApiKey:deepl': 'key:fx' });
+    const select = document.getElementById('provider-select');
+    await sleep(20); // Saved options are loaded
+
+    select.value = 'deepl';
+    select.dispatchEvent(new Event('change'));
+    await waitFor(() => document.getElementById('api-key').value === 'key:fx');
+
+    select.value = 'libretranslate';
+    select.dispatchEvent(new Event('change'));
+    await waitFor(() => document.getElementById('api-key').value === '');
+  });
+
+  test('reports a rejected key', async () => {
+    fillForm();
+    server.setHealthStatus(401);
+
+    await options.saveOptions();
+
+    expect(document.getElementById('options-status').className).toBe('error');
+  });
+
+  test('validates, saves and clears the selector profile override', async () => {
+    const textarea = document.getElementById('profile-override');
+    const status = document.getElementById('options-status');
+
+    textarea.value = '{ "extends": "teams-2030" }';
+    await options.saveProfileOverride();
+    expect(status.className).toBe('error');
+    expect(status.textContent).toMatch('Unknown base profile');
+
+    textarea.value = '{ "captionText": ';
+    await options.saveProfileOverride();
+    expect(status.className).toBe('error');
+    expect((await read('sync', ['selectorProfileOverride'])).selectorProfileOverride).toBeUndefined();
+
+    textarea.value = '{ "extends": "teams-classic", "captionText": ".my-captions .line" }';
+    await options.saveProfileOverride();
+    expect(status.className).toBe('success');
+    expect((await read('sync', ['selectorProfileOverride'])).selectorProfileOverride)
+      .toEqual({ extends: 'teams-classic', captionText: '.my-captions .line' });
+
+    await options.clearProfileOverride();
+    expect(textarea.value).toBe('');
+    expect((await read('sync', ['selectorProfileOverride'])).selectorProfileOverride).toBeUndefined();
+  });
+
+  test('shows the saved selector profile override', async () => {
+    chrome.storage.sync.set({ selectorProfileOverride: { extends: 'teams-v2' } });
+
+    document.body.innerHTML = '';
+    options.initOptionsPage();
+    await waitFor(() => document.getElementById('profile-override').value);
+
+    expect(JSON.parse(document.getElementById('profile-override').value)).toEqual({ extends: 'teams-v2' });
+  });
+});
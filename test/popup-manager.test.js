@@ -0,0 +1,80 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { waitFor } = require('./helpers/wait');
+
+describe('popup-manager', () => {
+  let popup;
+  let frame;
+
+  const utterance = (id, speakerId, speaker, text) => ({
+    id: String(id),
+    speaker,
+    speakerId,
+    original: text,
+    translated: `[de] ${text}`,
+    timestamp: ''
+  });
+
+  // Finalized utterances arrive one per speaker and update
+  const show = (...utterances) => utterances.forEach(item => popup.updateTranslationsDisplay({ [item.speakerId]: item }, {}));
+
+  const blocks = () => Array.from(frame.contentDocument.querySelectorAll('#subtitles-container .speaker-block'))
+    .map(block => `${block.dataset.speakerId}: ${Array.from(block.querySelectorAll('.utterance-original')).map(el => el.textContent).join(' / ')}`);
+
+  beforeEach(async () => {
+    installChromeMock();
+
+    // An iframe stands in for the translations window
+    frame = document.createElement('iframe');
+    document.body.appendChild(frame);
+    window.open = jest.fn(() => frame.contentWindow);
+
+    jest.isolateModules(() => {
+      popup = require('../src/popup-manager.js');
+    });
+
+    popup.openTranslationsWindow(popup.updateTranslationsDisplay);
+    await waitFor(() => frame.contentDocument.getElementById('subtitles-container'));
+  });
+
+  afterEach(() => {
+    popup.stopPopupCheck();
+    popup.clearAccumulatedTranslations();
+    frame.remove();
+  });
+
+  test('interleaves speakers in time order in the timeline and collapses consecutive lines', () => {
+    show(
+      utterance(1000, 'speaker_alice', 'Alice', 'Hi Bob.'),
+      utterance(2000, 'speaker_alice', 'Alice', 'How are you?'),
+      utterance(3000, 'speaker_bob', 'Bob', 'Fine, thanks.'),
+      utterance(4000, 'speaker_alice', 'Alice', 'Great.')
+    );
+
+    expect(blocks()).toEqual([
+      'speaker_alice: Hi Bob. / How are you? / Great.',
+      'speaker_bob: Fine, thanks.'
+    ]);
+
+    popup.setTranscriptLayout('timeline');
+    expect(frame.contentDocument.getElementById('subtitles-container').className).toBe('view-translated layout-timeline');
+    expect(blocks()).toEqual([
+      'speaker_alice: Hi Bob. / How are you?',
+      'speaker_bob: Fine, thanks.',
+      'speaker_alice: Great.'
+    ]);
+
+    // A later utterance extends the last run
+    show(utterance(5000, 'speaker_alice', 'Alice', 'See you.'));
+    expect(blocks()).toEqual([
+      'speaker_alice: Hi Bob. / How are you?',
+      'speaker_bob: Fine, thanks.',
+      'speaker_alice: Great. / See you.'
+    ]);
+
+    popup.setTranscriptLayout('grouped');
+    expect(blocks()).toEqual([
+      'speaker_alice: Hi Bob. / How are you? / Great. / See you.',
+      'speaker_bob: Fine, thanks.'
+    ]);
+  });
+});
@@ -0,0 +1,180 @@
+const { sleep } = require('./helpers/wait');
+
+describe('request-scheduler', () => {
+  let scheduler;
+  let Config;
+
+  // A task that resolves with its name once released
+  const createTask = (name, log) => {
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    const task = () => {
+      log.push(name);
+      return done.then(() => name);
+    };
+    return { task, release };
+  };
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      Config = require('../src/config.js').default;
+      scheduler = require('../src/request-scheduler.js');
+    });
+    Config.MAX_CONCURRENT_REQUESTS = 2;
+    Config.REQUESTS_PER_MINUTE = 6000;
+    Config.REQUEST_BURST = 10;
+    Config.TRANSLATION_THROTTLE = 0;
+  });
+
+  afterEach(() => {
+    scheduler.clearScheduledRequests();
+  });
+
+  test('runs no more requests at once than the concurrency limit', async () => {
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(name => createTask(name, started));
+    const results = tasks.map(({ task }) => scheduler.scheduleRequest(task));
+
+    await sleep(10);
+    expect(started).toEqual(['a', 'b']);
+    expect(scheduler.getSchedulerStats()).toMatchObject({ queued: 1, running: 2 });
+
+    tasks[0].release();
+    await sleep(10);
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    tasks.forEach(({ release }) => release());
+    expect(await Promise.all(results)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('keeps throttle times only for interim requests within the window', async () => {
+    Config.TRANSLATION_THROTTLE = 20;
+
+    await Promise.all(['alice', 'bob'].map(key => scheduler.scheduleRequest(async () => key, { priority: 'final', key })));
+    expect(scheduler.getSchedulerStats().throttledKeys).toBe(0);
+
+    await scheduler.scheduleRequest(async () => 'alice', { priority: 'interim', key: 'alice' });
+    expect(scheduler.getSchedulerStats().throttledKeys).toBe(1);
+
+    // The next start drops keys whose window has passed
+    await sleep(30);
+    await scheduler.scheduleRequest(async () => 'carol', { priority: 'final', key: 'carol' });
+    expect(scheduler.getSchedulerStats().throttledKeys).toBe(0);
+  });
+
+  test('starts finalization requests before queued interim ones', async () => {
+    Config.MAX_CONCURRENT_REQUESTS = 1;
+    const started = [];
+    const blocker = createTask('blocker', started);
+    const interim = createTask('interim', started);
+    const final = createTask('final', started);
+
+    scheduler.scheduleRequest(blocker.task);
+    scheduler.scheduleRequest(interim.task, { priority: 'interim', key: 'alice' });
+    scheduler.scheduleRequest(final.task, { priority: 'final', key: 'bob' });
+
+    blocker.release();
+    final.release();
+    await sleep(10);
+
+    expect(started).toEqual(['blocker', 'final', 'interim']);
+    interim.release();
+  });
+
+  test('keeps a slot free for live translation while background requests run', async () => {
+    const started = [];
+    const first = createTask('background 1', started);
+    const second = createTask('background 2', started);
+    const interim = createTask('interim', started);
+
+    scheduler.scheduleRequest(first.task, { priority: 'background' });
+    scheduler.scheduleRequest(second.task, { priority: 'background' });
+    await sleep(10);
+    expect(started).toEqual(['background 1']);
+
+    scheduler.scheduleRequest(interim.task, { priority: 'interim', key: 'alice' });
+    await sleep(10);
+    expect(started).toEqual(['background 1', 'interim']);
+
+    first.release();
+    interim.release();
+    await sleep(10);
+    expect(started).toEqual(['background 1', 'interim', 'background 2']);
+    second.release();
+  });
+
+  test('replaces a queued interim request by a newer one for the same key', async () => {
+    Config.MAX_CONCURRENT_REQUESTS = 1;
+    const started = [];
+    const blocker = createTask('blocker', started);
+    scheduler.scheduleRequest(blocker.task);
+
+    const outdated = scheduler.scheduleRequest(createTask('outdated', started).task, { key: 'alice' });
+    const latest = createTask('latest', started);
+    const result = scheduler.scheduleRequest(latest.task, { key: 'alice' });
+
+    await expect(outdated).rejects.toMatchObject({ name: 'AbortError' });
+    expect(scheduler.isRequestQueued('alice')).toBe(true);
+
+    blocker.release();
+    latest.release();
+    expect(await result).toBe('latest');
+    expect(started).toEqual(['blocker', 'latest']);
+  });
+
+  test('spaces out interim requests of one key', async () => {
+    Config.TRANSLATION_THROTTLE = 200;
+    const startTimes = [];
+    const task = () => {
+      startTimes.push(Date.now());
+      return Promise.resolve();
+    };
+
+    await scheduler.scheduleRequest(task, { key: 'alice' });
+    await scheduler.scheduleRequest(task, { key: 'alice' });
+
+    expect(startTimes[1] - startTimes[0]).toBeGreaterThanOrEqual(190);
+  });
+
+  test('limits the request rate with a token bucket', async () => {
+    Config.REQUEST_BURST = 2;
+    Config.REQUESTS_PER_MINUTE = 600; // One token every 100ms
+    const startTimes = [];
+    const task = () => {
+      startTimes.push(Date.now());
+      return Promise.resolve();
+    };
+
+    const first = Date.now();
+    await Promise.all([1, 2, 3].map(() => scheduler.scheduleRequest(task)));
+
+    expect(startTimes[1] - first).toBeLessThan(50);
+    expect(startTimes[2] - first).toBeGreaterThanOrEqual(90);
+  });
+
+  test('holds back all requests while paused', async () => {
+    scheduler.pauseRequests(150);
+    const first = Date.now();
+
+    await scheduler.scheduleRequest(() => Promise.resolve());
+
+    expect(Date.now() - first).toBeGreaterThanOrEqual(140);
+  });
+
+  test('waits for Retry-After, otherwise backs off exponentially with jitter', () => {
+    Config.RETRY_DELAY = 100;
+    Config.MAX_RETRY_DELAY = 1000;
+
+    expect(scheduler.getRetryDelay(1, { retryAfter: 700 })).toBe(700);
+    expect(scheduler.getRetryDelay(1, { retryAfter: 5000 })).toBe(1000);
+
+    for (let i = 0; i < 20; i++) {
+      const first = scheduler.getRetryDelay(1, new Error());
+      const third = scheduler.getRetryDelay(3, new Error());
+      expect(first).toBeGreaterThanOrEqual(50);
+      expect(first).toBeLessThanOrEqual(100);
+      expect(third).toBeGreaterThanOrEqual(200);
+      expect(third).toBeLessThanOrEqual(400);
+    }
+  });
+});
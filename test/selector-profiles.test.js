@@ -0,0 +1,65 @@
+const recording = require('./fixtures/teams-captions-recording.json');
+const { createCaptionReplayer } = require('./helpers/caption-replayer');
+const { waitFor } = require('./helpers/wait');
+
+describe('selector-profiles', () => {
+  let profiles;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    chrome.storage.sync.clear();
+
+    jest.isolateModules(() => {
+      profiles = require('../src/selector-profiles.js');
+    });
+  });
+
+  test('detects classic Teams from the recorded caption DOM', () => {
+    const replayer = createCaptionReplayer(document, recording);
+    replayer.step();
+
+    expect(profiles.detectSelectorProfile().id).toBe('teams-classic');
+    expect(profiles.findCaptionTextElements().map(element => element.textContent)).toEqual(['Good morning']);
+    expect(profiles.getActiveProfileInfo()).toEqual({ id: 'teams-classic', label: 'Classic Teams', source: 'detected' });
+  });
+
+  test('detects teams.live.com captions', () => {
+    document.body.innerHTML = `
+      <div class="ts-captions-container">
+        <div class="ts-captions-item">
+          <span class="ts-captions-speaker">Carol</span>
+          <span class="ts-captions-text">Hi there</span>
+        </div>
+      </div>`;
+
+    expect(profiles.detectSelectorProfile().id).toBe('teams-live-personal');
+    expect(profiles.findCaptionRow(document.querySelector('.ts-captions-text')).className).toBe('ts-captions-item');
+  });
+
+  test('falls back to generic selectors when no profile matches', () => {
+    expect(profiles.getActiveProfileInfo()).toEqual({ id: 'generic', label: 'Generic (fallback)', source: 'fallback' });
+  });
+
+  test('applies an override imported from settings', async () => {
+    document.body.innerHTML = '<div class="my-captions"><p class="line">Hello</p></div>';
+
+    chrome.storage.sync.set({
+      selectorProfileOverride: { extends: 'teams-classic', label: 'Patched', captionText: '.my-captions .line' }
+    });
+    await profiles.loadProfileOverride();
+
+    expect(profiles.getActiveProfileInfo()).toEqual({ id: 'override', label: 'Patched', source: 'override' });
+    expect(profiles.findCaptionTextElements()).toHaveLength(1);
+    expect(profiles.getActiveProfile().speakerName).toEqual(profiles.SELECTOR_PROFILES['teams-classic'].speakerName);
+
+    // Clearing the override goes back to auto-detection
+    chrome.storage.sync.remove('selectorProfileOverride');
+    await waitFor(() => profiles.getActiveProfileInfo().source !== 'override');
+  });
+
+  test('rejects overrides with invalid selectors', () => {
+    expect(() => profiles.normalizeProfileOverride({ captionText: ['div[['] })).toThrow('Invalid selector in "captionText"');
+    expect(() => profiles.normalizeProfileOverride({ extends: 'teams-2030' })).toThrow('Unknown base profile');
+    expect(() => profiles.normalizeProfileOverride([])).toThrow('must be a JSON object');
+  });
+});
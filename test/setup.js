@@ -0,0 +1,27 @@
+// Runs before each test file, after the test framework is installed
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { IDBFactory } = require('fake-indexeddb');
+
+require('fake-indexeddb/auto');
+
+installChromeMock();
+
+// jsdom doesn't implement innerText, which the caption scraping relies on
+if (!('innerText' in HTMLElement.prototype)) {
+  Object.defineProperty(HTMLElement.prototype, 'innerText', {
+    get() {
+      return this.textContent;
+    },
+    set(value) {
+      this.textContent = value;
+    }
+  });
+}
+
+// debugLog echoes to the console outside production builds
+console.log = () => {};
+
+// Every test starts with empty IndexedDB databases
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+});
@@ -0,0 +1,75 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { sleep } = require('./helpers/wait');
+
+describe('speaker-registry', () => {
+  let registry;
+  let store;
+
+  beforeEach(() => {
+    installChromeMock();
+    jest.isolateModules(() => {
+      registry = require('../src/speaker-registry.js');
+      store = require('../src/transcript-store.js');
+    });
+    store.startMeetingSession('auto', 'en');
+  });
+
+  afterEach(async () => {
+    // Let the transcript updates of merges finish before the next test
+    await sleep(50);
+  });
+
+  test('follows merges and moves the merged speaker\'s settings to the kept one', () => {
+    registry.renameSpeaker('speaker_unknown', 'Someone');
+    registry.setSpeakerColor('speaker_unknown', '#ff0000');
+
+    expect(registry.mergeSpeakers('speaker_unknown', 'speaker_alice')).toBe(true);
+    expect(registry.mergeSpeakers('speaker_alice', 'speaker_bob')).toBe(true);
+    expect(registry.resolveSpeakerId('speaker_unknown')).toBe('speaker_bob');
+    expect(registry.getSpeakerColor('speaker_unknown')).toBeNull();
+
+    // Merging back can't create a loop
+    expect(registry.mergeSpeakers('speaker_bob', 'speaker_unknown')).toBe(false);
+    expect(registry.resolveSpeakerId('speaker_bob')).toBe('speaker_bob');
+  });
+
+  test('moves the saved utterances of a merged speaker', async () => {
+    const utterance = (id, speakerId, speaker) => ({ id, speakerId, speaker, original: 'Hello', translated: '[en] Hello' });
+    const session = store.getCurrentSession();
+    store.saveUtterance(utterance('1000', 'speaker_alice', 'Alice Smith'));
+    store.saveUtterance(utterance('2000', 'speaker_unknown', 'Unknown'));
+    await store.flushMeetingSession();
+    store.saveUtterance(utterance('3000', 'speaker_unknown', 'Unknown'));
+
+    registry.mergeSpeakers('speaker_unknown', 'speaker_alice');
+    await sleep(50);
+
+    const record = await store.loadMeeting(session.id);
+    expect(record.utterances.map(saved => [saved.speakerId, saved.speaker])).toEqual([
+      ['speaker_alice', 'Alice Smith'],
+      ['speaker_alice', 'Alice Smith'],
+      ['speaker_alice', 'Alice Smith']
+    ]);
+  });
+
+  test('saves the mappings per meeting and loads them again', async () => {
+    registry.renameSpeaker('speaker_unknown', '  Alice Smith ');
+    registry.setSpeakerMuted('speaker_bob', true);
+    registry.mergeSpeakers('speaker_a_smith', 'speaker_unknown');
+
+    jest.isolateModules(() => {
+      registry = require('../src/speaker-registry.js');
+      store = require('../src/transcript-store.js');
+    });
+    store.startMeetingSession('auto', 'en');
+    await registry.loadSpeakerMappings();
+
+    expect(registry.getSpeakerName('speaker_unknown', 'Unknown')).toBe('Alice Smith');
+    expect(registry.isSpeakerMuted('speaker_bob')).toBe(true);
+    expect(registry.resolveSpeakerId('speaker_a_smith')).toBe('speaker_unknown');
+
+    // An empty name goes back to the detected one
+    registry.renameSpeaker('speaker_unknown', '');
+    expect(registry.getSpeakerName('speaker_unknown', 'Unknown')).toBe('Unknown');
+  });
+});
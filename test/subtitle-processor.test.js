@@ -0,0 +1,230 @@
+const recording = require('./fixtures/teams-captions-recording.json');
+const { createCaptionReplayer } = require('./helpers/caption-replayer');
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { startMockOpenAIServer } = require('./helpers/mock-openai-server');
+const { sleep, waitFor, waitForFinalized } = require('./helpers/wait');
+
+describe('subtitle-processor', () => {
+  let server;
+  let processor;
+  let service;
+  let Config;
+  let replayer;
+  let registry;
+  let scheduler;
+
+  beforeAll(async () => {
+    server = await startMockOpenAIServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    installChromeMock();
+
+    jest.isolateModules(() => {
+      Config = require('../src/config.js').default;
+      service = require('../src/translation-service.js');
+      processor = require('../src/subtitle-processor.js');
+      registry = require('../src/speaker-registry.js');
+      scheduler = require('../src/request-scheduler.js');
+      require('../src/background.js');
+    });
+
+    // Shorter pauses keep the replay fast
+    Config.SPEECH_SEGMENT_TIMEOUT = 400;
+    Config.RETRY_DELAY = 10;
+
+    service.setProviderSettings({ provider: 'openai-compatible', endpoint: server.baseUrl, stream: false });
+    replayer = createCaptionReplayer(document, recording);
+  });
+
+  afterEach(async () => {
+    processor.clearSubtitleData();
+    service.clearTranslationTimers();
+    replayer.remove();
+    // Let the clearing flag reset before the next test
+    await sleep(550);
+  });
+
+  test('detects the speaker and avatar of a caption row', () => {
+    replayer.step();
+
+    expect(processor.detectSpeaker()).toEqual({
+      name: 'Alice Smith',
+      avatar: 'https://teams.microsoft.com/avatars/alice.png'
+    });
+  });
+
+  test('pairs each caption with the speaker of its own row', async () => {
+    await replayer.replay(() => {}, { until: 1400 });
+    const [aliceCaption, bobCaption] = document.querySelectorAll('[data-tid="closed-caption-text"]');
+
+    expect(processor.detectSpeakerForCaption(aliceCaption).name).toBe('Alice Smith');
+    expect(processor.detectSpeakerForCaption(bobCaption)).toEqual({
+      name: 'Bob Jones',
+      avatar: 'https://teams.microsoft.com/avatars/bob.png'
+    });
+  });
+
+  test('accumulates a growing caption into one active utterance', async () => {
+    await replayer.replay(() => processor.processSubtitles(true, 'auto', 'de'), { until: 240 });
+
+    const speaker = processor.getActiveSpeakers().speaker_alice_smith;
+    expect(speaker.active).toBe(true);
+    expect(speaker.fullText).toBe("Good morning everyone. Let's start the stand-up.");
+  });
+
+  test('applies renamed, merged and muted speakers to new captions', async () => {
+    registry.renameSpeaker('speaker_alice_smith', 'Alice');
+    registry.setSpeakerMuted('speaker_bob_jones', true);
+    await replayer.replay(() => processor.processSubtitles(true, 'auto', 'de'), { until: 1400 });
+
+    expect(Object.keys(processor.getActiveSpeakers())).toEqual(['speaker_alice_smith']);
+    expect(processor.getActiveSpeakers().speaker_alice_smith.speaker).toBe('Alice');
+
+    // Captions detected for Bob are attributed to Alice once merged
+    registry.setSpeakerMuted('speaker_bob_jones', false);
+    registry.mergeSpeakers('speaker_bob_jones', 'speaker_alice_smith');
+    expect(registry.resolveSpeakerId('speaker_bob_jones')).toBe('speaker_alice_smith');
+  });
+
+  test('finalizes an utterance after the speaker pauses', async () => {
+    await replayer.replay(() => processor.processSubtitles(true, 'auto', 'de'), { until: 240 });
+
+    const utterance = await waitForFinalized(processor, 'speaker_alice_smith');
+
+    expect(utterance.speaker).toBe('Alice Smith');
+    expect(utterance.original).toBe("Good morning everyone. Let's start the stand-up.");
+    expect(utterance.translated).toMatch(/^\[de\] Good morning/);
+    expect(processor.getActiveSpeakers().speaker_alice_smith.fullText).toBe('');
+  });
+
+  test('keeps captions that arrive while the utterance is being finalized', async () => {
+    await replayer.replay(() => processor.processSubtitles(true, 'auto', 'de'), { until: 240 });
+    // Hold the sentence translations until the speaker has paused and spoken again
+    scheduler.pauseRequests(Config.SPEECH_SEGMENT_TIMEOUT + 300);
+    await sleep(Config.SPEECH_SEGMENT_TIMEOUT + 100);
+
+    const fullText = "Good morning everyone. Let's start the stand-up. Any blockers?";
+    document.querySelector('[data-tid="closed-caption-text"]').textContent = fullText;
+    processor.processSubtitles(true, 'auto', 'de');
+
+    const utterance = await waitForFinalized(processor, 'speaker_alice_smith');
+
+    expect(utterance.original).toBe(fullText);
+    expect(utterance.translated).toBe("[de] Good morning everyone. [de] Let's start the stand-up. [de] Any blockers?");
+    expect(processor.getActiveSpeakers().speaker_alice_smith.fullText).toBe('');
+  });
+
+  test('passes captions already in the output language through untranslated', async () => {
+    await replayer.replay(() => processor.processSubtitles(true, 'auto', 'en'), { until: 240 });
+
+    const utterance = await waitForFinalized(processor, 'speaker_alice_smith');
+
+    expect(utterance.language).toBe('en');
+    expect(utterance.translated).toBe("Good morning everyone. Let's start the stand-up.");
+    // Only partial captions too short to identify were sent while speaking
+    const texts = server.chatRequests().map(request => request.body.messages[request.body.messages.length - 1].content);
+    expect(texts).not.toContain("Let's start the stand-up.");
+    expect(texts).not.toContain("Good morning everyone. Let's start the stand-up.");
+  });
+
+  test('translates Ukrainian captions into Russian instead of passing them through', async () => {
+    replayer.step();
+    document.querySelector('[data-tid="closed-caption-text"]').textContent = 'Доброго ранку всім, починаємо нашу зустріч.';
+    processor.processSubtitles(true, 'auto', 'ru');
+
+    const utterance = await waitForFinalized(processor, 'speaker_alice_smith');
+
+    expect(utterance.language).toBe('uk');
+    expect(utterance.translated).toBe('[ru] Доброго ранку всім, починаємо нашу зустріч.');
+  });
+
+  test('trusts an explicit input language without detecting it', async () => {
+    await replayer.replay(() => processor.processSubtitles(true, 'de', 'en'), { until: 240 });
+
+    const utterance = await waitForFinalized(processor, 'speaker_alice_smith');
+
+    expect(utterance.language).toBeNull();
+    expect(utterance.translated).toBe("[en] Good morning everyone. [en] Let's start the stand-up.");
+  });
+
+  test('splits captions into stable sentences and an unstable tail', () => {
+    expect(processor.segmentSentences('Version 3.5 is out! Does it work? I think')).toEqual({
+      sentences: ['Version 3.5 is out!', 'Does it work?'],
+      rest: 'I think'
+    });
+    expect(processor.segmentSentences('おはようございます。今日は')).toEqual({
+      sentences: ['おはようございます。'],
+      rest: '今日は'
+    });
+    expect(processor.segmentSentences('"Done." Next')).toEqual({ sentences: ['"Done."'], rest: 'Next' });
+  });
+
+  test('translates stable sentences once and only retranslates the unstable tail', async () => {
+    await replayer.replay(() => processor.processSubtitles(true, 'auto', 'de'), { until: 240 });
+
+    const utterance = await waitForFinalized(processor, 'speaker_alice_smith');
+    expect(utterance.translated).toBe("[de] Good morning everyone. [de] Let's start the stand-up.");
+
+    // The whole growing caption is never sent again
+    const texts = server.chatRequests().map(request => request.body.messages[request.body.messages.length - 1].content);
+    expect(texts).toEqual(['Good morning', 'Good morning everyone.', "Let's start the stand-up."]);
+  });
+
+  test('translates an utterance only once it is finished with the finalize-only strategy', async () => {
+    Config.TRANSLATION_STRATEGY = 'finalize-only';
+
+    await replayer.replay(() => processor.processSubtitles(true, 'auto', 'de'), { until: 240 });
+    await sleep(100);
+    expect(server.chatRequests()).toHaveLength(0);
+    expect(processor.getActiveSpeakers().speaker_alice_smith.translatedText).toBe('Translating...');
+
+    const utterance = await waitForFinalized(processor, 'speaker_alice_smith');
+    expect(utterance.translated).toBe("[de] Good morning everyone. Let's start the stand-up.");
+    expect(server.chatRequests()).toHaveLength(1);
+  });
+
+  test('translates each finished sentence once with the sentence-boundary strategy', async () => {
+    Config.TRANSLATION_STRATEGY = 'sentence-boundary';
+
+    await replayer.replay(() => processor.processSubtitles(true, 'auto', 'de'), { until: 240 });
+    await waitFor(() => processor.getActiveSpeakers().speaker_alice_smith.translatedText.includes('[de] Let'));
+    expect(processor.getActiveSpeakers().speaker_alice_smith.translatedText)
+      .toBe("[de] Good morning everyone. [de] Let's start the stand-up.");
+
+    const utterance = await waitForFinalized(processor, 'speaker_alice_smith');
+    expect(utterance.translated).toBe("[de] Good morning everyone. [de] Let's start the stand-up.");
+
+    // Finalization reuses the sentence translations
+    const texts = server.chatRequests().map(request => request.body.messages[request.body.messages.length - 1].content);
+    expect(texts).toEqual(["Good morning everyone.", "Let's start the stand-up."]);
+  });
+
+  test('tracks speakers talking back-to-back separately', async () => {
+    await replayer.replay(() => processor.processSubtitles(true, 'auto', 'de'));
+
+    const speakers = processor.getActiveSpeakers();
+    expect(speakers.speaker_alice_smith.fullText).toBe('Great, thanks.');
+    expect(speakers.speaker_bob_jones.fullText).toBe("Thanks Alice. Yesterday I fixed the login bug. Today I'm on reviews.");
+    expect(speakers.speaker_bob_jones.avatar).toBe('https://teams.microsoft.com/avatars/bob.png');
+
+    const bob = await waitForFinalized(processor, 'speaker_bob_jones');
+    expect(bob.original).toBe("Thanks Alice. Yesterday I fixed the login bug. Today I'm on reviews.");
+  });
+
+  test('debounces bursts of caption mutations', async () => {
+    replayer.step();
+    processor.debounceProcessSubtitles(true, 'auto', 'en');
+    processor.debounceProcessSubtitles(true, 'auto', 'en');
+
+    expect(processor.getActiveSpeakers().speaker_alice_smith).toBeUndefined();
+
+    await sleep(Config.DEBOUNCE_DELAY + 50);
+    expect(processor.getActiveSpeakers().speaker_alice_smith.fullText).toBe('Good morning');
+  });
+});
@@ -0,0 +1,43 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+
+describe('teams-origins', () => {
+  let origins;
+
+  beforeEach(() => {
+    installChromeMock();
+    jest.isolateModules(() => {
+      origins = require('../src/teams-origins.js');
+    });
+  });
+
+  test('covers the consumer, cloud and government Teams sites', async () => {
+    const list = await origins.getTeamsOrigins();
+
+    for (const url of [
+      'https://teams.microsoft.com/v2/',
+      'https://teams.live.com/meet/9312345678901',
+      'https://teams.cloud.microsoft/',
+      'https://gov.teams.microsoft.us/',
+      'https://dod.teams.microsoft.us/'
+    ]) {
+      expect(origins.isTeamsUrl(url, list)).toBe(true);
+    }
+    expect(origins.isTeamsUrl('https://example.com/meet/123', list)).toBe(false);
+    expect(origins.isTeamsUrl('chrome://extensions', list)).toBe(false);
+    expect(origins.isTeamsUrl(undefined, list)).toBe(false);
+  });
+
+  test('adds the origins saved in the popup', async () => {
+    chrome.storage.sync.set({ customTeamsOrigins: ['https://teams.contoso.us'] });
+
+    const list = await origins.getTeamsOrigins();
+
+    expect(origins.isTeamsUrl('https://teams.contoso.us/meeting', list)).toBe(true);
+    expect(origins.getMatchPatterns(['https://teams.contoso.us'])).toEqual(['https://teams.contoso.us/*']);
+  });
+
+  test('turns entered sites into https origins', () => {
+    expect(origins.normalizeOrigin('teams.contoso.us/path')).toBe('https://teams.contoso.us');
+    expect(() => origins.normalizeOrigin('http://teams.contoso.us')).toThrow('https');
+  });
+});
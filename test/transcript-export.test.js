@@ -0,0 +1,21 @@
+describe('transcript-export', () => {
+  let exporter;
+
+  const meta = { title: 'Stand-up', startTime: 1000000, inputLang: 'en', outputLang: 'de' };
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      exporter = require('../src/transcript-export.js');
+    });
+  });
+
+  test('escapes speaker names and text in WebVTT cues', () => {
+    const utterances = [
+      { id: '1001000', speaker: 'A <B>', original: 'Use <b> & <i>', translated: '[de] Use <b> & <i>', endTime: 1002500 }
+    ];
+
+    const { content } = exporter.buildTranscriptExport('vtt', utterances, meta);
+
+    expect(content).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:02.500\n<v A &lt;B>[de] Use &lt;b&gt; &amp; &lt;i&gt;\n');
+  });
+});
@@ -0,0 +1,92 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+
+describe('transcript-search', () => {
+  let search;
+  let container;
+
+  // Utterance ids are the local time the line started
+  const at = (hours, minutes) => String(new Date(2026, 0, 1, hours, minutes).getTime());
+
+  const utterance = (id, translated, original) => `
+    <div class="utterance" data-utterance-id="${id}">
+      <div class="utterance-text">${translated}</div>
+      <div class="utterance-original">${original}</div>
+    </div>`;
+
+  beforeEach(() => {
+    installChromeMock();
+    jest.isolateModules(() => {
+      search = require('../src/transcript-search.js');
+    });
+
+    container = document.createElement('div');
+    container.innerHTML = `
+      <div class="speaker-block" data-speaker-id="alice">
+        ${utterance(at(10, 0), 'Guten Morgen', 'Good morning')}
+        ${utterance(at(10, 30), '[Translation unavailable]', 'Budget review')}
+      </div>
+      <div class="speaker-block" data-speaker-id="bob">
+        ${utterance(at(11, 0), 'Das Budget ist knapp, sehr knapp', 'The budget is tight, very tight')}
+      </div>`;
+  });
+
+  const visibleIds = () => Array.from(container.querySelectorAll('.utterance'))
+    .filter(element => !element.hidden)
+    .map(element => element.dataset.utteranceId);
+
+  test('highlights hits in original and translated text and hides other lines', () => {
+    const filters = { ...search.createFilters(), query: 'budget' };
+    const hits = search.applySearch(container, filters, 'translated');
+
+    expect(hits.map(hit => hit.textContent)).toEqual(['Budget', 'Budget', 'budget']);
+    expect(visibleIds()).toEqual([at(10, 30), at(11, 0)]);
+    expect(container.querySelector('.utterance-original').textContent).toBe('Good morning');
+
+    // Searching again replaces the highlights instead of nesting them
+    filters.query = 'knapp';
+    expect(search.applySearch(container, filters, 'translated')).toHaveLength(2);
+    expect(container.querySelectorAll('mark')).toHaveLength(2);
+    expect(container.querySelectorAll('.speaker-block')[0].hidden).toBe(true);
+
+    filters.query = '';
+    expect(search.applySearch(container, filters, 'translated')).toHaveLength(0);
+    expect(visibleIds()).toHaveLength(3);
+    expect(container.innerHTML).not.toContain('<mark');
+  });
+
+  test('the original view only searches the source text', () => {
+    const filters = { ...search.createFilters(), query: 'knapp' };
+
+    expect(search.applySearch(container, filters, 'original')).toHaveLength(0);
+    expect(visibleIds()).toHaveLength(0);
+  });
+
+  test('leaves the language badges of translation lines out of the search', () => {
+    const textEl = container.querySelector('.utterance-text');
+    textEl.innerHTML = '<div class="translation-line"><span class="lang-badge">de</span>Guten Morgen</div>' +
+      '<div class="translation-line"><span class="lang-badge">fr</span>Bonjour</div>';
+
+    const filters = { ...search.createFilters(), query: 'de' };
+    expect(search.applySearch(container, filters, 'translated')).toHaveLength(0);
+    expect(visibleIds()).toEqual([]);
+
+    filters.query = 'bonjour';
+    expect(search.applySearch(container, filters, 'translated').map(hit => hit.textContent)).toEqual(['Bonjour']);
+  });
+
+  test('filters by speaker, time range and failed translations', () => {
+    const filters = search.createFilters();
+    expect(search.isSearchActive(filters)).toBe(false);
+
+    search.applySearch(container, { ...filters, speakerId: 'bob' }, 'translated');
+    expect(visibleIds()).toEqual([at(11, 0)]);
+
+    search.applySearch(container, { ...filters, from: '10:15', to: '10:59' }, 'translated');
+    expect(visibleIds()).toEqual([at(10, 30)]);
+
+    const errorsOnly = { ...filters, errorsOnly: true };
+    expect(search.isSearchActive(errorsOnly)).toBe(true);
+    search.applySearch(container, errorsOnly, 'translated');
+    expect(visibleIds()).toEqual([at(10, 30)]);
+  });
+});
@@ -0,0 +1,38 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+
+describe('transcript-store', () => {
+  let store;
+
+  const utterance = (id, original) => ({ id, speaker: 'Alice Smith', speakerId: 'speaker_alice_smith', original, translated: `[de] ${original}` });
+
+  // Deletes a meeting the way the popup's history view does
+  const deleteFromHistory = (sessionId) => new Promise((resolve) => {
+    chrome.storage.local.remove(`meeting:${sessionId}`, () => {
+      chrome.storage.local.set({ meetingHistoryIndex: [] }, resolve);
+    });
+  });
+
+  beforeEach(() => {
+    installChromeMock();
+    jest.isolateModules(() => {
+      store = require('../src/transcript-store.js');
+    });
+  });
+
+  test('ends the running session when its transcript is deleted', async () => {
+    const session = store.startMeetingSession('en', 'de');
+    store.saveUtterance(utterance('1000', 'Good morning'));
+    await store.flushMeetingSession();
+
+    await deleteFromHistory(session.id);
+    expect(store.getCurrentSession()).toBeNull();
+
+    // Later utterances don't bring the deleted transcript back
+    store.saveUtterance(utterance('2000', 'Any blockers?'));
+    await store.flushMeetingSession();
+    expect(await store.loadMeeting(session.id)).toBeNull();
+
+    // Starting again records a new transcript
+    expect(store.startMeetingSession('en', 'de')).not.toBe(session);
+  });
+});
@@ -0,0 +1,167 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { startMockOpenAIServer } = require('./helpers/mock-openai-server');
+const { sleep, waitFor } = require('./helpers/wait');
+
+describe('translation cache', () => {
+  let server;
+  let service;
+  let Config;
+
+  // Only finalization results are persisted
+  const final = { priority: 'final' };
+
+  const settings = (extra = {}) => ({ provider: 'openai-compatible', endpoint: server.baseUrl, stream: false, ...extra });
+
+  // Load the content script side again, as after a page reload
+  const reloadContentScript = () => {
+    jest.isolateModules(() => {
+      service = require('../src/translation-service.js');
+    });
+    service.setProviderSettings(settings());
+  };
+
+  beforeAll(async () => {
+    server = await startMockOpenAIServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    installChromeMock();
+
+    jest.isolateModules(() => {
+      Config = require('../src/config.js').default;
+      service = require('../src/translation-service.js');
+      require('../src/background.js');
+    });
+    Config.RETRY_DELAY = 10;
+
+    service.setProviderSettings(settings());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    service.clearTranslationTimers();
+  });
+
+  test('serves translations from the persistent cache after a reload', async () => {
+    await service.translateText('speaker_a', 'Any blockers today?', 'auto', 'de', final);
+    await waitFor(() => service.getCacheStats().persistentEntries === 1);
+
+    reloadContentScript();
+    const result = await service.translateText('speaker_a', 'Any blockers today?', 'auto', 'de', final);
+
+    expect(result).toBe('[de] Any blockers today?');
+    expect(server.chatRequests()).toHaveLength(1);
+    expect(service.getCacheStats()).toMatchObject({ persistentHits: 1, misses: 0, memoryEntries: 1 });
+  });
+
+  test('keeps interim results in memory only', async () => {
+    await service.translateText('speaker_a', 'Any blockers', 'auto', 'de');
+    expect(await service.translateText('speaker_b', 'Any blockers', 'auto', 'de')).toBe('[de] Any blockers');
+    await sleep(50);
+    expect(service.getCacheStats()).toMatchObject({ memoryHits: 1, persistentEntries: null });
+
+    reloadContentScript();
+    await service.translateText('speaker_a', 'Any blockers', 'auto', 'de');
+    expect(server.chatRequests()).toHaveLength(2);
+  });
+
+  test('shares entries between texts that only differ in spacing, but not in case', async () => {
+    await service.translateText('speaker_a', 'Any blockers in the US?', 'auto', 'de', final);
+    const result = await service.translateText('speaker_b', '  Any   blockers in the US? ', 'auto', 'de', final);
+
+    expect(result).toBe('[de] Any blockers in the US?');
+    expect(server.chatRequests()).toHaveLength(1);
+    expect(service.getCacheStats()).toMatchObject({ memoryHits: 1, misses: 1, hitRate: 0.5 });
+
+    expect(await service.translateText('speaker_b', 'Any blockers in the us?', 'auto', 'de', final)).toBe('[de] Any blockers in the us?');
+    expect(server.chatRequests()).toHaveLength(2);
+  });
+
+  test('only looks up final translations in the persistent cache', async () => {
+    const sendMessage = jest.spyOn(chrome.runtime, 'sendMessage');
+
+    await service.translateText('speaker_a', 'Any blockers', 'auto', 'de');
+    expect(sendMessage).not.toHaveBeenCalled();
+
+    // A second call during the lookup doesn't send the same text again
+    const first = service.translateText('speaker_a', 'Any blockers today?', 'auto', 'de', final);
+    await service.translateText('speaker_a', 'Any blockers today?', 'auto', 'de', final);
+    expect(await first).toBe('[de] Any blockers today?');
+    expect(server.chatRequests()).toHaveLength(2);
+  });
+
+  test('keeps translations of different models apart', async () => {
+    await service.translateText('speaker_a', 'Any blockers today?', 'auto', 'de', final);
+    await waitFor(() => service.getCacheStats().persistentEntries === 1);
+
+    service.setProviderSettings(settings({ model: 'other-model' }));
+    await service.translateText('speaker_b', 'Any blockers today?', 'auto', 'de', final);
+
+    expect(server.chatRequests()).toHaveLength(2);
+  });
+
+  test('drops persisted translations containing a changed glossary term', async () => {
+    await service.translateText('speaker_a', 'The sprint review', 'auto', 'de', final);
+    await service.translateText('speaker_b', 'Any blockers today?', 'auto', 'de', final);
+    await waitFor(() => service.getCacheStats().persistentEntries === 2);
+
+    chrome.storage.sync.set({ glossary: { terms: [{ source: 'Sprint', target: 'Sprint', targetLang: 'de' }] } });
+    await sleep(50);
+
+    reloadContentScript();
+    await service.translateText('speaker_a', 'The sprint review', 'auto', 'de', final);
+    await service.translateText('speaker_b', 'Any blockers today?', 'auto', 'de', final);
+
+    expect(server.chatRequests()).toHaveLength(3);
+    expect(service.getCacheStats()).toMatchObject({ persistentHits: 1, misses: 1 });
+  });
+
+  describe('persistent store', () => {
+    let cache;
+
+    beforeEach(() => {
+      jest.isolateModules(() => {
+        Config = require('../src/config.js').default;
+        cache = require('../src/persistent-cache.js');
+      });
+    });
+
+    test('expires entries after the TTL', async () => {
+      Config.PERSISTENT_CACHE_TTL = 1000;
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await cache.putCachedTranslations({ a: 'A' });
+
+      Date.now.mockReturnValue(now + 1500);
+      expect(await cache.getCachedTranslations(['a'])).toEqual({});
+      expect(await cache.countCachedTranslations()).toBe(0);
+    });
+
+    test('keeps count of the stored entries between prunes', async () => {
+      expect(await cache.putCachedTranslations({ a: 'A', b: 'B' })).toBe(2);
+      expect(await cache.putCachedTranslations({ b: 'B2' })).toBe(2);
+      expect(await cache.putCachedTranslations({ c: 'C' })).toBe(3);
+      expect(await cache.countCachedTranslations()).toBe(3);
+    });
+
+    test('evicts the least recently used entries above the size limit', async () => {
+      Config.PERSISTENT_CACHE_MAX_ENTRIES = 2;
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await cache.putCachedTranslations({ a: 'A', b: 'B' });
+
+      Date.now.mockReturnValue(now + 10);
+      await cache.getCachedTranslations(['a']);
+
+      Date.now.mockReturnValue(now + 20);
+      await cache.putCachedTranslations({ c: 'C' });
+
+      expect(await cache.getCachedTranslations(['a', 'b', 'c'])).toEqual({ a: 'A', c: 'C' });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { startMockOpenAIServer } = require('./helpers/mock-openai-server');
+const { sleep, waitFor } = require('./helpers/wait');
+
+describe('translation-service', () => {
+  let server;
+  let service;
+  let Config;
+
+  beforeAll(async () => {
+    server = await startMockOpenAIServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    installChromeMock();
+
+    // Fresh module state (cache, throttling, context) and a background worker for every test
+    jest.isolateModules(() => {
+      Config = require('../src/config.js').default;
+      service = require('../src/translation-service.js');
+      require('../src/background.js');
+    });
+    Config.RETRY_DELAY = 10;
+
+    service.setProviderSettings({ provider: 'openai-compatible', endpoint: server.baseUrl, stream: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    service.clearTranslationTimers();
+    delete window.getActiveSpeakers;
+  });
+
+  test('translates through the provider and caches the result', async () => {
+    const first = await service.translateText('speaker_a', 'Hello there', 'auto', 'en');
+    const second = await service.translateText('speaker_b', 'Hello there', 'auto', 'en');
+
+    expect(first).toBe('[en] Hello there');
+    expect(second).toBe('[en] Hello there');
+    expect(server.chatRequests()).toHaveLength(1);
+  });
+
+  test('retries a failed request', async () => {
+    server.failNext(1, 500);
+
+    const result = await service.translateText('speaker_a', 'Good morning', 'auto', 'de');
+
+    expect(result).toBe('[de] Good morning');
+    expect(server.chatRequests()).toHaveLength(2);
+  });
+
+  test('retries after a rate limit response', async () => {
+    server.rateLimitNext(1);
+
+    const result = await service.translateText('speaker_a', 'Good morning', 'auto', 'de');
+
+    expect(result).toBe('[de] Good morning');
+    expect(server.chatRequests()).toHaveLength(2);
+  });
+
+  test('waits for the Retry-After delay before retrying', async () => {
+    server.rateLimitNext(1, 1);
+    const started = Date.now();
+
+    await service.translateText('speaker_a', 'Good morning', 'auto', 'de', { priority: 'final' });
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(950);
+    expect(server.chatRequests()).toHaveLength(2);
+  });
+
+  test('falls back to a placeholder once retries are exhausted', async () => {
+    server.failNext(Config.MAX_RETRIES + 1, 503);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await service.translateText('speaker_a', 'Good morning', 'auto', 'de');
+
+    expect(result).toBe('Translating...');
+    expect(server.chatRequests()).toHaveLength(Config.MAX_RETRIES + 1);
+  });
+
+  test('queues a throttled request and sends the latest text', async () => {
+    await service.translateText('speaker_a', 'Hello', 'auto', 'en');
+    service.translateText('speaker_a', 'Hello every', 'auto', 'en');
+    const queued = await service.translateText('speaker_a', 'Hello everyone', 'auto', 'en');
+
+    // The previous translation is shown until the queued one runs
+    expect(queued).toBe('[en] Hello');
+    expect(server.chatRequests()).toHaveLength(1);
+
+    await waitFor(() => server.chatRequests().length === 2);
+    await sleep(50);
+    expect(server.chatRequests()).toHaveLength(2);
+    expect(server.chatRequests()[1].body.messages.at(-1).content).toBe('Hello everyone');
+  });
+
+  test('sends finalized utterances as context', async () => {
+    service.addConversationContext({ speaker: 'Alice', original: 'Hallo zusammen', translated: 'Hello everyone' });
+
+    await service.translateText('speaker_a', 'Wie geht es?', 'de', 'en');
+
+    const systemPrompt = server.chatRequests()[0].body.messages[0].content;
+    expect(systemPrompt).toContain('Alice: Hallo zusammen');
+  });
+
+  test('sends the glossary only to providers that follow it', async () => {
+    const { buildSystemPrompt } = require('../src/translation-providers.js');
+    expect(buildSystemPrompt('de', 'en', [], { doNotTranslate: ['Contoso'] })).toContain('unchanged, do not translate or transliterate them: Contoso');
+
+    expect(service.providerSupportsGlossary()).toBe(true);
+    service.setProviderSettings({ provider: 'deepl' });
+    expect(service.providerSupportsGlossary()).toBe(false);
+  });
+
+  test('translates into several languages with one request', async () => {
+    service.setOutputLanguages(['en', 'fr']);
+    const activeSpeakers = { speaker_a: { active: true, translatedText: '' } };
+    window.getActiveSpeakers = () => activeSpeakers;
+
+    const result = await service.translateText('speaker_a', 'Guten Morgen', 'de', 'en');
+
+    expect(result).toBe('[en] Guten Morgen');
+    expect(activeSpeakers.speaker_a.translations).toEqual({ en: '[en] Guten Morgen', fr: '[fr] Guten Morgen' });
+    expect(server.chatRequests()).toHaveLength(1);
+  });
+
+  test('streams partial translations to the active speaker', async () => {
+    service.setProviderSettings({ provider: 'openai-compatible', endpoint: server.baseUrl, stream: true });
+    server.setLatency(100);
+
+    const updates = [];
+    const activeSpeakers = { speaker_a: { active: true, translatedText: '' } };
+    window.getActiveSpeakers = () => activeSpeakers;
+    window.forceDisplayUpdate = () => updates.push(activeSpeakers.speaker_a.translatedText);
+
+    const result = await service.translateText('speaker_a', 'one two three four', 'auto', 'en');
+
+    expect(result).toBe('[en] one two three four');
+    expect(updates).toContain('[en] one ');
+    expect(server.chatRequests()[0].body.stream).toBe(true);
+    delete window.forceDisplayUpdate;
+  });
+
+  test('cancels a running stream without retrying', async () => {
+    service.setProviderSettings({ provider: 'openai-compatible', endpoint: server.baseUrl, stream: true });
+    server.setLatency(200);
+
+    const pending = service.translateText('speaker_a', 'one two three four', 'auto', 'en');
+    await sleep(100);
+    service.cancelTranslationStream('speaker_a');
+
+    expect(await pending).toBe('Translating...');
+    expect(server.chatRequests()).toHaveLength(1);
+  });
+
+  test('picks up a model change without a reload', async () => {
+    chrome.storage.sync.set({
+      providerSettings: { provider: 'openai-compatible', endpoint: server.baseUrl, model: 'llama3', stream: false }
+    });
+
+    await waitFor(() => service.getActiveProvider().id === 'openai-compatible');
+    await service.translateText('speaker_a', 'Hallo Welt', 'de', 'en');
+
+    expect(server.chatRequests()[0].body.model).toBe('llama3');
+  });
+
+  test('checks the connection with the models endpoint', async () => {
+    expect(await service.checkApiConnection()).toBe(true);
+
+    server.setHealthStatus(401);
+    expect(await service.checkApiConnection()).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { waitFor } = require('./helpers/wait');
+
+describe('tuning-settings', () => {
+  let tuning;
+  let Config;
+
+  beforeEach(() => {
+    installChromeMock();
+    jest.isolateModules(() => {
+      Config = require('../src/config.js').default;
+      tuning = require('../src/tuning-settings.js');
+    });
+  });
+
+  test('clamps values to their allowed range and drops unknown keys', () => {
+    expect(tuning.normalizeTuningSettings({
+      SPEECH_SEGMENT_TIMEOUT: '50',
+      MAX_RETRIES: 2.6,
+      CACHE_SIZE: '',
+      MODEL_NAME: 'gpt-4o',
+      TRANSLATION_STRATEGY: 'hourly'
+    })).toEqual({ SPEECH_SEGMENT_TIMEOUT: 500, MAX_RETRIES: 3 });
+    expect(tuning.normalizeTuningSettings({ TRANSLATION_STRATEGY: 'sentence-boundary' }))
+      .toEqual({ TRANSLATION_STRATEGY: 'sentence-boundary' });
+  });
+
+  test('applies saved values and restores defaults for removed ones', async () => {
+    chrome.storage.sync.set({ tuningSettings: { SPEECH_SEGMENT_TIMEOUT: 2000, TRANSLATION_THROTTLE: 1200 } });
+    await tuning.loadTuningSettings();
+
+    expect(Config.SPEECH_SEGMENT_TIMEOUT).toBe(2000);
+    expect(Config.TRANSLATION_THROTTLE).toBe(1200);
+
+    chrome.storage.sync.set({ tuningSettings: { SPEECH_SEGMENT_TIMEOUT: 2000 } });
+    await waitFor(() => Config.TRANSLATION_THROTTLE === tuning.TUNING_DEFAULTS.TRANSLATION_THROTTLE);
+  });
+
+  test('notifies listeners about live changes', async () => {
+    const changes = [];
+    tuning.onTuningChange(keys => changes.push(keys));
+
+    chrome.storage.sync.set({ tuningSettings: { CACHE_SIZE: 100 } });
+
+    await waitFor(() => changes.length === 1);
+    expect(changes[0]).toEqual(['CACHE_SIZE']);
+    expect(Config.CACHE_SIZE).toBe(100);
+  });
+});
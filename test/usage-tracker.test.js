@@ -0,0 +1,134 @@
+const recording = require('./fixtures/teams-captions-recording.json');
+const { createCaptionReplayer } = require('./helpers/caption-replayer');
+const { installChromeMock } = require('./helpers/chrome-mock');
+const { startMockOpenAIServer } = require('./helpers/mock-openai-server');
+const { sleep, waitForFinalized } = require('./helpers/wait');
+
+describe('usage-tracker', () => {
+  let server;
+  let service;
+  let processor;
+  let tracker;
+  let Config;
+
+  // Pushes the day over any budget - 1M completion tokens of gpt-4o cost $10
+  const spend = () => tracker.recordUsage({ promptTokens: 0, completionTokens: 1e6 }, { provider: 'openai', model: 'gpt-4o' });
+
+  beforeAll(async () => {
+    server = await startMockOpenAIServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    installChromeMock();
+
+    jest.isolateModules(() => {
+      Config = require('../src/config.js').default;
+      tracker = require('../src/usage-tracker.js');
+      service = require('../src/translation-service.js');
+      processor = require('../src/subtitle-processor.js');
+      require('../src/background.js');
+    });
+    Config.RETRY_DELAY = 10;
+
+    service.setProviderSettings({ provider: 'openai-compatible', endpoint: server.baseUrl, stream: false });
+  });
+
+  afterEach(() => {
+    service.clearTranslationTimers();
+  });
+
+  test('estimates the cost of a request by provider and model', () => {
+    const usage = { promptTokens: 1000, completionTokens: 500 };
+
+    expect(tracker.estimateCost(usage, { provider: 'openai', model: 'gpt-4o-mini' })).toBeCloseTo(0.00045);
+    expect(tracker.estimateCost(usage, { provider: 'openai', model: 'gpt-4o' })).toBeCloseTo(0.0075);
+    expect(tracker.estimateCost(usage, { provider: 'azure', deployment: 'gpt-4o-mini' })).toBeCloseTo(0.00045);
+    expect(tracker.estimateCost({ characters: 2000 }, { provider: 'deepl' })).toBeCloseTo(0.05);
+    expect(tracker.estimateCost(usage, { provider: 'openai-compatible', model: 'llama3' })).toBe(0);
+  });
+
+  test('adds the usage reported by the provider to the meeting and daily totals', async () => {
+    await service.translateText('speaker_a', 'Hello there', 'auto', 'en');
+    await service.translateText('speaker_b', 'Good morning', 'auto', 'de');
+
+    const { meeting, daily } = tracker.getUsageSummary();
+    expect(meeting.requests).toBe(2);
+    expect(meeting.promptTokens).toBeGreaterThan(0);
+    expect(meeting.completionTokens).toBeGreaterThan(0);
+    expect(daily).toMatchObject({ requests: 2, promptTokens: meeting.promptTokens });
+
+    const stored = await new Promise(resolve => chrome.storage.local.get(null, resolve));
+    const shares = Object.keys(stored).filter(key => key.startsWith(`usageDaily:${daily.date}:`));
+    expect(shares.map(key => stored[key].requests)).toEqual([2]);
+  });
+
+  test('adds up the daily usage of several tabs', async () => {
+    spend();
+
+    // Another tab, loaded after this one recorded its first request
+    let otherTracker;
+    jest.isolateModules(() => {
+      otherTracker = require('../src/usage-tracker.js');
+    });
+    await otherTracker.loadUsage();
+    expect(otherTracker.getUsageSummary().daily.requests).toBe(1);
+
+    // Both record at the same time
+    spend();
+    otherTracker.recordUsage({ promptTokens: 0, completionTokens: 1e6 }, { provider: 'openai', model: 'gpt-4o' });
+
+    expect(tracker.getUsageSummary().daily).toMatchObject({ requests: 3, cost: 30 });
+    expect(otherTracker.getUsageSummary().daily).toMatchObject({ requests: 3, cost: 30 });
+  });
+
+  test('counts the usage of streamed translations', async () => {
+    service.setProviderSettings({ provider: 'openai-compatible', endpoint: server.baseUrl, stream: true });
+
+    await service.translateText('speaker_a', 'Hello there', 'auto', 'en');
+
+    expect(tracker.getUsageSummary().meeting.completionTokens).toBeGreaterThan(0);
+  });
+
+  test('stops provider requests at the budget but still serves cached translations', async () => {
+    await service.translateText('speaker_a', 'Hello there', 'auto', 'en');
+    chrome.storage.sync.set({ usageBudget: { dailyLimit: 5, action: 'stop' } });
+    spend();
+
+    expect(tracker.getBudgetState()).toBe('stopped');
+    expect(await service.translateText('speaker_b', 'Hello there', 'auto', 'en')).toBe('[en] Hello there');
+    expect(await service.translateText('speaker_b', 'Good morning', 'auto', 'en')).toBe(tracker.BUDGET_REACHED_TEXT);
+    expect(server.chatRequests()).toHaveLength(1);
+
+    // Raising the limit resumes translation
+    chrome.storage.sync.set({ usageBudget: { dailyLimit: 50, action: 'stop' } });
+    expect(tracker.getBudgetState()).toBe('ok');
+  });
+
+  test('only translates finished utterances once a finalize-only budget is reached', async () => {
+    Config.SPEECH_SEGMENT_TIMEOUT = 400;
+    const replayer = createCaptionReplayer(document, recording);
+
+    chrome.storage.sync.set({ usageBudget: { meetingLimit: 1 } });
+    spend();
+    expect(tracker.getBudgetState()).toBe('finalize-only');
+
+    try {
+      await replayer.replay(() => processor.processSubtitles(true, 'auto', 'de'), { until: 240 });
+      await sleep(100);
+      expect(server.chatRequests()).toHaveLength(0);
+
+      const utterance = await waitForFinalized(processor, 'speaker_alice_smith');
+      expect(utterance.translated).toMatch(/^\[de\] Good morning/);
+      expect(server.chatRequests()).toHaveLength(1);
+    } finally {
+      processor.clearSubtitleData();
+      replayer.remove();
+      await sleep(550);
+    }
+  });
+});
@@ -1,11 +1,26 @@
 const path = require('path');
 const webpack = require('webpack');
-const Dotenv = require('dotenv-webpack');
+const CopyPlugin = require('copy-webpack-plugin');
+const TEAMS_ORIGINS = require('./src/teams-origins.json');
+
+// Fill the Teams sites into the content script matches and host permissions
+const buildManifest = (content) => {
+  const manifest = JSON.parse(content.toString());
+  const teamsPatterns = TEAMS_ORIGINS.map(origin => `${origin}/*`);
+  manifest.host_permissions = teamsPatterns.concat(manifest.host_permissions);
+  manifest.content_scripts[0].matches = teamsPatterns;
+  return JSON.stringify(manifest, null, 2);
+};
 
 module.exports = {
-  entry: './src/index.js',
+  entry: {
+    content: './src/index.js',
+    background: './src/background.js',
+    options: './src/options.js',
+    popup: './src/popup.js'
+  },
   output: {
-    filename: 'content.js',
+    filename: '[name].js',
     path: path.resolve(__dirname, 'dist'),
   },
   mode: 'production',
@@ -24,7 +39,11 @@ module.exports = {
     ]
   },
   plugins: [
-    new Dotenv(),
+    new CopyPlugin({
+      patterns: [
+        { from: './src/manifest.json', to: 'manifest.json', transform: buildManifest }
+      ]
+    }),
     new webpack.DefinePlugin({
       'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'development')
     }),